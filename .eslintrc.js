@@ -5,6 +5,9 @@ module.exports = {
     commonjs: true,
     es6: true, // Updated to support modern JavaScript
   },
+  globals: {
+    Worker: 'readonly', // Web workers, started where worker_threads is not available
+  },
   extends: ['eslint:recommended', 'plugin:prettier/recommended'], // Includes Prettier as part of linting
   parser: '@typescript-eslint/parser',
   parserOptions: {
@@ -0,0 +1,144 @@
+/* eslint-disable no-console */
+/**
+ * Benchmarks of mutex acquisitions across worker threads.
+ *
+ * Every worker increments a shared counter `iterations` times inside a short critical section,
+ * alone (uncontended) or together with the other workers (contended). Workers start together
+ * once all of them are ready, so thread startup is not measured.
+ *
+ * To compare against another version of the library, build it (e.g. check out an older
+ * revision and run `npm run build`) and pass its output directory with `--baseline`.
+ *
+ * Usage: npm run bench -- [--workers 4] [--iterations 100000] [--baseline ../old/dist]
+ */
+const os = require('os');
+const path = require('path');
+const { Worker, isMainThread, workerData, parentPort } = require('worker_threads');
+
+/**
+ * Acquisition strategies measured for each library build.
+ * @type {Array<{name: string, async: boolean, spin?: {spins: number}}>}
+ */
+const strategies = [
+  { name: 'lockSync', async: false },
+  { name: 'lockSync, spin 100', async: false, spin: { spins: 100 } },
+  { name: 'lock', async: true },
+  { name: 'lock, spin 100', async: true, spin: { spins: 100 } },
+];
+
+const runWorker = async () => {
+  const { library, lockBuffer, counter, start, iterations, strategy } = workerData;
+  const { withMutex, dispose } = require(library);
+  const { async, spin } = strategies[strategy];
+  const mutex = withMutex(lockBuffer, spin ? { spin } : undefined);
+  // Pending Atomics.waitAsync calls do not keep the worker alive by themselves
+  const keepAlive = setInterval(() => {}, 1000);
+
+  parentPort.postMessage('ready');
+  Atomics.wait(start, 0, 0);
+  for (let i = 0; i < iterations; i++) {
+    const handle = async ? await mutex.lock() : mutex.lockSync();
+    counter[0]++;
+    handle[dispose]();
+  }
+
+  clearInterval(keepAlive);
+  parentPort.postMessage('done');
+};
+
+const parseArgs = () => {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? fallback : args[index + 1];
+  };
+  const baseline = option('baseline', null);
+  return {
+    workers: Number(option('workers', Math.max(2, Math.min(4, os.cpus().length)))),
+    iterations: Number(option('iterations', 100000)),
+    libraries: [
+      { name: 'current', path: path.resolve(__dirname, '../dist') },
+      ...(baseline ? [{ name: 'baseline', path: path.resolve(baseline) }] : []),
+    ],
+  };
+};
+
+/**
+ * Runs one benchmark and resolves with its duration in milliseconds.
+ *
+ * @param {{library: string, strategy: number, workers: number, iterations: number}} options
+ *   Library build, acquisition strategy, number of workers and iterations per worker.
+ * @returns {Promise<number>} Time taken by all the workers, in milliseconds.
+ */
+const runBenchmark = ({ library, strategy, workers, iterations }) =>
+  new Promise((resolve, reject) => {
+    const lockBuffer = require(library).createMutex().buffer;
+    const counter = new Int32Array(new SharedArrayBuffer(4));
+    const start = new Int32Array(new SharedArrayBuffer(4));
+    let ready = 0;
+    let running = workers;
+    let startedAt;
+
+    for (let i = 0; i < workers; i++) {
+      const worker = new Worker(__filename, {
+        workerData: { library, lockBuffer, counter, start, iterations, strategy },
+      });
+      let done = false;
+      worker.once('error', reject);
+      worker.once('exit', () => {
+        if (!done) reject(new Error('Worker exited before completing its iterations'));
+      });
+      worker.on('message', message => {
+        if (message === 'ready') {
+          if (++ready === workers) {
+            startedAt = performance.now();
+            Atomics.store(start, 0, 1);
+            Atomics.notify(start, 0);
+          }
+          return;
+        }
+
+        done = true;
+        worker.terminate();
+        if (--running === 0) {
+          const elapsedMs = performance.now() - startedAt;
+          if (counter[0] !== workers * iterations) {
+            reject(new Error(`Lost updates: ${counter[0]} !== ${workers * iterations}`));
+            return;
+          }
+          resolve(elapsedMs);
+        }
+      });
+    }
+  });
+
+const main = async () => {
+  const { workers, iterations, libraries } = parseArgs();
+  console.log(`${iterations} iterations per worker\n`);
+
+  for (const contention of [1, workers]) {
+    console.log(contention === 1 ? 'Uncontended (1 worker)' : `Contended (${workers} workers)`);
+    for (let strategy = 0; strategy < strategies.length; strategy++) {
+      for (const library of libraries) {
+        const elapsedMs = await runBenchmark({
+          library: library.path,
+          strategy,
+          workers: contention,
+          iterations,
+        });
+        const opsPerSec = Math.round((contention * iterations * 1000) / elapsedMs);
+        const label = `${strategies[strategy].name} (${library.name})`;
+        console.log(`  ${label.padEnd(32)} ${String(opsPerSec).padStart(10)} ops/s`);
+      }
+    }
+  }
+};
+
+if (isMainThread) {
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+} else {
+  runWorker();
+}
@@ -0,0 +1,193 @@
+import { MutexError, allocateBuffer, createDescriptor, validateBuffer } from './common';
+import { initMutex, layoutLength, mutexFlags, withMutex } from './mutex';
+
+/** @typedef {import('./mutex').MutexHooks} MutexHooks */
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+
+/**
+ * Slot indexes of the arena header. The records follow, `Stride` slots each: the mutex slots,
+ * then `DataLength` slots of user data.
+ * - `Count`: number of records.
+ * - `Stride`: length of a record.
+ * - `DataLength`: number of user data slots of a record.
+ * - `Allocated`: number of records handed out by `allocate` so far.
+ * @readonly
+ * @enum {number}
+ */
+const ArenaSlot = Object.freeze({
+  Count: 0,
+  Stride: 1,
+  DataLength: 2,
+  Allocated: 3,
+});
+
+/**
+ * Number of Int32 slots of the arena header.
+ * @type {number}
+ */
+const HEADER_LENGTH = 4;
+
+/**
+ * Validates a non-negative integer option.
+ * @param {any} value Value to validate.
+ * @param {string} name Option name, used in error messages.
+ * @param {number} min Minimum value.
+ * @throws {MutexError} If value is invalid.
+ */
+const validateCount = (value, name, min) => {
+  if (!Number.isInteger(value) || value < min) {
+    throw new MutexError(`${name} must be an integer >= ${min}`);
+  }
+};
+
+/**
+ * Binds the arena operations to a validated buffer.
+ *
+ * @param {Int32Array} buffer Arena buffer.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   toDescriptor: () => LockDescriptor,
+ *   count: () => number,
+ *   allocated: () => number,
+ *   allocate: () => number,
+ *   at: (index: number, options?: MutexHooks & {name?: string, level?: number}) => ReturnType<typeof withMutex>,
+ *   dataAt: (index: number) => Int32Array
+ * }>} A frozen mutex arena object.
+ */
+const bindMutexArena = buffer => {
+  const count = buffer[ArenaSlot.Count];
+  const stride = buffer[ArenaSlot.Stride];
+  const dataLength = buffer[ArenaSlot.DataLength];
+  const mutexes = new Array(count);
+
+  const recordAt = index => {
+    if (!Number.isInteger(index) || index < 0 || index >= count) {
+      throw new MutexError(`Invalid index: must be an integer between 0 and ${count - 1}`);
+    }
+    return HEADER_LENGTH + index * stride;
+  };
+
+  return Object.freeze({
+    buffer,
+    toDescriptor: () => createDescriptor('mutex-arena', buffer),
+    count: () => count,
+    allocated: () => Math.min(Atomics.load(buffer, ArenaSlot.Allocated), count),
+    allocate: () => {
+      const index = Atomics.add(buffer, ArenaSlot.Allocated, 1);
+      if (index >= count) {
+        Atomics.sub(buffer, ArenaSlot.Allocated, 1);
+        throw new MutexError(`Mutex arena is exhausted (count ${count})`);
+      }
+      return index;
+    },
+    at: (index, options) => {
+      const record = recordAt(index);
+      if (options !== undefined) {
+        return withMutex(buffer, { ...options, index: record });
+      }
+      if (!mutexes[index]) {
+        mutexes[index] = withMutex(buffer, { index: record });
+      }
+      return mutexes[index];
+    },
+    dataAt: index => {
+      const data = recordAt(index) + stride - dataLength;
+      return buffer.subarray(data, data + dataLength);
+    },
+  });
+};
+
+/**
+ * Creates an arena of mutexes in a single SharedArrayBuffer, so that many locks can be shared
+ * with workers at once. Each record of the arena holds a mutex followed by `dataLength` slots
+ * of user data, keeping every lock next to the shared fields it protects.
+ *
+ * Records are addressed by index: `allocate()` hands out the next unused index, atomically
+ * across threads, and `at(index)` returns the mutex of a record in any thread.
+ *
+ * @param {number} count Number of records.
+ * @param {Object} [options] Arena options.
+ * @param {number} [options.dataLength=0] Number of Int32 slots of user data per record.
+ * @param {boolean} [options.fair=false] Create fair mutexes.
+ * @param {boolean} [options.robust=false] Create robust mutexes.
+ * @param {number} [options.leaseMs] Lease of robust mutexes, in milliseconds. Required with
+ *   `robust`.
+ * @param {boolean} [options.leases=false] Create mutexes allowing leased acquisitions.
+ * @param {boolean} [options.priorities=false] Create mutexes granting the lock by priority.
+ * @param {number} [options.agingMs=100] Aging period of mutexes with priorities, in milliseconds.
+ * @param {boolean} [options.strict=false] Throw when disposing a stale handle.
+ * @param {boolean} [options.stats=false] Collect contention statistics.
+ * @returns {ReturnType<typeof bindMutexArena>} A frozen mutex arena object.
+ * @throws {MutexError} If count or options are invalid.
+ *
+ * @example
+ * // main thread: one lock and two counters per account
+ * const accounts = createMutexArena(1000, { dataLength: 2 });
+ * new Worker('./worker.js', { workerData: accounts.buffer });
+ *
+ * // worker.js
+ * const accounts = withMutexArena(workerData);
+ * await rapidGuard(accounts.at(id), () => {
+ *   const [balance, version] = accounts.dataAt(id);
+ *   accounts.dataAt(id).set([balance - amount, version + 1]);
+ * });
+ */
+export const createMutexArena = (
+  count,
+  {
+    dataLength = 0,
+    fair = false,
+    robust = false,
+    leaseMs,
+    leases = false,
+    priorities = false,
+    agingMs = 100,
+    strict = false,
+    stats = false,
+  } = {}
+) => {
+  validateCount(count, 'Count', 1);
+  validateCount(dataLength, 'Data length', 0);
+
+  const flags = mutexFlags({
+    fair,
+    robust,
+    leaseMs,
+    leases,
+    priorities,
+    agingMs,
+    strict,
+    stats,
+  });
+  const stride = layoutLength(flags) + dataLength;
+  const buffer = allocateBuffer('mutex-arena', HEADER_LENGTH + count * stride);
+  buffer[ArenaSlot.Count] = count;
+  buffer[ArenaSlot.Stride] = stride;
+  buffer[ArenaSlot.DataLength] = dataLength;
+  for (let i = 0; i < count; i++) {
+    initMutex(buffer.subarray(HEADER_LENGTH + i * stride), flags, leaseMs, agingMs);
+  }
+
+  return bindMutexArena(buffer);
+};
+
+/**
+ * Creates a mutex arena over an existing buffer, e.g. one received from another worker.
+ *
+ * @param {Int32Array} buffer Buffer of an arena created by `createMutexArena`.
+ * @returns {ReturnType<typeof bindMutexArena>} A frozen mutex arena object.
+ * @throws {MutexError} If buffer is invalid.
+ */
+export const withMutexArena = buffer => {
+  validateBuffer(buffer, HEADER_LENGTH);
+
+  const count = buffer[ArenaSlot.Count];
+  const stride = buffer[ArenaSlot.Stride];
+  const dataLength = buffer[ArenaSlot.DataLength];
+  if (count < 1 || dataLength < 0 || stride <= dataLength) {
+    throw new MutexError('Invalid buffer: not a mutex arena');
+  }
+  validateBuffer(buffer, HEADER_LENGTH + count * stride);
+
+  return bindMutexArena(buffer);
+};
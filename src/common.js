@@ -0,0 +1,780 @@
+/**
+ * Custom error for mutex operations.
+ * Used to differentiate mutex-specific errors from general errors.
+ */
+export class MutexError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RapidMutexError';
+  }
+}
+
+/**
+ * Error raised when a lock acquisition is cancelled through an `AbortSignal`.
+ * The abort reason of the signal is exposed as `reason`.
+ */
+export class MutexAbortError extends MutexError {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'RapidMutexAbortError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Error raised when a lock acquisition does not succeed before its timeout or deadline.
+ */
+export class MutexTimeoutError extends MutexError {
+  constructor(message) {
+    super(message);
+    this.name = 'RapidMutexTimeoutError';
+  }
+}
+
+/**
+ * Error raised when a lock acquisition would complete a cycle of threads waiting on each other.
+ * The identifiers of the threads of the cycle, starting with the current one, are exposed as
+ * `cycle`.
+ */
+export class MutexDeadlockError extends MutexError {
+  constructor(message, cycle) {
+    super(message);
+    this.name = 'RapidMutexDeadlockError';
+    this.cycle = cycle;
+  }
+}
+
+/**
+ * Error raised when the lease of a mutex acquisition expired and the lock was taken over, so that
+ * the critical section of that acquisition may not have been exclusive.
+ */
+export class MutexLeaseError extends MutexError {
+  constructor(message) {
+    super(message);
+    this.name = 'RapidMutexLeaseError';
+  }
+}
+
+/**
+ * Options accepted by lock acquisition methods in place of a plain timeout.
+ * @typedef {Object} AcquireOptions
+ * @property {number} [timeoutMs=Infinity] Relative timeout in milliseconds.
+ * @property {number} [deadline=Infinity] Absolute deadline on the {@link now} clock.
+ * @property {AbortSignal} [signal] Signal cancelling the acquisition when aborted.
+ * @property {number} [ttlMs] Mutexes created with `leases: true` only: lease of the
+ *   acquisition in milliseconds, after which waiters may take the lock over.
+ * @property {number} [priority=0] Mutexes created with `priorities: true` only: priority of the
+ *   acquisition, higher priorities being granted the lock first.
+ */
+
+/**
+ * Symbol used for disposing a lock resource.
+ * Falls back to a safe polyfill for Node.js < 20.
+ * @type {symbol}
+ */
+export const dispose =
+  typeof Symbol.dispose === 'symbol' ? Symbol.dispose : Symbol.for('rapid-mutex-dispose');
+
+/**
+ * Identifier of the current thread as stored in the owner slot of lock buffers.
+ * Uses `worker_threads.threadId` when available (offset by one so that the main thread
+ * is non-zero), otherwise falls back to a random identifier (e.g. in browsers).
+ * @type {number}
+ */
+export const currentThreadId = (() => {
+  try {
+    return require('worker_threads').threadId + 1;
+  } catch {
+    return Math.floor(Math.random() * 0x3ffffffe) + 1;
+  }
+})();
+
+/**
+ * Monotonic clock in milliseconds, unaffected by wall-clock adjustments.
+ * Uses `performance.now()` when available, otherwise falls back to `Date.now()`.
+ * @type {() => number}
+ */
+export const now =
+  typeof performance !== 'undefined' && typeof performance.now === 'function'
+    ? () => performance.now()
+    : () => Date.now();
+
+/**
+ * Source of the helper threads parking on behalf of {@link helperWaitAsync}. Each message is a
+ * wait to perform with the blocking `Atomics.wait`, answered with its result. Runs both as a
+ * Node.js worker thread and as a web worker.
+ * @type {string}
+ */
+const HELPER_SOURCE = `
+const port = typeof self === 'undefined' ? require('worker_threads').parentPort : self;
+const park = ({ buffer, index, value, timeoutMs }) =>
+  port.postMessage(Atomics.wait(buffer, index, value, timeoutMs));
+if (typeof self === 'undefined') port.on('message', park);
+else self.onmessage = event => park(event.data);
+`;
+
+/**
+ * Whether the runtime is Node.js, whose worker threads are created from source with `eval`.
+ * @type {boolean}
+ */
+const isNode = typeof process !== 'undefined' && !!process.versions && !!process.versions.node;
+
+/**
+ * Helper thread parking on behalf of {@link helperWaitAsync}.
+ * @typedef {{
+ *   park: (message: object, done: (result: string) => void) => void,
+ *   stop: () => void
+ * }} Helper
+ */
+
+/**
+ * Helper threads currently idle, reused by later waits.
+ * @type {Helper[]}
+ */
+const idleHelpers = [];
+
+/**
+ * Helper threads of the waits in progress, by the promise returned for the wait.
+ * @type {WeakMap<Promise<string>, Helper>}
+ */
+const helperWaits = new WeakMap();
+
+/**
+ * Maximum number of helper threads started by {@link helperWaitAsync}.
+ * @type {number}
+ */
+const MAX_HELPERS = 4;
+
+/**
+ * Number of helper threads started so far.
+ * @type {number}
+ */
+let helperCount = 0;
+
+/**
+ * Whether waits may be handed to helper threads. Cleared once a helper cannot be created or
+ * fails, after which waits fall back to {@link pollWaitAsync}.
+ * @type {boolean}
+ */
+let helpersAvailable = isNode || (typeof Worker === 'function' && typeof Blob === 'function');
+
+/**
+ * Starts a helper thread. Its `park` method hands it one wait at a time; `done` receives the
+ * result, or 'ok' if the helper failed (a spurious wake-up, which callers re-check). Its `stop`
+ * method terminates it, without calling `done`.
+ * Helpers do not keep a Node.js process alive, like native `Atomics.waitAsync` waits.
+ *
+ * @returns {Helper} Helper thread.
+ * @throws {Error} If the runtime cannot start the thread.
+ */
+const spawnHelper = () => {
+  let pending = null;
+  let stopped = false;
+  const settle = result => {
+    const done = pending;
+    pending = null;
+    if (done) done(result);
+  };
+  const fail = () => {
+    if (stopped) return;
+    helpersAvailable = false;
+    settle('ok');
+  };
+
+  let worker;
+  if (isNode) {
+    const { Worker: NodeWorker } = require('worker_threads');
+    worker = new NodeWorker(HELPER_SOURCE, { eval: true });
+    worker.on('message', settle);
+    worker.on('error', fail);
+    worker.on('exit', fail);
+    // After the listeners, which would ref the worker again
+    worker.unref();
+  } else {
+    const url = URL.createObjectURL(new Blob([HELPER_SOURCE], { type: 'text/javascript' }));
+    worker = new Worker(url);
+    URL.revokeObjectURL(url);
+    worker.onmessage = event => settle(event.data);
+    worker.onerror = fail;
+  }
+
+  return {
+    park: (message, done) => {
+      pending = done;
+      worker.postMessage(message);
+    },
+    stop: () => {
+      stopped = true;
+      pending = null;
+      helperCount--;
+      worker.terminate();
+    },
+  };
+};
+
+/**
+ * Waits without blocking the calling thread by parking a helper thread with `Atomics.wait`,
+ * for runtimes without `Atomics.waitAsync`. Each concurrent wait occupies its own helper, up to
+ * {@link MAX_HELPERS}: further concurrent waits poll instead. The helper of a wait abandoned by
+ * its caller is stopped by {@link abandonWait}.
+ *
+ * @param {Int32Array} buffer Shared lock buffer.
+ * @param {number} index Index in buffer to monitor.
+ * @param {number} value Expected value to wait on.
+ * @param {number} timeoutMs Timeout in milliseconds or Infinity.
+ * @returns {Promise<string>|string} 'ok', 'not-equal', or 'timed-out'.
+ */
+const helperWaitAsync = (buffer, index, value, timeoutMs) => {
+  if (Atomics.load(buffer, index) !== value) {
+    return 'not-equal';
+  }
+
+  let helper = idleHelpers.pop();
+  if (!helper) {
+    if (helperCount >= MAX_HELPERS) {
+      return pollWaitAsync(buffer, index, value, timeoutMs);
+    }
+    helperCount++;
+    try {
+      helper = spawnHelper();
+    } catch {
+      helpersAvailable = false;
+      return pollWaitAsync(buffer, index, value, timeoutMs);
+    }
+  }
+
+  const parked = helper;
+  const wait = new Promise(resolve =>
+    parked.park({ buffer, index, value, timeoutMs }, result => {
+      helperWaits.delete(wait);
+      if (helpersAvailable) {
+        idleHelpers.push(parked);
+      }
+      resolve(result);
+    })
+  );
+  helperWaits.set(wait, parked);
+  return wait;
+};
+
+/**
+ * Waits by polling the slot on timers, as a last resort for runtimes that can neither wait
+ * asynchronously nor start helper threads (`Atomics.wait` is not allowed on browser main
+ * threads). Never blocks, but only notices changes of the slot, with timer granularity.
+ *
+ * @param {Int32Array} buffer Shared lock buffer.
+ * @param {number} index Index in buffer to monitor.
+ * @param {number} value Expected value to wait on.
+ * @param {number} timeoutMs Timeout in milliseconds or Infinity.
+ * @returns {Promise<string>|string} 'ok', 'not-equal', or 'timed-out'.
+ */
+const pollWaitAsync = (buffer, index, value, timeoutMs) => {
+  if (Atomics.load(buffer, index) !== value) {
+    return 'not-equal';
+  }
+
+  const deadline = timeoutMs === Infinity ? Infinity : now() + timeoutMs;
+  return new Promise(resolve => {
+    const poll = () => {
+      if (Atomics.load(buffer, index) !== value) {
+        resolve('ok');
+      } else if (now() >= deadline) {
+        resolve('timed-out');
+      } else {
+        setTimeout(poll, 1);
+      }
+    };
+    setTimeout(poll, 1);
+  });
+};
+
+/**
+ * Cross-environment async wait function for `Atomics.waitAsync`.
+ * Uses native if available (Node >= 16.10, modern browsers). Otherwise parks a helper thread
+ * in its place, or polls if helper threads are not available either; neither blocks the
+ * calling thread.
+ *
+ * @param {Int32Array} buffer Shared lock buffer.
+ * @param {number} index Index in buffer to monitor.
+ * @param {number} value Expected value to wait on.
+ * @param {number} timeoutMs Timeout in milliseconds or Infinity.
+ * @returns {Promise<string>|string} 'ok', 'not-equal', or 'timed-out'.
+ */
+export const waitAsync = Atomics.waitAsync
+  ? (buffer, index, value, timeoutMs) => Atomics.waitAsync(buffer, index, value, timeoutMs).value
+  : (buffer, index, value, timeoutMs) =>
+      helpersAvailable
+        ? helperWaitAsync(buffer, index, value, timeoutMs)
+        : pollWaitAsync(buffer, index, value, timeoutMs);
+
+/**
+ * Gives up a wait of {@link waitAsync} that its caller no longer awaits, e.g. after an abort.
+ * A native wait stays parked until the slot is notified, and would swallow a wake-up meant for
+ * another waiter, so the slot is notified. A helper thread may not have parked yet, so it is
+ * stopped instead of being reused.
+ *
+ * @param {Int32Array} buffer Shared lock buffer.
+ * @param {number} index Index in buffer the wait parked on.
+ * @param {Promise<string>|string} wait Result of `waitAsync` for the wait.
+ */
+const abandonWait = (buffer, index, wait) => {
+  const helper = helperWaits.get(wait);
+  if (helper) {
+    helperWaits.delete(wait);
+    helper.stop();
+  }
+  // Also passes on a wake-up the wait may have swallowed already
+  Atomics.notify(buffer, index);
+};
+
+/**
+ * Validates that a given buffer is a valid shared Int32 storage.
+ * @param {any} buffer Buffer to validate.
+ * @param {number} length Minimum number of Int32 slots required.
+ * @throws {MutexError} If buffer is invalid.
+ */
+export const validateBuffer = (buffer, length) => {
+  if (!(buffer instanceof Int32Array)) {
+    throw new MutexError('Invalid buffer: must be an Int32Array');
+  }
+  if (!(buffer.buffer instanceof SharedArrayBuffer)) {
+    throw new MutexError('Invalid buffer: must be backed by a SharedArrayBuffer');
+  }
+  if (buffer.length < length) {
+    throw new MutexError(`Invalid buffer: must have length >= ${length}`);
+  }
+};
+
+/**
+ * Returns a view of a shared Int32 storage starting at slot `index`, so that a lock can live at
+ * an arbitrary offset of a larger layout. Views share memory with `buffer` and can be sent to
+ * other threads like it.
+ *
+ * @param {any} buffer Buffer holding the lock.
+ * @param {number} [index=0] Slot index of the lock within the buffer.
+ * @returns {Int32Array} View of the buffer starting at `index`.
+ * @throws {MutexError} If buffer or index is invalid.
+ */
+export const bufferAt = (buffer, index = 0) => {
+  validateBuffer(buffer, 0);
+  if (!Number.isInteger(index) || index < 0 || (index > 0 && index >= buffer.length)) {
+    throw new MutexError(`Invalid index: must be an integer between 0 and ${buffer.length - 1}`);
+  }
+  return index === 0 ? buffer : buffer.subarray(index);
+};
+
+/**
+ * Version of the slot layout of lock buffers, recorded in descriptors. It changes whenever a
+ * primitive lays out its slots differently, so that a thread running another version of the
+ * library refuses a buffer it would misread.
+ * @type {number}
+ */
+export const LAYOUT_VERSION = 1;
+
+/**
+ * Structured-clone-safe description of a lock primitive, e.g. to post it to a worker, which
+ * rebuilds the primitive with `fromDescriptor`.
+ * @typedef {Object} LockDescriptor
+ * @property {string} kind Kind of primitive, e.g. `'mutex'` or `'rwlock'`.
+ * @property {SharedArrayBuffer} buffer Shared memory holding the primitive.
+ * @property {number} offset Slot index of the primitive within `buffer`.
+ * @property {number} length Number of Int32 slots of the view of the primitive.
+ * @property {number} layout Layout version the primitive was laid out with.
+ * @property {string|null} name Name of the primitive in lock order checks, if any.
+ */
+
+/**
+ * Describes the lock primitive stored in a buffer view.
+ * @param {string} kind Kind of primitive.
+ * @param {Int32Array} buffer View of the primitive.
+ * @param {string|null} [name=null] Name of the primitive.
+ * @returns {LockDescriptor} Descriptor of the primitive.
+ */
+export const createDescriptor = (kind, buffer, name = null) => ({
+  kind,
+  buffer: /** @type {SharedArrayBuffer} */ (buffer.buffer),
+  offset: buffer.byteOffset / Int32Array.BYTES_PER_ELEMENT,
+  length: buffer.length,
+  layout: LAYOUT_VERSION,
+  name,
+});
+
+/**
+ * Kinds of primitives, by the code recorded in the tag of their shared memory. Codes are part of
+ * the layout: kinds are only ever appended.
+ * @type {ReadonlyArray<string>}
+ */
+const TAGGED_KINDS = Object.freeze([
+  'mutex',
+  'recursive-mutex',
+  'rwlock',
+  'semaphore',
+  'condition',
+  'mutex-registry',
+  'mutex-arena',
+  'keyed-mutex',
+  'deadlock-detector',
+  'once',
+]);
+
+/**
+ * Marker in the upper 16 bits of a tag ('RM'), telling it apart from slots laid out by callers.
+ * @type {number}
+ */
+const TAG_MARKER = 0x524d;
+
+/**
+ * Allocates the shared memory of a new primitive. Its last slot, past the view of the primitive,
+ * holds a tag recording the kind of the primitive and the layout version, which `fromDescriptor`
+ * checks against the descriptor it rebuilds the primitive from.
+ *
+ * @param {string} kind Kind of primitive.
+ * @param {number} length Number of Int32 slots of the primitive.
+ * @returns {Int32Array} Zeroed view of the slots of the primitive.
+ */
+export const allocateBuffer = (kind, length) => {
+  const memory = new Int32Array(new SharedArrayBuffer((length + 1) * 4));
+  memory[length] = (TAG_MARKER << 16) | (TAGGED_KINDS.indexOf(kind) << 8) | LAYOUT_VERSION;
+  return memory.subarray(0, length);
+};
+
+/**
+ * Reads the tag written by {@link allocateBuffer} in shared memory.
+ * @param {SharedArrayBuffer} memory Shared memory holding a primitive.
+ * @returns {{kind: string, layout: number}|null} Kind of the primitive the memory was allocated
+ *   for and its layout version, or null if the memory was laid out by the caller.
+ */
+export const readTag = memory => {
+  const slots = Math.floor(memory.byteLength / 4);
+  if (slots === 0) {
+    return null;
+  }
+  const tag = new Int32Array(memory, (slots - 1) * 4, 1)[0];
+  const kind = TAGGED_KINDS[(tag >> 8) & 0xff];
+  return tag >>> 16 === TAG_MARKER && kind !== undefined ? { kind, layout: tag & 0xff } : null;
+};
+
+/**
+ * Computes the 32-bit FNV-1a hash of a byte sequence.
+ * @param {Uint8Array} bytes Bytes to hash.
+ * @returns {number} Signed 32-bit hash.
+ */
+export const hashBytes = bytes => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < bytes.length; i++) {
+    hash = Math.imul(hash ^ bytes[i], 0x01000193);
+  }
+  return hash | 0;
+};
+
+/**
+ * Validates timeout parameter.
+ * @param {number} timeoutMs Timeout value to validate.
+ * @throws {MutexError} If timeout is invalid.
+ */
+export const validateTimeout = timeoutMs => {
+  if (timeoutMs !== Infinity && (typeof timeoutMs !== 'number' || timeoutMs < 0)) {
+    throw new MutexError('Timeout must be a non-negative number or Infinity');
+  }
+};
+
+/**
+ * Normalizes the timeout argument of acquisition methods, which is either a timeout in
+ * milliseconds or an {@link AcquireOptions} object.
+ *
+ * @param {number|AcquireOptions} [options=Infinity] Timeout or acquisition options.
+ * @returns {{timeoutMs: number, deadline: number, signal: AbortSignal|undefined}}
+ *   Options with `deadline` resolved to the earliest absolute bound on the {@link now} clock.
+ * @throws {MutexError} If options are invalid.
+ */
+export const resolveAcquireOptions = (options = Infinity) => {
+  if (typeof options !== 'object' || options === null) {
+    validateTimeout(options);
+    return {
+      timeoutMs: options,
+      deadline: options === Infinity ? Infinity : now() + options,
+      signal: undefined,
+    };
+  }
+
+  const { timeoutMs = Infinity, deadline = Infinity, signal } = options;
+  validateTimeout(timeoutMs);
+  if (typeof deadline !== 'number' || Number.isNaN(deadline)) {
+    throw new MutexError('Deadline must be a number or Infinity');
+  }
+  if (
+    signal !== undefined &&
+    (!signal ||
+      typeof signal.aborted !== 'boolean' ||
+      typeof signal.addEventListener !== 'function')
+  ) {
+    throw new MutexError('Invalid signal: must be an AbortSignal');
+  }
+
+  return {
+    timeoutMs,
+    deadline: timeoutMs === Infinity ? deadline : Math.min(deadline, now() + timeoutMs),
+    signal,
+  };
+};
+
+/**
+ * Creates the error thrown when an acquisition does not succeed in time.
+ *
+ * @param {string} label Name of the operation.
+ * @param {number} timeoutMs Relative timeout that was requested, or Infinity.
+ * @returns {MutexTimeoutError} Timeout error.
+ */
+export const timeoutError = (label, timeoutMs) =>
+  new MutexTimeoutError(
+    timeoutMs === Infinity
+      ? `${label} acquisition timed out: deadline exceeded`
+      : `${label} acquisition timed out after ${timeoutMs}ms`
+  );
+
+/**
+ * Creates the error thrown when an acquisition is aborted.
+ *
+ * @param {string} label Name of the operation.
+ * @param {AbortSignal} signal The aborted signal.
+ * @returns {MutexAbortError} Abort error.
+ */
+export const abortError = (label, signal) =>
+  new MutexAbortError(`${label} acquisition was aborted`, signal.reason);
+
+/**
+ * Waits for `promise`, rejecting early if `signal` is aborted in the meantime.
+ *
+ * @template T
+ * @param {Promise<T>|T} promise Promise to wait for.
+ * @param {AbortSignal|undefined} signal Optional abort signal.
+ * @param {string} label Name of the operation, used in error messages.
+ * @returns {Promise<T>} Result of `promise`.
+ */
+const abortable = (promise, signal, label) => {
+  if (!signal) {
+    return Promise.resolve(promise);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError(label, signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    Promise.resolve(promise).then(result => {
+      signal.removeEventListener('abort', onAbort);
+      resolve(result);
+    }, reject);
+  });
+};
+
+/**
+ * Resolves the parking slice of {@link waitForAcquire}.
+ * @param {number|(() => number)} sliceMs Slice, or function computing it.
+ * @returns {number} Maximum time to park, in milliseconds.
+ */
+const sliceOf = sliceMs => (typeof sliceMs === 'function' ? sliceMs() : sliceMs);
+
+/**
+ * Passes on the wake-up an aborted waiter may have received, without running its attempt:
+ * primitives waking up a single waiter would otherwise leave the others parked.
+ *
+ * @param {Int32Array} buffer Shared lock buffer.
+ * @param {number} index Index in buffer the waiter parked on.
+ * @param {boolean} parked Whether the waiter parked.
+ */
+const forwardWakeUp = (buffer, index, parked) => {
+  if (parked) {
+    Atomics.notify(buffer, index, 1);
+  }
+};
+
+/**
+ * Repeatedly runs `attempt` until it succeeds, parking on `buffer[index]` in between.
+ * Every state change that may let `attempt` succeed must modify `buffer[index]` and notify it.
+ * Time is measured on the monotonic {@link now} clock.
+ *
+ * @template T
+ * @param {Int32Array} buffer Shared lock buffer.
+ * @param {number} index Index in buffer to park on.
+ * @param {() => T|null} attempt Single acquisition attempt, returning null on failure.
+ * @param {number|AcquireOptions} options Timeout in milliseconds or acquisition options.
+ * @param {string} label Name of the operation, used in error messages.
+ * @param {number|(() => number)} [sliceMs=Infinity] Maximum time to park before running
+ *   `attempt` again, for attempts that may also succeed through the passing of time. A function
+ *   is called before each wait.
+ * @returns {Promise<T>} Result of the successful attempt.
+ * @throws {MutexTimeoutError} If acquisition times out.
+ * @throws {MutexError} If acquisition is interrupted.
+ * @throws {MutexAbortError} If acquisition is aborted.
+ */
+export const waitForAcquire = async (
+  buffer,
+  index,
+  attempt,
+  options,
+  label,
+  sliceMs = Infinity
+) => {
+  const { timeoutMs, deadline, signal } = resolveAcquireOptions(options);
+  let parked = false;
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    if (signal && signal.aborted) {
+      forwardWakeUp(buffer, index, parked);
+      throw abortError(label, signal);
+    }
+
+    // Snapshot before attempting, so a change in between makes the wait return immediately
+    const value = Atomics.load(buffer, index);
+    const result = attempt();
+    if (result) {
+      return result;
+    }
+
+    const remainingTime = deadline === Infinity ? Infinity : deadline - now();
+    if (remainingTime <= 0) {
+      throw timeoutError(label, timeoutMs);
+    }
+
+    // A 'timed-out' result is re-checked against the monotonic deadline on the next iteration
+    parked = true;
+    const wait = waitAsync(buffer, index, value, Math.min(remainingTime, sliceOf(sliceMs)));
+    let waitResult;
+    try {
+      waitResult = await abortable(wait, signal, label);
+    } catch (error) {
+      abandonWait(buffer, index, wait);
+      throw error;
+    }
+    if (waitResult === 'interrupted') {
+      throw new MutexError(`${label} wait was interrupted`);
+    }
+  }
+};
+
+/**
+ * Synchronous (blocking) counterpart of {@link waitForAcquire}.
+ * An abort signal is only checked between waits, as the thread is blocked while waiting.
+ *
+ * @template T
+ * @param {Int32Array} buffer Shared lock buffer.
+ * @param {number} index Index in buffer to park on.
+ * @param {() => T|null} attempt Single acquisition attempt, returning null on failure.
+ * @param {number|AcquireOptions} options Timeout in milliseconds or acquisition options.
+ * @param {string} label Name of the operation, used in error messages.
+ * @param {number|(() => number)} [sliceMs=Infinity] Maximum time to park before running
+ *   `attempt` again.
+ * @returns {T} Result of the successful attempt.
+ * @throws {MutexTimeoutError} If acquisition times out.
+ * @throws {MutexError} If acquisition is interrupted.
+ * @throws {MutexAbortError} If acquisition is aborted.
+ */
+export const waitForAcquireSync = (buffer, index, attempt, options, label, sliceMs = Infinity) => {
+  const { timeoutMs, deadline, signal } = resolveAcquireOptions(options);
+  let parked = false;
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    if (signal && signal.aborted) {
+      forwardWakeUp(buffer, index, parked);
+      throw abortError(label, signal);
+    }
+
+    const value = Atomics.load(buffer, index);
+    const result = attempt();
+    if (result) {
+      return result;
+    }
+
+    const remainingTime = deadline === Infinity ? Infinity : deadline - now();
+    if (remainingTime <= 0) {
+      throw timeoutError(label, timeoutMs);
+    }
+
+    parked = true;
+    const waitResult = Atomics.wait(
+      buffer,
+      index,
+      value,
+      Math.min(remainingTime, sliceOf(sliceMs))
+    );
+    if (waitResult === 'interrupted') {
+      throw new MutexError(`${label} wait was interrupted`);
+    }
+  }
+};
+
+/**
+ * Longest delay of a timer, in milliseconds: longer delays fire immediately.
+ * @type {number}
+ */
+const MAX_TIMER_MS = 0x7fffffff;
+
+/**
+ * Entry of a FIFO queue of waiters of the current thread, see {@link waitInQueue}.
+ * @typedef {{
+ *   timeoutMs: number,
+ *   deadline: number,
+ *   signal: AbortSignal|undefined,
+ *   ttlMs?: number,
+ *   resolve: (value: any) => void,
+ *   reject: (error: any) => void,
+ *   cleanup: () => void
+ * }} QueuedWaiter
+ */
+
+/**
+ * Waits in a FIFO queue of waiters of the current thread, until the entry is served: whoever
+ * serves the queue shifts the entry out, calls its `cleanup` and then settles it. The entry
+ * carries the acquisition options it was queued with. Waiters leave the queue on their own when
+ * they time out or are aborted.
+ *
+ * @param {QueuedWaiter[]} waiters Queue to wait in.
+ * @param {{timeoutMs: number, deadline: number, signal: AbortSignal|undefined, ttlMs?: number}} options
+ *   Resolved acquisition options.
+ * @param {string} label Name of the operation, used in error messages.
+ * @returns {Promise<any>} Value the entry is resolved with.
+ * @throws {MutexTimeoutError} If the deadline passes first.
+ * @throws {MutexAbortError} If the signal is aborted first.
+ */
+export const waitInQueue = (waiters, options, label) =>
+  new Promise((resolve, reject) => {
+    const { timeoutMs, deadline, signal } = options;
+    if (signal && signal.aborted) {
+      reject(abortError(label, signal));
+      return;
+    }
+
+    let timer = null;
+    const cleanup = () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+    };
+    const waiter = { ...options, resolve, reject, cleanup };
+    const leave = error => {
+      waiters.splice(waiters.indexOf(waiter), 1);
+      cleanup();
+      reject(error);
+    };
+    const onAbort = () => leave(abortError(label, signal));
+
+    // Timers may fire a little early, and fire at once beyond their longest delay: the deadline
+    // is checked again each time one fires
+    const expire = () => {
+      const remainingTime = deadline - now();
+      if (remainingTime <= 0) {
+        leave(timeoutError(label, timeoutMs));
+        return;
+      }
+      timer = setTimeout(expire, Math.min(remainingTime, MAX_TIMER_MS));
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+    waiters.push(waiter);
+    if (deadline !== Infinity) {
+      expire();
+    }
+  });
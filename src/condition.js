@@ -0,0 +1,235 @@
+import {
+  MutexError,
+  bufferAt,
+  allocateBuffer,
+  createDescriptor,
+  now,
+  validateBuffer,
+  validateTimeout,
+  waitAsync,
+} from './common';
+import { suspendLock, resumeLock, resumeLockSync } from './mutex';
+
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+
+/**
+ * Mutex object used with a condition, from `createMutex`/`withMutex`.
+ * @typedef {{buffer: Int32Array, lock: () => Promise<any>, lockSync: () => any}} ConditionMutex
+ */
+
+/**
+ * Slot indexes within a condition variable buffer.
+ * - `Sequence`: bumped on every notification, waiters park on it.
+ * @readonly
+ * @enum {number}
+ */
+const ConditionSlot = Object.freeze({
+  Sequence: 0,
+});
+
+/**
+ * Number of Int32 slots required by a condition variable buffer.
+ * @type {number}
+ */
+const CONDITION_LENGTH = 1;
+
+/**
+ * Validates that a given buffer is a valid condition variable storage.
+ * @param {any} buffer Buffer to validate.
+ * @throws {MutexError} If buffer is invalid.
+ */
+const validateConditionBuffer = buffer => validateBuffer(buffer, CONDITION_LENGTH);
+
+/**
+ * Validates the mutex passed to a wait operation.
+ * @param {any} mutex Mutex to validate.
+ * @throws {MutexError} If mutex is invalid.
+ */
+const validateMutex = mutex => {
+  if (
+    !mutex ||
+    !(mutex.buffer instanceof Int32Array) ||
+    typeof mutex.lock !== 'function' ||
+    typeof mutex.lockSync !== 'function'
+  ) {
+    throw new MutexError('Invalid mutex: must be a mutex object with a buffer and lock methods');
+  }
+};
+
+/**
+ * Validates the predicate passed to a waitUntil operation.
+ * @param {any} predicate Predicate to validate.
+ * @throws {MutexError} If predicate is invalid.
+ */
+const validatePredicate = predicate => {
+  if (typeof predicate !== 'function') {
+    throw new MutexError('Invalid predicate: must provide a function');
+  }
+};
+
+/**
+ * Computes the time left until `deadline`.
+ * @param {number} deadline Absolute deadline on the `now()` clock, or Infinity.
+ * @returns {number} Remaining milliseconds, never negative.
+ */
+const remaining = deadline => (deadline === Infinity ? Infinity : Math.max(0, deadline - now()));
+
+/**
+ * Releases `mutex`, waits for a notification and re-acquires `mutex`.
+ *
+ * @param {Int32Array} buffer Condition buffer.
+ * @param {ConditionMutex} mutex Mutex held by the caller.
+ * @param {number} timeoutMs Timeout in milliseconds.
+ * @returns {Promise<boolean>} False if the wait timed out.
+ */
+const wait = async (buffer, mutex, timeoutMs) => {
+  validateMutex(mutex);
+  validateTimeout(timeoutMs);
+
+  // Snapshot before releasing, so a notification sent in between is not lost
+  const sequence = Atomics.load(buffer, ConditionSlot.Sequence);
+  const acquisition = suspendLock(mutex);
+  try {
+    return (await waitAsync(buffer, ConditionSlot.Sequence, sequence, timeoutMs)) !== 'timed-out';
+  } finally {
+    await resumeLock(mutex, acquisition);
+  }
+};
+
+/**
+ * Synchronous (blocking) counterpart of {@link wait}.
+ *
+ * @param {Int32Array} buffer Condition buffer.
+ * @param {ConditionMutex} mutex Mutex held by the caller.
+ * @param {number} timeoutMs Timeout in milliseconds.
+ * @returns {boolean} False if the wait timed out.
+ */
+const waitSync = (buffer, mutex, timeoutMs) => {
+  validateMutex(mutex);
+  validateTimeout(timeoutMs);
+
+  const sequence = Atomics.load(buffer, ConditionSlot.Sequence);
+  const acquisition = suspendLock(mutex);
+  try {
+    return Atomics.wait(buffer, ConditionSlot.Sequence, sequence, timeoutMs) !== 'timed-out';
+  } finally {
+    resumeLockSync(mutex, acquisition);
+  }
+};
+
+/**
+ * Wakes up waiters of a condition.
+ *
+ * @param {Int32Array} buffer Condition buffer.
+ * @param {number} [count] Number of waiters to wake, all when omitted.
+ */
+const notify = (buffer, count) => {
+  Atomics.add(buffer, ConditionSlot.Sequence, 1);
+  Atomics.notify(buffer, ConditionSlot.Sequence, count);
+};
+
+/**
+ * Binds the condition variable operations to a validated buffer.
+ *
+ * @param {Int32Array} buffer Condition buffer.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   toDescriptor: () => LockDescriptor,
+ *   wait: (mutex: ConditionMutex, timeoutMs?: number) => Promise<boolean>,
+ *   waitSync: (mutex: ConditionMutex, timeoutMs?: number) => boolean,
+ *   waitUntil: (mutex: ConditionMutex, predicate: () => boolean, timeoutMs?: number) => Promise<boolean>,
+ *   waitUntilSync: (mutex: ConditionMutex, predicate: () => boolean, timeoutMs?: number) => boolean,
+ *   notifyOne: () => void,
+ *   notifyAll: () => void
+ * }>} A frozen condition variable object.
+ */
+const bindCondition = buffer =>
+  Object.freeze({
+    buffer,
+    toDescriptor: () => createDescriptor('condition', buffer),
+    wait: (mutex, timeoutMs = Infinity) => wait(buffer, mutex, timeoutMs),
+    waitSync: (mutex, timeoutMs = Infinity) => waitSync(buffer, mutex, timeoutMs),
+    waitUntil: async (mutex, predicate, timeoutMs = Infinity) => {
+      validatePredicate(predicate);
+      validateTimeout(timeoutMs);
+
+      const deadline = timeoutMs === Infinity ? Infinity : now() + timeoutMs;
+      while (!predicate()) {
+        if (!(await wait(buffer, mutex, remaining(deadline)))) {
+          return predicate();
+        }
+      }
+      return true;
+    },
+    waitUntilSync: (mutex, predicate, timeoutMs = Infinity) => {
+      validatePredicate(predicate);
+      validateTimeout(timeoutMs);
+
+      const deadline = timeoutMs === Infinity ? Infinity : now() + timeoutMs;
+      while (!predicate()) {
+        if (!waitSync(buffer, mutex, remaining(deadline))) {
+          return predicate();
+        }
+      }
+      return true;
+    },
+    notifyOne: () => notify(buffer, 1),
+    notifyAll: () => notify(buffer),
+  });
+
+/**
+ * Creates a condition variable using SharedArrayBuffer and Atomics.
+ * A condition is used together with a mutex from `createMutex`/`withMutex`: `wait` atomically
+ * releases the mutex, parks until notified and re-acquires the mutex before returning, so the
+ * caller's lock handle remains valid. The mutex is re-acquired through the mutex object, so its
+ * hooks, statistics, deadlock detection and lock order checks apply as to any acquisition, and a
+ * recursive mutex gets its hold count back. Waits may wake up spuriously; prefer `waitUntil`
+ * with a predicate over shared state.
+ *
+ * @returns {ReturnType<typeof bindCondition>} A frozen condition variable object.
+ *
+ * @example
+ * const mutex = createMutex();
+ * const condition = createCondition();
+ *
+ * // consumer
+ * await rapidGuard(mutex, async () => {
+ *   await condition.waitUntil(mutex, () => queue.length > 0);
+ *   consume(queue.shift());
+ * });
+ *
+ * // producer
+ * await rapidGuard(mutex, () => {
+ *   queue.push(item);
+ *   condition.notifyOne();
+ * });
+ */
+export const createCondition = () => {
+  const buffer = allocateBuffer('condition', CONDITION_LENGTH);
+  return bindCondition(buffer);
+};
+
+/**
+ * Creates a condition variable over an existing buffer, e.g. one received from another worker.
+ * The mutex used with it must be shared the same way.
+ *
+ * @param {Int32Array} input Buffer of a condition created by `createCondition`.
+ * @param {Object} [options] Binding options.
+ * @param {number} [options.index=0] Slot index of the condition within `input`.
+ * @returns {ReturnType<typeof bindCondition>} A frozen condition variable object.
+ * @throws {MutexError} If buffer is invalid.
+ *
+ * @example
+ * // main thread
+ * new Worker('./worker.js', { workerData: { mutex: mutex.buffer, condition: condition.buffer } });
+ *
+ * // worker.js
+ * const mutex = withMutex(workerData.mutex);
+ * const condition = withCondition(workerData.condition);
+ */
+export const withCondition = (input, { index = 0 } = {}) => {
+  const buffer = bufferAt(input, index);
+  validateConditionBuffer(buffer);
+
+  return bindCondition(buffer);
+};
@@ -0,0 +1,343 @@
+import {
+  MutexError,
+  MutexDeadlockError,
+  allocateBuffer,
+  createDescriptor,
+  currentThreadId,
+  validateBuffer,
+} from './common';
+
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+
+/**
+ * Slot indexes of the deadlock detector header.
+ * - `MaxThreads`: number of thread entries of the wait-for graph.
+ * - `Releases`: number of locks released by all threads, which outdates the waits recorded on
+ *   threads that had no entry.
+ * @readonly
+ * @enum {number}
+ */
+const DetectorSlot = Object.freeze({
+  MaxThreads: 0,
+  Releases: 1,
+});
+
+/**
+ * Number of Int32 slots of the deadlock detector header.
+ * @type {number}
+ */
+const HEADER_LENGTH = 2;
+
+/**
+ * Slot offsets within a thread entry of the wait-for graph.
+ * - `Thread`: identifier of the thread owning the entry (0 when free). A thread only owns an
+ *   entry while it waits.
+ * - `WaitingFor`: identifier of the thread holding the lock being waited on (0 if none).
+ * - `Waiters`: number of acquisitions of the thread currently waiting.
+ * - `Observed`: `Releases` of the entry of the holder when the wait was recorded, or of the
+ *   detector if it had none.
+ * - `Releases`: number of locks released by the owners of the entry, which outdates the waits
+ *   recorded on them. Also counts the entry being freed.
+ * - `ObservedEntry`: slot index of the entry of the holder when the wait was recorded, -1 if it
+ *   had none.
+ * @readonly
+ * @enum {number}
+ */
+const EntrySlot = Object.freeze({
+  Thread: 0,
+  WaitingFor: 1,
+  Waiters: 2,
+  Observed: 3,
+  Releases: 4,
+  ObservedEntry: 5,
+});
+
+/**
+ * Number of Int32 slots of a thread entry.
+ * @type {number}
+ */
+const ENTRY_LENGTH = 6;
+
+/**
+ * Longest time an acquisition watched by a deadlock detector parks before recording its wait
+ * again, as the waits recorded before a release of the holder are no longer trusted.
+ * @type {number}
+ */
+export const RECHECK_MS = 50;
+
+/**
+ * Finds the entry of `thread` in the wait-for graph.
+ *
+ * @param {Int32Array} buffer Detector buffer.
+ * @param {number} thread Thread identifier, as stored in the owner slot of mutexes.
+ * @param {boolean} claim Whether to claim a free entry if the thread has none.
+ * @returns {number} Slot index of the entry, or -1 if missing and not claimed.
+ * @throws {MutexError} If the graph has no room left for the thread.
+ */
+const findEntry = (buffer, thread, claim) => {
+  const maxThreads = buffer[DetectorSlot.MaxThreads];
+
+  for (let i = 0; i < maxThreads; i++) {
+    const entry = HEADER_LENGTH + i * ENTRY_LENGTH;
+    const current = Atomics.load(buffer, entry + EntrySlot.Thread);
+    if (current === thread) {
+      return entry;
+    }
+    if (
+      current === 0 &&
+      claim &&
+      Atomics.compareExchange(buffer, entry + EntrySlot.Thread, 0, thread) === 0
+    ) {
+      return entry;
+    }
+  }
+
+  if (!claim) {
+    return -1;
+  }
+  throw new MutexError(`Deadlock detector is full (max ${maxThreads} threads)`);
+};
+
+/**
+ * Reads which thread `thread` is waiting for. A wait recorded before the holder released a lock
+ * may be stale, as the lock waited on may be the one released, so it only counts once the
+ * waiter recorded it again. So does a wait recorded before the holder left its entry, as its
+ * releases are not counted without one. A wait on a holder that had no entry only counts while
+ * no thread released a lock.
+ *
+ * @param {Int32Array} buffer Detector buffer.
+ * @param {number} thread Thread identifier.
+ * @returns {number} Identifier of the awaited thread, or 0 if `thread` is not known to wait.
+ */
+const waitingFor = (buffer, thread) => {
+  const entry = findEntry(buffer, thread, false);
+  if (entry === -1 || Atomics.load(buffer, entry + EntrySlot.Waiters) === 0) {
+    return 0;
+  }
+
+  const holder = Atomics.load(buffer, entry + EntrySlot.WaitingFor);
+  const observedEntry = Atomics.load(buffer, entry + EntrySlot.ObservedEntry);
+  const observed = Atomics.load(buffer, entry + EntrySlot.Observed);
+  const releases =
+    observedEntry === -1
+      ? Atomics.load(buffer, DetectorSlot.Releases)
+      : findEntry(buffer, holder, false) === observedEntry &&
+        Atomics.load(buffer, observedEntry + EntrySlot.Releases);
+  if (
+    holder === 0 ||
+    releases !== observed ||
+    // Recorded again meanwhile
+    Atomics.load(buffer, entry + EntrySlot.WaitingFor) !== holder
+  ) {
+    return 0;
+  }
+  return holder;
+};
+
+/**
+ * Follows the wait-for edges starting at the current thread.
+ *
+ * @param {Int32Array} buffer Detector buffer.
+ * @returns {number[]|null} Thread identifiers of the cycle going through the current thread,
+ *   starting with it, or null if there is none.
+ */
+const findCycle = buffer => {
+  const cycle = [currentThreadId];
+  let next = waitingFor(buffer, currentThreadId);
+
+  while (next !== 0) {
+    if (next === currentThreadId) {
+      return cycle;
+    }
+    if (cycle.includes(next)) {
+      // A cycle the current thread is not part of, reported by its own members
+      return null;
+    }
+    cycle.push(next);
+    next = waitingFor(buffer, next);
+  }
+  return null;
+};
+
+/**
+ * Registers an acquisition of the current thread that found the lock busy, claiming an entry
+ * for the thread if it has none. Must be balanced by {@link leaveWait}.
+ *
+ * @param {Int32Array} buffer Detector buffer.
+ * @throws {MutexError} If the graph has no room left for the thread.
+ */
+export const enterWait = buffer => {
+  Atomics.add(buffer, findEntry(buffer, currentThreadId, true) + EntrySlot.Waiters, 1);
+};
+
+/**
+ * Records that the current thread waits for the holder of a lock, and checks that this does
+ * not close a cycle in the wait-for graph. Called again after every failed attempt, so that
+ * waits outdated by a release of the holder are recorded again.
+ *
+ * @param {Int32Array} buffer Detector buffer.
+ * @param {() => number} owner Reads the identifier of the thread holding the lock, as stored in
+ *   its owner slot.
+ * @throws {MutexDeadlockError} If the holder is, directly or not, waiting for the current thread.
+ */
+export const waitOn = (buffer, owner) => {
+  const entry = findEntry(buffer, currentThreadId, false);
+  const holder = owner();
+  // Tasks of the same thread waiting on each other are not a deadlock between threads
+  if (holder === 0 || holder === currentThreadId) {
+    Atomics.store(buffer, entry + EntrySlot.WaitingFor, 0);
+    return;
+  }
+
+  // Holding the lock after its releases were read, the holder did not release it since
+  const holderEntry = findEntry(buffer, holder, false);
+  const observed = Atomics.load(
+    buffer,
+    holderEntry === -1 ? DetectorSlot.Releases : holderEntry + EntrySlot.Releases
+  );
+  if (owner() !== holder) {
+    Atomics.store(buffer, entry + EntrySlot.WaitingFor, 0);
+    return;
+  }
+  Atomics.store(buffer, entry + EntrySlot.ObservedEntry, holderEntry);
+  Atomics.store(buffer, entry + EntrySlot.Observed, observed);
+  Atomics.store(buffer, entry + EntrySlot.WaitingFor, holder);
+
+  const cycle = findCycle(buffer);
+  if (cycle) {
+    const threadIds = cycle.map(thread => thread - 1);
+    throw new MutexDeadlockError(
+      `Mutex lock would deadlock: ${[...threadIds, threadIds[0]]
+        .map(threadId => `thread ${threadId}`)
+        .join(' -> ')}`,
+      threadIds
+    );
+  }
+};
+
+/**
+ * Records that the current thread released a lock, outdating the waits recorded on it.
+ *
+ * @param {Int32Array} buffer Detector buffer.
+ */
+export const releasedLock = buffer => {
+  Atomics.add(buffer, DetectorSlot.Releases, 1);
+  const entry = findEntry(buffer, currentThreadId, false);
+  if (entry !== -1) {
+    Atomics.add(buffer, entry + EntrySlot.Releases, 1);
+  }
+};
+
+/**
+ * Unregisters an acquisition registered with {@link enterWait}, once it completed or failed.
+ * The entry of the thread is freed with its last waiting acquisition, so that threads only use
+ * entries while they wait. The waits recorded on it are outdated first, as the releases of the
+ * thread are no longer counted.
+ *
+ * @param {Int32Array} buffer Detector buffer.
+ */
+export const leaveWait = buffer => {
+  const entry = findEntry(buffer, currentThreadId, false);
+  if (Atomics.sub(buffer, entry + EntrySlot.Waiters, 1) === 1) {
+    Atomics.store(buffer, entry + EntrySlot.WaitingFor, 0);
+    Atomics.add(buffer, entry + EntrySlot.Releases, 1);
+    Atomics.store(buffer, entry + EntrySlot.Thread, 0);
+  }
+};
+
+/**
+ * Binds the deadlock detector operations to a validated buffer.
+ *
+ * @param {Int32Array} buffer Detector buffer.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   toDescriptor: () => LockDescriptor,
+ *   waits: () => Array<{threadId: number, waitingFor: number}>
+ * }>} A frozen deadlock detector object.
+ */
+const bindDeadlockDetector = buffer =>
+  Object.freeze({
+    buffer,
+    toDescriptor: () => createDescriptor('deadlock-detector', buffer),
+    waits: () => {
+      const waits = [];
+      for (let i = 0; i < buffer[DetectorSlot.MaxThreads]; i++) {
+        const entry = HEADER_LENGTH + i * ENTRY_LENGTH;
+        const thread = Atomics.load(buffer, entry + EntrySlot.Thread);
+        const holder = waitingFor(buffer, thread);
+        if (thread !== 0 && holder !== 0) {
+          waits.push({ threadId: thread - 1, waitingFor: holder - 1 });
+        }
+      }
+      return waits;
+    },
+  });
+
+/**
+ * Creates a deadlock detector, i.e. a wait-for graph between threads kept in shared memory.
+ * Mutexes created or bound with the `deadlockDetector` option record in it which thread they
+ * wait for while blocked; an acquisition that would close a cycle is rejected with a
+ * {@link MutexDeadlockError} listing the threads of the cycle, instead of waiting forever.
+ *
+ * The graph tracks threads, not tasks: a thread counts as blocked while any of its
+ * acquisitions waits, so a thread interleaving several async acquisitions may be reported in a
+ * cycle that one of its other tasks would have broken.
+ *
+ * A wait only counts while its holder has released no lock since it was recorded, as the
+ * waiter may not have woken up yet from the release of the lock it waits on. Waiters record
+ * their wait again at least every 50ms, so a deadlock is reported within that time. Every
+ * mutex object of a lock must use the detector, for its releases to be recorded.
+ *
+ * @param {Object} [options] Detector options.
+ * @param {number} [options.maxThreads=64] Maximum number of threads waiting at once.
+ * @returns {ReturnType<typeof bindDeadlockDetector>} A frozen deadlock detector object.
+ * @throws {MutexError} If options are invalid.
+ *
+ * @example
+ * // main thread
+ * const detector = createDeadlockDetector();
+ * const accounts = createMutex({ deadlockDetector: detector });
+ * const ledger = createMutex({ deadlockDetector: detector });
+ * new Worker('./worker.js', {
+ *   workerData: { detector: detector.buffer, accounts: accounts.buffer, ledger: ledger.buffer },
+ * });
+ *
+ * // worker.js
+ * const deadlockDetector = withDeadlockDetector(workerData.detector);
+ * const ledger = withMutex(workerData.ledger, { deadlockDetector });
+ * const accounts = withMutex(workerData.accounts, { deadlockDetector });
+ * try {
+ *   await rapidGuard(ledger, () => rapidGuard(accounts, () => transfer()));
+ * } catch (error) {
+ *   if (error instanceof MutexDeadlockError) console.error(error.cycle); // [2, 0]
+ * }
+ */
+export const createDeadlockDetector = ({ maxThreads = 64 } = {}) => {
+  if (!Number.isInteger(maxThreads) || maxThreads < 1) {
+    throw new MutexError('Max threads must be a positive integer');
+  }
+
+  const buffer = allocateBuffer('deadlock-detector', HEADER_LENGTH + maxThreads * ENTRY_LENGTH);
+  buffer[DetectorSlot.MaxThreads] = maxThreads;
+
+  return bindDeadlockDetector(buffer);
+};
+
+/**
+ * Creates a deadlock detector over an existing buffer, e.g. one received from another worker.
+ *
+ * @param {Int32Array} buffer Buffer of a detector created by `createDeadlockDetector`.
+ * @returns {ReturnType<typeof bindDeadlockDetector>} A frozen deadlock detector object.
+ * @throws {MutexError} If buffer is invalid.
+ */
+export const withDeadlockDetector = buffer => {
+  validateBuffer(buffer, DetectorSlot.MaxThreads + 1);
+
+  const maxThreads = buffer[DetectorSlot.MaxThreads];
+  if (maxThreads < 1) {
+    throw new MutexError('Invalid buffer: not a deadlock detector');
+  }
+  validateBuffer(buffer, HEADER_LENGTH + maxThreads * ENTRY_LENGTH);
+
+  return bindDeadlockDetector(buffer);
+};
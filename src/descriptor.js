@@ -0,0 +1,129 @@
+import { LAYOUT_VERSION, MutexError, readTag } from './common';
+import { withMutex, withRecursiveMutex } from './mutex';
+import { withRwLock } from './rwlock';
+import { withSemaphore } from './semaphore';
+import { withCondition } from './condition';
+import { withMutexRegistry } from './registry';
+import { withMutexArena } from './arena';
+import { withKeyedMutex } from './keyed';
+import { withDeadlockDetector } from './deadlock';
+import { withOnce } from './once';
+
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+/** @typedef {import('./mutex').MutexHooks} MutexHooks */
+/** @typedef {import('./mutex').SpinOptions} SpinOptions */
+
+/**
+ * Rebuilds a primitive of each kind from the view of its slots.
+ * @type {Readonly<Object<string, (buffer: Int32Array, options: Object) => any>>}
+ */
+const rebuilders = Object.freeze({
+  mutex: (buffer, options) => withMutex(buffer, options),
+  'recursive-mutex': buffer => withRecursiveMutex(buffer),
+  rwlock: buffer => withRwLock(buffer),
+  semaphore: buffer => withSemaphore(buffer),
+  condition: buffer => withCondition(buffer),
+  'mutex-registry': buffer => withMutexRegistry(buffer),
+  'mutex-arena': buffer => withMutexArena(buffer),
+  'keyed-mutex': buffer => withKeyedMutex(buffer),
+  'deadlock-detector': buffer => withDeadlockDetector(buffer),
+  once: buffer => withOnce(buffer),
+});
+
+/**
+ * Kinds of primitives embedded in the memory of others, by kind of the containing primitive.
+ * @type {Readonly<Object<string, ReadonlyArray<string>>>}
+ */
+const embeddedKinds = Object.freeze({
+  'mutex-arena': Object.freeze(['mutex']),
+  'mutex-registry': Object.freeze(['mutex']),
+  'keyed-mutex': Object.freeze(['mutex']),
+});
+
+/**
+ * Rebuilds a lock primitive from the descriptor returned by its `toDescriptor()`, e.g. after
+ * posting it to a worker. Unlike a bare buffer, a descriptor says which primitive it holds and
+ * which layout version laid it out, so a mismatch fails with a {@link MutexError} rather than
+ * misreading the buffer. The memory allocated by the `create*` functions records them as well,
+ * and must agree with the descriptor; memory laid out by the caller is trusted.
+ *
+ * @param {LockDescriptor} descriptor Descriptor of the primitive.
+ * @param {MutexHooks & {kind?: string, deadlockDetector?: {buffer: Int32Array}, name?: string, level?: number, spin?: SpinOptions}} [options={}]
+ *   - Kind of primitive expected, and for mutexes, the options of this mutex object as in
+ *   `withMutex`. The name recorded in the descriptor is used unless `name` is given.
+ * @returns {any} The rebuilt primitive, as returned by the matching `with*` function.
+ * @throws {MutexError} If the descriptor is invalid, was produced for another layout version,
+ *   or describes another kind of primitive than `kind` or than its buffer holds.
+ *
+ * @example
+ * // main thread
+ * const mutex = createMutex({ name: 'accounts' });
+ * worker.postMessage(mutex.toDescriptor());
+ *
+ * // worker.js
+ * parentPort.on('message', descriptor => {
+ *   const accounts = fromDescriptor(descriptor, { kind: 'mutex' });
+ * });
+ */
+export const fromDescriptor = (descriptor, { kind: expectedKind, ...options } = {}) => {
+  if (!descriptor || typeof descriptor !== 'object') {
+    throw new MutexError('Invalid descriptor: must be an object returned by toDescriptor()');
+  }
+  const { kind, buffer, offset, length, layout, name } = descriptor;
+
+  if (layout !== LAYOUT_VERSION) {
+    throw new MutexError(
+      Number.isInteger(layout)
+        ? `Incompatible descriptor: laid out with layout version ${layout}, this version of the library uses ${LAYOUT_VERSION}`
+        : 'Invalid descriptor: missing layout version'
+    );
+  }
+  if (typeof kind !== 'string' || !Object.prototype.hasOwnProperty.call(rebuilders, kind)) {
+    throw new MutexError(`Invalid descriptor: unknown kind ${String(kind)}`);
+  }
+  if (expectedKind !== undefined && kind !== expectedKind) {
+    throw new MutexError(`Descriptor mismatch: expected a ${expectedKind}, got a ${kind}`);
+  }
+  if (!(buffer instanceof SharedArrayBuffer)) {
+    throw new MutexError('Invalid descriptor: buffer must be a SharedArrayBuffer');
+  }
+  const tag = readTag(buffer);
+  if (tag !== null && tag.layout !== LAYOUT_VERSION) {
+    throw new MutexError(
+      `Incompatible buffer: laid out with layout version ${tag.layout}, this version of the library uses ${LAYOUT_VERSION}`
+    );
+  }
+  // The tag of the memory follows the slots of the primitives
+  const slots =
+    Math.floor(buffer.byteLength / Int32Array.BYTES_PER_ELEMENT) - (tag === null ? 0 : 1);
+  if (
+    !Number.isInteger(offset) ||
+    !Number.isInteger(length) ||
+    offset < 0 ||
+    length < 1 ||
+    offset + length > slots
+  ) {
+    throw new MutexError(
+      `Invalid descriptor: slots ${offset} to ${offset + length} do not fit in a buffer of ${slots} slots`
+    );
+  }
+  if (
+    tag !== null &&
+    (tag.kind === kind
+      ? offset !== 0
+      : !(offset > 0 && (embeddedKinds[tag.kind] || []).includes(kind)))
+  ) {
+    throw new MutexError(
+      `Descriptor mismatch: its buffer holds a ${tag.kind}, not a ${kind} at slot ${offset}`
+    );
+  }
+  if (name !== null && typeof name !== 'string') {
+    throw new MutexError('Invalid descriptor: name must be a string or null');
+  }
+  if (kind !== 'mutex' && Object.keys(options).length > 0) {
+    throw new MutexError(`Invalid options: a ${kind} is rebuilt without options`);
+  }
+
+  const view = new Int32Array(buffer, offset * Int32Array.BYTES_PER_ELEMENT, length);
+  return rebuilders[kind](view, name === null ? options : { name, ...options });
+};
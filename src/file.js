@@ -0,0 +1,500 @@
+import {
+  MutexError,
+  dispose,
+  now,
+  resolveAcquireOptions,
+  timeoutError,
+  abortError,
+} from './common';
+
+/** @typedef {import('./common').AcquireOptions} AcquireOptions */
+/** @typedef {import('./mutex').LockHandle} LockHandle */
+
+/**
+ * Contents of a lock file, identifying the acquisition holding the lock.
+ * @typedef {Object} LockFileOwner
+ * @property {number} pid Identifier of the holding process.
+ * @property {string} host Host name of the holding process.
+ * @property {string} token Token of the acquisition.
+ * @property {number} acquiredAt Time of the acquisition, in milliseconds since the epoch.
+ */
+
+/**
+ * Lock files held by the current process, by path, with the token of their acquisition.
+ * They are removed when the process exits.
+ * @type {Map<string, string>}
+ */
+const heldFiles = new Map();
+
+/**
+ * Number of acquisitions made by the current process, used to mint unique tokens.
+ * @type {number}
+ */
+let acquisitions = 0;
+
+/**
+ * Loads the Node.js modules used by file mutexes, which do not exist in browsers.
+ * @returns {{fs: typeof import('fs'), os: typeof import('os'), path: typeof import('path')}}
+ *   Node.js modules.
+ * @throws {MutexError} If the runtime has no file system access.
+ */
+const nodeModules = () => {
+  try {
+    return { fs: require('fs'), os: require('os'), path: require('path') };
+  } catch {
+    throw new MutexError('File mutexes require Node.js');
+  }
+};
+
+/**
+ * Error codes of file systems that do not support hard links.
+ * @type {ReadonlyArray<string>}
+ */
+const NO_HARD_LINKS = Object.freeze(['EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'ENOSYS']);
+
+/**
+ * Mints a token unique across processes and hosts.
+ * @returns {string} New token.
+ */
+const mintToken = () => `${process.pid}-${++acquisitions}-${Math.random().toString(36).slice(2)}`;
+
+/**
+ * Reads the token recorded in the contents of a lock file.
+ * @param {string} contents Contents of a lock file.
+ * @returns {string|null} Token, or null if the contents are not those of a lock file.
+ */
+const tokenOf = contents => {
+  try {
+    return JSON.parse(contents).token;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Creates a lock file from a file written aside, unless the lock file exists. It is hard-linked
+ * into place, so it never appears partially written. On file systems without hard links, it is
+ * created exclusively and written in place instead: readers may then find it empty for a moment.
+ *
+ * @param {typeof import('fs')} fs Node.js fs module.
+ * @param {string} file Path of the lock file.
+ * @param {string} source Path of the file written aside.
+ * @param {string} contents Contents of the file written aside.
+ * @throws {Error} With code EEXIST if the lock file exists.
+ */
+const placeLockFile = (fs, file, source, contents) => {
+  try {
+    fs.linkSync(source, file);
+  } catch (error) {
+    if (!NO_HARD_LINKS.includes(error.code)) {
+      throw error;
+    }
+    fs.writeFileSync(file, contents, { flag: 'wx' });
+  }
+};
+
+/**
+ * Time after which a takeover guard, or a lock file still empty, was left behind by a process
+ * that died while writing it, in milliseconds. Both only exist for a few file operations.
+ * @type {number}
+ */
+const SETUP_STALE_MS = 1000;
+
+/**
+ * Tells whether a file was last modified longer than {@link SETUP_STALE_MS} ago.
+ * @param {typeof import('fs')} fs Node.js fs module.
+ * @param {string} file Path of the file.
+ * @returns {boolean} False if the file is recent or does not exist.
+ */
+const isAbandoned = (fs, file) => {
+  try {
+    return Date.now() - fs.statSync(file).mtimeMs > SETUP_STALE_MS;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Removes a lock file if it matches, under its takeover guard: `${file}.takeover`, created
+ * exclusively. Lock files are only removed under the guard, so the lock file checked under it
+ * cannot be replaced before it is removed, and a lock file that does not match is never touched.
+ * A guard left behind by a process that died holding it is removed once abandoned.
+ *
+ * @param {typeof import('fs')} fs Node.js fs module.
+ * @param {string} file Path of the lock file.
+ * @param {(contents: string) => boolean} matches Tells whether the contents are those of the
+ *   lock file to remove.
+ * @param {boolean} wait Wait for the guard while another process holds it, rather than give up.
+ * @returns {boolean} True if the lock file was removed.
+ * @throws {MutexError} If the guard cannot be created or the lock file cannot be removed.
+ */
+const removeLockFile = (fs, file, matches, wait) => {
+  const guard = `${file}.takeover`;
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    try {
+      fs.closeSync(fs.openSync(guard, 'wx'));
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw new MutexError(`Cannot create takeover guard ${guard}: ${error.message}`);
+      }
+    }
+    if (isAbandoned(fs, guard)) {
+      try {
+        fs.unlinkSync(guard);
+      } catch {
+        // Removed by another process in the meantime
+      }
+    } else if (!wait) {
+      return false;
+    } else {
+      sleepSync(1);
+    }
+  }
+
+  try {
+    if (!matches(fs.readFileSync(file, 'utf8'))) {
+      return false;
+    }
+    fs.unlinkSync(file);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw new MutexError(`Cannot remove lock file ${file}: ${error.message}`);
+  } finally {
+    try {
+      fs.unlinkSync(guard);
+    } catch {
+      // Removed as abandoned by another process
+    }
+  }
+};
+
+/**
+ * Removes the lock files still held by the current process, when it exits.
+ * Registered once, on the first acquisition of a file mutex.
+ */
+const cleanupOnExit = (() => {
+  let registered = false;
+  return fs => {
+    if (registered) {
+      return;
+    }
+    registered = true;
+    process.on('exit', () => {
+      heldFiles.forEach((token, file) => {
+        try {
+          removeLockFile(fs, file, contents => tokenOf(contents) === token, true);
+        } catch {
+          // Cannot be removed any more
+        }
+      });
+    });
+  };
+})();
+
+/**
+ * Tells whether a process is running on this host.
+ * @param {number} pid Process identifier.
+ * @returns {boolean} False if the process does not exist.
+ */
+const isRunning = pid => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+};
+
+/**
+ * Blocks the current thread for a while, without spinning.
+ * @param {number} ms Time to sleep, in milliseconds.
+ */
+const sleepSync = ms => {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+};
+
+/**
+ * Waits for a while, rejecting early if `signal` is aborted.
+ *
+ * @param {number} ms Time to wait, in milliseconds.
+ * @param {AbortSignal|undefined} signal Optional abort signal.
+ * @param {string} label Name of the operation, used in error messages.
+ * @returns {Promise<void>} Resolves once the time has passed.
+ */
+const sleep = (ms, signal, label) =>
+  new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(label, signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+
+/**
+ * Creates a mutex shared between processes through a lock file, e.g. between `cluster` workers
+ * or CLI processes using the same cache directory. It has the surface of a mutex and works with
+ * `rapidGuard`. Node.js only.
+ *
+ * The lock is held while the file at `path` exists: it is created atomically (hard-linked into
+ * place, which fails if it exists, or created exclusively on file systems without hard links)
+ * with the pid, host and token of the acquisition, and removed on release, or when the holding
+ * process exits. Lock files are only checked and removed under a takeover guard next to them,
+ * created exclusively too, so that a lock file taken over in the meantime is never removed. A lock file left behind by a process that died
+ * on the same host is stale and taken over. With `staleMs`, the holder also refreshes the
+ * modification time of the file periodically, so that a lock file not refreshed for `staleMs`
+ * (e.g. of a host holding it on a network file system) is stale too.
+ *
+ * Waiting acquisitions poll the file every `pollMs`, as processes cannot wake each other up.
+ * The lock is not re-entrant, within a process as across processes.
+ *
+ * @param {string} path Path of the lock file. Its directory must exist.
+ * @param {Object} [options] File mutex options.
+ * @param {number} [options.pollMs=10] Time between two checks of a busy lock, in milliseconds.
+ * @param {number} [options.staleMs=Infinity] Time after which a lock file that was not
+ *   refreshed is stale, in milliseconds.
+ * @param {boolean} [options.strict=false] Throw when disposing a stale handle.
+ * @returns {Readonly<{
+ *   path: string,
+ *   dispose: symbol,
+ *   lock: (options?: number|AcquireOptions) => Promise<LockHandle>,
+ *   lockSync: (options?: number|AcquireOptions) => LockHandle,
+ *   tryLock: () => LockHandle|null,
+ *   unlock: () => void,
+ *   isLocked: () => boolean,
+ *   owner: () => LockFileOwner|null
+ * }>} A frozen file mutex object.
+ * @throws {MutexError} If path or options are invalid, or the runtime is not Node.js.
+ *
+ * @example
+ * // Any process using the same cache directory
+ * const mutex = createFileMutex(path.join(cacheDir, '.lock'), { staleMs: 30000 });
+ * await rapidGuard(mutex, () => rebuildCache(cacheDir), 10000);
+ */
+export const createFileMutex = (path, { pollMs = 10, staleMs = Infinity, strict = false } = {}) => {
+  if (!path || typeof path !== 'string') {
+    throw new MutexError('Invalid path: must be a non-empty string');
+  }
+  if (typeof pollMs !== 'number' || !(pollMs > 0) || pollMs === Infinity) {
+    throw new MutexError('Poll interval must be a positive number of milliseconds');
+  }
+  if (staleMs !== Infinity && (typeof staleMs !== 'number' || !(staleMs > 0))) {
+    throw new MutexError('Stale time must be a positive number of milliseconds or Infinity');
+  }
+
+  const { fs, os, path: paths } = nodeModules();
+  const file = paths.resolve(path);
+  const host = os.hostname();
+  let heartbeat = null;
+
+  /**
+   * Reads the owner of the lock file. A lock file found empty is being written in place, on a
+   * file system without hard links: it is held, by an owner not known yet.
+   * @returns {{owner: LockFileOwner|null, contents: string, modifiedAt: number}|null} Owner,
+   *   or null if the lock is free.
+   */
+  const readOwner = () => {
+    let contents;
+    let modifiedAt;
+    try {
+      contents = fs.readFileSync(file, 'utf8');
+      modifiedAt = fs.statSync(file).mtimeMs;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new MutexError(`Cannot read lock file ${file}: ${error.message}`);
+    }
+    if (contents === '') {
+      return { owner: null, contents, modifiedAt };
+    }
+
+    try {
+      return { owner: JSON.parse(contents), contents, modifiedAt };
+    } catch {
+      throw new MutexError(`Invalid lock file ${file}: not created by a file mutex`);
+    }
+  };
+
+  const isStale = ({ owner, modifiedAt }) =>
+    owner === null
+      ? Date.now() - modifiedAt > SETUP_STALE_MS
+      : (owner.host === host && owner.pid > 0 && !isRunning(owner.pid)) ||
+        Date.now() - modifiedAt > staleMs;
+
+  /**
+   * Removes a stale lock file, unless it changed since it was read.
+   * @param {string} contents Contents of the stale lock file.
+   */
+  const removeStale = contents => {
+    removeLockFile(fs, file, current => current === contents, false);
+  };
+
+  const holds = token => {
+    const current = readOwner();
+    return current !== null && current.owner !== null && current.owner.token === token;
+  };
+
+  const startHeartbeat = () => {
+    if (staleMs === Infinity || heartbeat !== null) {
+      return;
+    }
+    heartbeat = setInterval(
+      () => {
+        try {
+          const token = heldFiles.get(file);
+          if (token === undefined || !holds(token)) {
+            stopHeartbeat();
+            return;
+          }
+          const time = new Date();
+          fs.utimesSync(file, time, time);
+        } catch {
+          // Removed, taken over or corrupted in the meantime: the lock is not ours to refresh
+          stopHeartbeat();
+        }
+      },
+      Math.max(1, Math.floor(staleMs / 4))
+    );
+    if (typeof heartbeat.unref === 'function') {
+      heartbeat.unref();
+    }
+  };
+
+  const stopHeartbeat = () => {
+    clearInterval(heartbeat);
+    heartbeat = null;
+  };
+
+  const release = token => {
+    heldFiles.delete(file);
+    stopHeartbeat();
+    return removeLockFile(fs, file, contents => tokenOf(contents) === token, true);
+  };
+
+  const createHandle = token => {
+    let released = false;
+    return {
+      acquiredAt: now(),
+      isHeld: () => !released && holds(token),
+      [dispose]: () => {
+        if (released) return;
+        released = true;
+        if (!release(token) && strict) {
+          throw new MutexError('Cannot release a stale lock handle: the lock was released since');
+        }
+      },
+    };
+  };
+
+  const tryLock = () => {
+    const current = readOwner();
+    if (current !== null) {
+      if (!isStale(current)) {
+        return null;
+      }
+      removeStale(current.contents);
+    }
+
+    const token = mintToken();
+    const temporary = `${file}.${token}`;
+    try {
+      const contents = JSON.stringify({ pid: process.pid, host, token, acquiredAt: Date.now() });
+      fs.writeFileSync(temporary, contents);
+      placeLockFile(fs, file, temporary, contents);
+    } catch (error) {
+      if (error.code === 'EEXIST') {
+        return null;
+      }
+      throw new MutexError(`Cannot create lock file ${file}: ${error.message}`);
+    } finally {
+      try {
+        fs.unlinkSync(temporary);
+      } catch {
+        // Never created
+      }
+    }
+
+    heldFiles.set(file, token);
+    cleanupOnExit(fs);
+    startHeartbeat();
+    return createHandle(token);
+  };
+
+  return Object.freeze({
+    path: file,
+    dispose,
+    lock: async options => {
+      const { timeoutMs, deadline, signal } = resolveAcquireOptions(options);
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        if (signal && signal.aborted) {
+          throw abortError('Mutex lock', signal);
+        }
+        const handle = tryLock();
+        if (handle) {
+          return handle;
+        }
+        const remainingTime = deadline - now();
+        if (remainingTime <= 0) {
+          throw timeoutError('Mutex lock', timeoutMs);
+        }
+        await sleep(Math.min(pollMs, remainingTime), signal, 'Mutex lock');
+      }
+    },
+    lockSync: options => {
+      const { timeoutMs, deadline, signal } = resolveAcquireOptions(options);
+      // eslint-disable-next-line no-constant-condition
+      while (true) {
+        if (signal && signal.aborted) {
+          throw abortError('Mutex lock', signal);
+        }
+        const handle = tryLock();
+        if (handle) {
+          return handle;
+        }
+        const remainingTime = deadline - now();
+        if (remainingTime <= 0) {
+          throw timeoutError('Mutex lock', timeoutMs);
+        }
+        sleepSync(Math.min(pollMs, remainingTime));
+      }
+    },
+    tryLock,
+    unlock: () => {
+      const current = readOwner();
+      if (current === null) {
+        throw new MutexError('Cannot unlock mutex that is not locked');
+      }
+      if (current.owner === null || current.owner.token !== heldFiles.get(file)) {
+        throw new MutexError('Cannot unlock mutex held by another process');
+      }
+      release(current.owner.token);
+    },
+    isLocked: () => {
+      const current = readOwner();
+      return current !== null && !isStale(current);
+    },
+    owner: () => {
+      const current = readOwner();
+      // Also null while a lock file is being written in place, as its owner is not known yet
+      if (current === null || current.owner === null || isStale(current)) {
+        return null;
+      }
+      return { ...current.owner };
+    },
+  });
+};
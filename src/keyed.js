@@ -0,0 +1,139 @@
+import {
+  MutexError,
+  allocateBuffer,
+  createDescriptor,
+  dispose,
+  hashBytes,
+  validateBuffer,
+} from './common';
+import { MUTEX_LENGTH, rapidGuard, withMutex } from './mutex';
+
+/** @typedef {import('./common').AcquireOptions} AcquireOptions */
+/** @typedef {import('./mutex').LockHandle} LockHandle */
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+
+/**
+ * Slot indexes of the keyed mutex header. The stripes follow, `MUTEX_LENGTH` slots each.
+ * - `Stripes`: number of mutexes keys are spread over.
+ * @readonly
+ * @enum {number}
+ */
+const KeyedSlot = Object.freeze({
+  Stripes: 0,
+});
+
+/**
+ * Number of Int32 slots of the keyed mutex header.
+ * @type {number}
+ */
+const HEADER_LENGTH = 1;
+
+/**
+ * Computes the number of Int32 slots of a keyed mutex.
+ * @param {number} stripes Number of stripes.
+ * @returns {number} Length of the buffer, in Int32 slots.
+ */
+const layoutLength = stripes => HEADER_LENGTH + stripes * MUTEX_LENGTH;
+
+/**
+ * Binds the keyed mutex operations to a validated buffer.
+ *
+ * @param {Int32Array} buffer Keyed mutex buffer.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   toDescriptor: () => LockDescriptor,
+ *   dispose: symbol,
+ *   stripes: () => number,
+ *   mutexFor: (key: string|number) => ReturnType<typeof withMutex>,
+ *   lock: (key: string|number, options?: number|AcquireOptions) => Promise<LockHandle>,
+ *   lockSync: (key: string|number, options?: number|AcquireOptions) => LockHandle,
+ *   tryLock: (key: string|number) => LockHandle|null,
+ *   isLocked: (key: string|number) => boolean,
+ *   guard: <T>(key: string|number, fn: () => Promise<T>|T, options?: number|AcquireOptions) => Promise<T>
+ * }>} A frozen keyed mutex object.
+ */
+const bindKeyedMutex = buffer => {
+  const stripes = buffer[KeyedSlot.Stripes];
+  const encoder = new TextEncoder();
+  const mutexes = new Array(stripes);
+
+  const mutexFor = key => {
+    if (typeof key !== 'string' && !(typeof key === 'number' && Number.isFinite(key))) {
+      throw new MutexError('Invalid key: must be a string or a finite number');
+    }
+
+    const stripe = (hashBytes(encoder.encode(String(key))) >>> 0) % stripes;
+    if (!mutexes[stripe]) {
+      const offset = buffer.byteOffset + (HEADER_LENGTH + stripe * MUTEX_LENGTH) * 4;
+      mutexes[stripe] = withMutex(new Int32Array(buffer.buffer, offset, MUTEX_LENGTH));
+    }
+    return mutexes[stripe];
+  };
+
+  return Object.freeze({
+    buffer,
+    toDescriptor: () => createDescriptor('keyed-mutex', buffer),
+    dispose,
+    stripes: () => stripes,
+    mutexFor,
+    lock: (key, options) => mutexFor(key).lock(options),
+    lockSync: (key, options) => mutexFor(key).lockSync(options),
+    tryLock: key => mutexFor(key).tryLock(),
+    isLocked: key => mutexFor(key).isLocked(),
+    guard: (key, fn, options) => rapidGuard(mutexFor(key), fn, options),
+  });
+};
+
+/**
+ * Creates a keyed mutex: a fixed set of mutexes ("stripes") stored in a single
+ * SharedArrayBuffer, over which an unbounded space of string or number keys is spread by hash.
+ * Every thread maps a key to the same stripe, so the buffer can be handed to workers once and
+ * used for any key, without allocating a mutex per key.
+ *
+ * Distinct keys may share a stripe and then exclude each other. Holding the locks of several
+ * keys at once may therefore deadlock, even within a thread: use a single key per critical
+ * section, or more stripes to make collisions rarer.
+ *
+ * @param {Object} [options] Keyed mutex options.
+ * @param {number} [options.stripes=64] Number of mutexes keys are spread over.
+ * @returns {ReturnType<typeof bindKeyedMutex>} A frozen keyed mutex object.
+ * @throws {MutexError} If options are invalid.
+ *
+ * @example
+ * // main thread
+ * const users = createKeyedMutex({ stripes: 256 });
+ * new Worker('./worker.js', { workerData: users.buffer });
+ *
+ * // worker.js
+ * const users = withKeyedMutex(workerData);
+ * await users.guard(userId, () => updateBalance(userId), 5000);
+ */
+export const createKeyedMutex = ({ stripes = 64 } = {}) => {
+  if (!Number.isInteger(stripes) || stripes < 1) {
+    throw new MutexError('Stripes must be a positive integer');
+  }
+
+  const buffer = allocateBuffer('keyed-mutex', layoutLength(stripes));
+  buffer[KeyedSlot.Stripes] = stripes;
+
+  return bindKeyedMutex(buffer);
+};
+
+/**
+ * Creates a keyed mutex over an existing buffer, e.g. one received from another worker.
+ *
+ * @param {Int32Array} buffer Buffer of a keyed mutex created by `createKeyedMutex`.
+ * @returns {ReturnType<typeof bindKeyedMutex>} A frozen keyed mutex object.
+ * @throws {MutexError} If buffer is invalid.
+ */
+export const withKeyedMutex = buffer => {
+  validateBuffer(buffer, HEADER_LENGTH);
+
+  const stripes = buffer[KeyedSlot.Stripes];
+  if (stripes < 1) {
+    throw new MutexError('Invalid buffer: not a keyed mutex');
+  }
+  validateBuffer(buffer, layoutLength(stripes));
+
+  return bindKeyedMutex(buffer);
+};
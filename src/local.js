@@ -0,0 +1,176 @@
+import { MutexError, dispose, now, resolveAcquireOptions, waitInQueue } from './common';
+
+/** @typedef {import('./common').AcquireOptions} AcquireOptions */
+/** @typedef {import('./common').QueuedWaiter} QueuedWaiter */
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+/** @typedef {import('./mutex').LockHandle} LockHandle */
+
+/**
+ * Options of shared mutexes that need shared memory or are not implemented in-process.
+ * @type {string[]}
+ */
+const SHARED_OPTIONS = [
+  'robust',
+  'leases',
+  'priorities',
+  'stats',
+  'deadlockDetector',
+  'name',
+  'level',
+  'spin',
+  'onAcquire',
+  'onRelease',
+  'onTimeout',
+];
+
+/**
+ * Acquisition options of shared mutexes that are not implemented in-process.
+ * @type {string[]}
+ */
+const SHARED_ACQUIRE_OPTIONS = ['ttlMs', 'priority'];
+
+/**
+ * Normalizes the options of an acquisition of an in-process mutex.
+ * @param {number|AcquireOptions} [options] Timeout in milliseconds or acquisition options.
+ * @returns {{timeoutMs: number, deadline: number, signal: AbortSignal|undefined}} Resolved options.
+ * @throws {MutexError} If options are invalid, or not supported in-process.
+ */
+const resolveLocalOptions = options => {
+  if (options && typeof options === 'object') {
+    SHARED_ACQUIRE_OPTIONS.forEach(name => {
+      if (options[name] !== undefined) {
+        throw new MutexError(`Option ${name} is not supported by in-process mutexes`);
+      }
+    });
+  }
+  return resolveAcquireOptions(options);
+};
+
+/**
+ * Rejects sending an in-process mutex to other threads.
+ * @returns {never}
+ * @throws {MutexError} Always.
+ */
+const rejectSharing = () => {
+  throw new MutexError(
+    'Cannot share an in-process mutex with other threads: it has no shared buffer'
+  );
+};
+
+/**
+ * Creates a mutex living in the memory of the current thread, for runtimes without
+ * `SharedArrayBuffer` (e.g. browsers without cross-origin isolation). It has the surface of a
+ * shared mutex and works with `rapidGuard`, but only excludes callers of the current thread:
+ * async callers wait in a promise queue and are granted the lock in call order, while
+ * `lockSync` cannot wait, as only the current thread could release the lock.
+ *
+ * Accessing its `buffer` or describing it, e.g. to send it to a worker, throws a
+ * {@link MutexError}.
+ *
+ * @param {Object} [options] Mutex options.
+ * @param {boolean} [options.strict=false] Throw when disposing a stale handle.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   shared: false,
+ *   toDescriptor: () => LockDescriptor,
+ *   dispose: symbol,
+ *   lock: (options?: number|AcquireOptions) => Promise<LockHandle>,
+ *   lockSync: (options?: number|AcquireOptions) => LockHandle,
+ *   tryLock: () => LockHandle|null,
+ *   unlock: () => void,
+ *   isLocked: () => boolean
+ * }>} A frozen in-process mutex object.
+ * @throws {MutexError} If an option requiring shared memory is set.
+ */
+export const createLocalMutex = ({ strict = false, ...unsupported } = {}) => {
+  SHARED_OPTIONS.forEach(name => {
+    if (unsupported[name] !== undefined && unsupported[name] !== false) {
+      throw new MutexError(`Option ${name} is not supported by in-process mutexes`);
+    }
+  });
+
+  /** @type {QueuedWaiter[]} */
+  const waiters = [];
+  let locked = false;
+  let token = 0;
+
+  const createHandle = () => {
+    const acquisition = ++token;
+    let released = false;
+    return {
+      acquiredAt: now(),
+      isHeld: () => !released && locked && token === acquisition,
+      [dispose]: () => {
+        if (released) return;
+        released = true;
+        if (!locked || token !== acquisition) {
+          if (strict) {
+            throw new MutexError('Cannot release a stale lock handle: the lock was released since');
+          }
+          return;
+        }
+        release();
+      },
+    };
+  };
+
+  const tryLock = () => {
+    if (locked) {
+      return null;
+    }
+    locked = true;
+    return createHandle();
+  };
+
+  // Rather than handing the lock over, the next waiter is woken once the releasing code yields,
+  // so that it can take the lock again meanwhile (e.g. lockAll backing off). A waiter finding
+  // the lock taken stays first in line.
+  const wakeNext = () => {
+    if (locked || waiters.length === 0) {
+      return;
+    }
+    const { resolve, cleanup } = waiters.shift();
+    cleanup();
+    resolve(tryLock());
+  };
+
+  const release = () => {
+    locked = false;
+    if (waiters.length > 0) {
+      Promise.resolve().then(wakeNext);
+    }
+  };
+
+  return Object.freeze({
+    get buffer() {
+      return rejectSharing();
+    },
+    shared: false,
+    toDescriptor: rejectSharing,
+    dispose,
+    lock: async options => {
+      const acquireOptions = resolveLocalOptions(options);
+      return (
+        (waiters.length === 0 && tryLock()) || waitInQueue(waiters, acquireOptions, 'Mutex lock')
+      );
+    },
+    lockSync: options => {
+      resolveLocalOptions(options);
+      const handle = tryLock();
+      if (!handle) {
+        throw new MutexError(
+          'Cannot wait synchronously for an in-process mutex: it is held by the current thread'
+        );
+      }
+      return handle;
+    },
+    tryLock,
+    unlock: () => {
+      if (!locked) {
+        throw new MutexError('Cannot unlock mutex that is not locked');
+      }
+      release();
+    },
+    isLocked: () => locked,
+  });
+};
@@ -0,0 +1,309 @@
+import {
+  MutexError,
+  MutexTimeoutError,
+  dispose,
+  now,
+  resolveAcquireOptions,
+  timeoutError,
+} from './common';
+import { guardedSection } from './lockorder';
+
+/** @typedef {import('./common').AcquireOptions} AcquireOptions */
+/** @typedef {import('./mutex').LockHandle} LockHandle */
+
+/**
+ * Disposable handle over a set of locks acquired together.
+ * @typedef {{
+ *   handles: LockHandle[],
+ *   isHeld: () => boolean,
+ *   [dispose]: () => void
+ * }} MultiLockHandle
+ */
+
+/**
+ * Tells whether two mutex objects are bound to the same lock: the same buffer slot, or the
+ * same lock file. In-process mutexes have no buffer, and are only bound to themselves.
+ *
+ * @param {any} a Mutex object.
+ * @param {any} b Mutex object.
+ * @returns {boolean} True if both mutex objects are bound to the same lock.
+ */
+const sameLock = (a, b) => {
+  if (a === b) {
+    return true;
+  }
+  if (a.shared === false || b.shared === false) {
+    return false;
+  }
+  if (typeof a.path === 'string' || typeof b.path === 'string') {
+    return a.path === b.path;
+  }
+  return a.buffer.buffer === b.buffer.buffer && a.buffer.byteOffset === b.buffer.byteOffset;
+};
+
+/**
+ * Validates a set of mutexes to acquire together.
+ *
+ * @param {any} mutexes Mutexes to validate.
+ * @throws {MutexError} If mutexes is not an array of distinct mutex objects.
+ */
+const validateMutexes = mutexes => {
+  if (!Array.isArray(mutexes)) {
+    throw new MutexError('Invalid mutexes: must be an array of mutex objects');
+  }
+
+  mutexes.forEach((mutex, i) => {
+    if (!mutex || typeof mutex.lock !== 'function' || typeof mutex.tryLock !== 'function') {
+      throw new MutexError('Invalid mutex: must be a mutex object with lock and tryLock methods');
+    }
+
+    const duplicate = mutexes.slice(0, i).some(other => sameLock(other, mutex));
+    if (duplicate) {
+      throw new MutexError('Invalid mutexes: the same mutex cannot be acquired twice');
+    }
+  });
+};
+
+/**
+ * Releases lock handles in reverse acquisition order.
+ * Every handle is released even if one throws; the first error is then rethrown.
+ *
+ * @param {LockHandle[]} handles Handles to release.
+ */
+const releaseAll = handles => {
+  let failure = null;
+  for (let i = handles.length - 1; i >= 0; i--) {
+    try {
+      handles[i][dispose]();
+    } catch (error) {
+      if (failure === null) {
+        failure = error;
+      }
+    }
+  }
+  if (failure !== null) {
+    throw failure;
+  }
+};
+
+/**
+ * Creates a disposable handle releasing all the given handles at most once.
+ *
+ * @param {LockHandle[]} handles Handles of the acquired locks, in `mutexes` order.
+ * @returns {MultiLockHandle} Disposable handle.
+ */
+const createMultiHandle = handles => {
+  let released = false;
+  return {
+    handles,
+    isHeld: () => !released && handles.every(handle => handle.isHeld()),
+    [dispose]: () => {
+      if (released) return;
+      released = true;
+      releaseAll(handles);
+    },
+  };
+};
+
+/**
+ * Takes every lock but `first`, which is already held, without waiting.
+ *
+ * @param {Array<{tryLock: () => LockHandle|null}>} mutexes Mutexes to acquire.
+ * @param {number} first Index of the mutex already held.
+ * @param {LockHandle} firstHandle Handle of the mutex already held.
+ * @returns {{handles: LockHandle[]|null, busy: number}} Handles of all the locks, or null and
+ *   the index of a busy lock, in which case every lock was released.
+ */
+const tryLockRest = (mutexes, first, firstHandle) => {
+  const handles = [];
+  for (let i = 0; i < mutexes.length; i++) {
+    const handle = i === first ? firstHandle : mutexes[i].tryLock();
+    if (handle === null) {
+      // The held lock is not among the handles yet if the busy one comes first
+      releaseAll(i < first ? [...handles, firstHandle] : handles);
+      return { handles: null, busy: i };
+    }
+    handles.push(handle);
+  }
+  return { handles, busy: -1 };
+};
+
+/**
+ * Upper bound of the first back-off after finding a lock busy, doubled on every further round
+ * up to {@link MAX_BACKOFF_MS}, in milliseconds.
+ * @type {number}
+ */
+const MIN_BACKOFF_MS = 1;
+
+/**
+ * Upper bound of the back-off after finding a lock busy, in milliseconds.
+ * @type {number}
+ */
+const MAX_BACKOFF_MS = 64;
+
+/**
+ * Slot parked on by {@link lockAllSync} to back off, never notified. Allocated on first use:
+ * loading the library must not require SharedArrayBuffer.
+ * @type {Int32Array|null}
+ */
+let backoffSlot = null;
+
+/**
+ * Blocks the current thread to back off. Without SharedArrayBuffer, only in-process mutexes
+ * exist, and the next round fails at once rather than waiting for them: it is not delayed.
+ * @param {number} ms Time to back off, in milliseconds.
+ */
+const backOffSync = ms => {
+  if (typeof SharedArrayBuffer === 'undefined') {
+    return;
+  }
+  if (backoffSlot === null) {
+    backoffSlot = new Int32Array(new SharedArrayBuffer(4));
+  }
+  Atomics.wait(backoffSlot, 0, 0, ms);
+};
+
+/**
+ * Computes how long to back off before waiting for a busy lock, so that threads acquiring the
+ * same locks in different orders stop taking them from each other in lockstep: a random delay
+ * whose bound doubles with every round that found a lock busy.
+ *
+ * @param {number} rounds Number of rounds that found a lock busy so far.
+ * @param {number} deadline Deadline of the acquisition, on the {@link now} clock.
+ * @returns {number} Delay in milliseconds, never past the deadline.
+ */
+const backoffDelay = (rounds, deadline) => {
+  const bound = Math.min(MAX_BACKOFF_MS, MIN_BACKOFF_MS * 2 ** (rounds - 1));
+  return Math.max(0, Math.min(Math.random() * bound, deadline - now()));
+};
+
+/**
+ * Reports a failed acquisition with the timeout requested by the caller rather than the
+ * deadline it was turned into, as a single `lock()` would.
+ *
+ * @param {any} error Error thrown by a single acquisition.
+ * @param {number} timeoutMs Relative timeout that was requested, or Infinity.
+ * @returns {any} Error to throw.
+ */
+const acquisitionError = (error, timeoutMs) =>
+  error instanceof MutexTimeoutError ? timeoutError('Mutex lock', timeoutMs) : error;
+
+/**
+ * Acquires several mutexes together, without deadlocking against threads acquiring them in
+ * another order. Only one mutex is waited for at a time, while holding none of the others: once
+ * it is held, the others are taken without waiting, and if one is busy everything is released
+ * and the busy one is waited for next, after a random back-off growing with every busy round.
+ * A timeout or abort therefore never leaves any of the mutexes held.
+ *
+ * @param {Array<ReturnType<typeof import('./mutex').createMutex>>} mutexes Distinct mutexes
+ *   created by `createMutex`/`withMutex` (or recursive mutexes).
+ * @param {number|AcquireOptions} [options=Infinity] Timeout in milliseconds for acquiring all the
+ *   mutexes, or acquisition options.
+ * @returns {Promise<MultiLockHandle>} Disposable handle releasing all the mutexes.
+ * @throws {MutexError} If mutexes are invalid, or acquisition fails, times out or is aborted.
+ *
+ * @example
+ * const handle = await lockAll([accounts, ledger], 5000);
+ * try {
+ *   transfer();
+ * } finally {
+ *   handle[dispose]();
+ * }
+ */
+export const lockAll = async (mutexes, options = Infinity) => {
+  validateMutexes(mutexes);
+  const { timeoutMs, deadline, signal } = resolveAcquireOptions(options);
+
+  if (mutexes.length === 0) {
+    return createMultiHandle([]);
+  }
+
+  let first = 0;
+  let rounds = 0;
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    let firstHandle;
+    try {
+      firstHandle = await mutexes[first].lock({ deadline, signal });
+    } catch (error) {
+      throw acquisitionError(error, timeoutMs);
+    }
+
+    const { handles, busy } = tryLockRest(mutexes, first, firstHandle);
+    if (handles) {
+      return createMultiHandle(handles);
+    }
+    first = busy;
+    rounds++;
+    await new Promise(res => setTimeout(res, backoffDelay(rounds, deadline)));
+  }
+};
+
+/**
+ * Acquires several mutexes together synchronously, blocking the thread.
+ * See {@link lockAll}.
+ *
+ * @param {Array<ReturnType<typeof import('./mutex').createMutex>>} mutexes Distinct mutexes
+ *   created by `createMutex`/`withMutex` (or recursive mutexes).
+ * @param {number|AcquireOptions} [options=Infinity] Timeout in milliseconds for acquiring all the
+ *   mutexes, or acquisition options.
+ * @returns {MultiLockHandle} Disposable handle releasing all the mutexes.
+ * @throws {MutexError} If mutexes are invalid, or acquisition fails, times out or is aborted.
+ */
+export const lockAllSync = (mutexes, options = Infinity) => {
+  validateMutexes(mutexes);
+  const { timeoutMs, deadline, signal } = resolveAcquireOptions(options);
+
+  if (mutexes.length === 0) {
+    return createMultiHandle([]);
+  }
+
+  let first = 0;
+  let rounds = 0;
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    let firstHandle;
+    try {
+      firstHandle = mutexes[first].lockSync({ deadline, signal });
+    } catch (error) {
+      throw acquisitionError(error, timeoutMs);
+    }
+
+    const { handles, busy } = tryLockRest(mutexes, first, firstHandle);
+    if (handles) {
+      return createMultiHandle(handles);
+    }
+    first = busy;
+    rounds++;
+    backOffSync(backoffDelay(rounds, deadline));
+  }
+};
+
+/**
+ * Runs a function while holding several mutexes, acquired together by {@link lockAll}.
+ * Ensures all of them are always released, even if the function throws.
+ *
+ * @template T
+ * @param {Array<ReturnType<typeof import('./mutex').createMutex>>} mutexes - Distinct mutexes.
+ * @param {() => Promise<T>|T} fn - Function to run while holding the mutexes.
+ * @param {number|AcquireOptions} [options=Infinity] - Optional timeout or acquisition options.
+ * @returns {Promise<T>} The result of the function.
+ * @throws {MutexError} If acquisition fails or times out.
+ *
+ * @example
+ * await rapidGuardAll([accounts, ledger], () => transfer(from, to, amount), 5000);
+ */
+export const rapidGuardAll = async (mutexes, fn, options = Infinity) => {
+  if (typeof fn !== 'function') {
+    throw new MutexError('Invalid function: must provide a function to execute');
+  }
+
+  return guardedSection(async () => {
+    const handle = await lockAll(mutexes, options);
+    try {
+      return await fn();
+    } finally {
+      handle[dispose]();
+    }
+  });
+};
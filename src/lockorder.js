@@ -0,0 +1,322 @@
+import { MutexError } from './common';
+
+/**
+ * Whether acquisitions of named or levelled mutexes are validated.
+ * @type {boolean}
+ */
+let enabled = false;
+
+/**
+ * An acquisition held by the current thread.
+ * @typedef {Object} HeldLock
+ * @property {Int32Array} buffer Lock buffer of the mutex.
+ * @property {string} label Description of the mutex in error messages.
+ * @property {string|undefined} name Name of the mutex.
+ * @property {number|undefined} level Level of the mutex.
+ * @property {string} site Site of the acquisition.
+ * @property {HeldLock[]} held Acquisitions the entry belongs to.
+ */
+
+/**
+ * Acquisitions held by the current thread outside of guarded sections, in acquisition order.
+ * @type {HeldLock[]}
+ */
+const held = [];
+
+/**
+ * Acquisitions held by each guarded section, in acquisition order, when the runtime tracks
+ * async contexts (Node.js): concurrent sections of a thread each see their own.
+ * @type {{run: (store: HeldLock[], fn: () => any) => any, getStore: () => HeldLock[]|undefined}|null}
+ */
+const sections = (() => {
+  try {
+    return new (require('async_hooks').AsyncLocalStorage)();
+  } catch {
+    return null;
+  }
+})();
+
+/**
+ * Reads the acquisitions held by the current section, or by the thread outside of sections.
+ * @returns {HeldLock[]} Held acquisitions.
+ */
+const heldLocks = () => (sections && sections.getStore()) || held;
+
+/**
+ * Tells whether two lock buffers are views of the same lock.
+ *
+ * @param {Int32Array} a Lock buffer.
+ * @param {Int32Array} b Lock buffer.
+ * @returns {boolean} True if both start at the same slot of the same memory.
+ */
+const sameLock = (a, b) => a.buffer === b.buffer && a.byteOffset === b.byteOffset;
+
+/**
+ * Acquisition orders observed so far: for each mutex name, the names of the mutexes acquired
+ * while holding it, with the sites of both acquisitions.
+ * @type {Map<string, Map<string, {site: string, heldSite: string}>>}
+ */
+const observed = new Map();
+
+/**
+ * Enables or disables lock order validation in the current thread (debug mode).
+ * While enabled, acquiring a mutex created with a `level` while holding one of an equal or
+ * higher level, or acquiring named mutexes in an order contradicting one observed before,
+ * throws a {@link MutexError} describing both acquisition sites, whether or not the
+ * acquisition would have deadlocked. Disabling forgets the observed orders.
+ *
+ * Mutexes acquired by `rapidGuard` and `rapidGuardAll` are tracked per guarded section in
+ * Node.js, so that concurrent sections of a thread are not seen as nested. Other acquisitions,
+ * and all of them in other runtimes, are tracked per thread: concurrent async tasks of a thread
+ * holding different mutexes that way are seen as nested acquisitions.
+ *
+ * @param {boolean} [value=true] Whether to validate lock order.
+ *
+ * @example
+ * // test setup
+ * setLockOrderChecks(true);
+ *
+ * const accounts = createMutex({ name: 'accounts', level: 1 });
+ * const ledger = createMutex({ name: 'ledger', level: 2 });
+ *
+ * await rapidGuard(accounts, () => rapidGuard(ledger, transfer)); // ok
+ * await rapidGuard(ledger, () => rapidGuard(accounts, audit)); // throws: out of order
+ */
+export const setLockOrderChecks = (value = true) => {
+  enabled = Boolean(value);
+  if (!enabled) {
+    held.length = 0;
+    observed.clear();
+  }
+};
+
+/**
+ * Runs a guarded section, i.e. a function acquiring and releasing its own locks, so that the
+ * locks it holds are told apart from those of concurrent sections while checks are enabled.
+ *
+ * @template T
+ * @param {() => T} fn Guarded section.
+ * @returns {T} The result of the section.
+ */
+export const guardedSection = fn =>
+  enabled && sections ? sections.run([...heldLocks()], fn) : fn();
+
+/**
+ * Validates the name and level of a mutex.
+ *
+ * @param {any} name Name of the mutex.
+ * @param {any} level Level of the mutex.
+ * @throws {MutexError} If the name or level is invalid.
+ */
+export const validateLockClass = (name, level) => {
+  if (name !== undefined && (!name || typeof name !== 'string')) {
+    throw new MutexError('Invalid name: must be a non-empty string');
+  }
+  if (level !== undefined && (!Number.isInteger(level) || level < 0)) {
+    throw new MutexError('Invalid level: must be a non-negative integer');
+  }
+};
+
+/**
+ * Describes a mutex in error messages.
+ *
+ * @param {string|undefined} name Name of the mutex.
+ * @param {number|undefined} level Level of the mutex.
+ * @returns {string} Label of the mutex.
+ */
+const describeLock = (name, level) =>
+  name === undefined ? `mutex of level ${level}` : `"${name}"`;
+
+/**
+ * Directory of the library sources, used to tell library stack frames from user ones.
+ * @type {string|null}
+ */
+const libraryDir = (() => {
+  const frame = String(new Error().stack).split('\n')[1] || '';
+  const match = frame.match(/\(?([^()]+)[\\/][^\\/]+:\d+:\d+\)?$/);
+  return match ? match[1].replace(/^\s*at\s+/, '') : null;
+})();
+
+/**
+ * Describes the site of an acquisition, i.e. the first stack frame of user code: frames of the
+ * library, of dependencies and of the runtime are skipped.
+ * @returns {string} Stack frame of the acquisition.
+ */
+const captureSite = () => {
+  const limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 50;
+  let stack;
+  try {
+    stack = String(new Error().stack);
+  } finally {
+    Error.stackTraceLimit = limit;
+  }
+
+  const frames = stack
+    .split('\n')
+    .slice(1)
+    .map(frame => frame.trim());
+  const site = frames.find(
+    frame =>
+      /:\d+:\d+\)?$/.test(frame) &&
+      !/[(\s]node:/.test(frame) &&
+      !/node_modules/.test(frame) &&
+      !(libraryDir && frame.includes(libraryDir))
+  );
+  return site || frames[0] || 'unknown site';
+};
+
+/**
+ * Finds a chain of observed acquisitions leading from mutex `from` to mutex `to`.
+ *
+ * @param {string} from Name of the first mutex.
+ * @param {string} to Name of the last mutex.
+ * @returns {Array<{from: string, to: string, site: string, heldSite: string}>|null} Edges of
+ *   the chain, or null if none was observed.
+ */
+const findOrder = (from, to) => {
+  const visited = new Set([from]);
+  const search = name => {
+    const next = observed.get(name);
+    if (!next) {
+      return null;
+    }
+    for (const [target, sites] of next) {
+      const edge = { from: name, to: target, ...sites };
+      if (target === to) {
+        return [edge];
+      }
+      if (!visited.has(target)) {
+        visited.add(target);
+        const rest = search(target);
+        if (rest) {
+          return [edge, ...rest];
+        }
+      }
+    }
+    return null;
+  };
+  return search(from);
+};
+
+/**
+ * Checks that acquiring a mutex respects its level and the observed lock order.
+ * Does nothing unless checks are enabled.
+ *
+ * @param {Int32Array} buffer Lock buffer of the mutex.
+ * @param {string|undefined} name Name of the mutex.
+ * @param {number|undefined} level Level of the mutex.
+ * @returns {string|null} Site of the acquisition, or null when checks are disabled.
+ * @throws {MutexError} If the acquisition is out of order.
+ */
+export const checkLockOrder = (buffer, name, level) => {
+  if (!enabled) {
+    return null;
+  }
+
+  const site = captureSite();
+  const label = describeLock(name, level);
+
+  heldLocks().forEach(entry => {
+    // Another task of the thread waiting for the same lock is not an ordering issue
+    if (sameLock(entry.buffer, buffer)) {
+      return;
+    }
+
+    if (level !== undefined && entry.level !== undefined && level <= entry.level) {
+      throw new MutexError(
+        `Lock order violation: acquiring ${label} (level ${level}) while holding ` +
+          `${entry.label} (level ${entry.level})\n` +
+          `  ${label} acquired ${site}\n` +
+          `  ${entry.label} acquired ${entry.site}`
+      );
+    }
+
+    if (name !== undefined && entry.name !== undefined) {
+      const order = findOrder(name, entry.name);
+      if (order) {
+        throw new MutexError(
+          `Lock order violation: acquiring ${label} while holding ${entry.label}, ` +
+            `but ${label} was previously acquired before ${entry.label}\n` +
+            `  ${label} acquired ${site}\n` +
+            `  ${entry.label} acquired ${entry.site}\n` +
+            order
+              .map(
+                edge =>
+                  `  previously "${edge.to}" acquired ${edge.site}\n` +
+                  `    while holding "${edge.from}" acquired ${edge.heldSite}`
+              )
+              .join('\n')
+        );
+      }
+    }
+  });
+
+  return site;
+};
+
+/**
+ * Describes the site of an acquisition that needs no order check, e.g. one that does not wait.
+ * @returns {string|null} Site of the acquisition, or null when checks are disabled.
+ */
+export const acquisitionSite = () => (enabled ? captureSite() : null);
+
+/**
+ * Records an acquisition checked by {@link checkLockOrder}, and the order it establishes.
+ *
+ * @param {Int32Array} buffer Lock buffer of the mutex.
+ * @param {string|undefined} name Name of the mutex.
+ * @param {number|undefined} level Level of the mutex.
+ * @param {string} site Site of the acquisition.
+ * @param {boolean} [establishesOrder=true] Whether the acquisition orders the lock after the
+ *   locks already held.
+ * @returns {HeldLock} Entry to pass to {@link recordRelease}.
+ */
+export const recordAcquire = (buffer, name, level, site, establishesOrder = true) => {
+  const current = heldLocks();
+  if (name !== undefined && establishesOrder) {
+    current.forEach(entry => {
+      if (entry.name === undefined || sameLock(entry.buffer, buffer)) {
+        return;
+      }
+      if (!observed.has(entry.name)) {
+        observed.set(entry.name, new Map());
+      }
+      const next = observed.get(entry.name);
+      if (!next.has(name)) {
+        next.set(name, { site, heldSite: entry.site });
+      }
+    });
+  }
+
+  const entry = { buffer, label: describeLock(name, level), name, level, site, held: current };
+  current.push(entry);
+  return entry;
+};
+
+/**
+ * Forgets a held acquisition.
+ *
+ * @param {HeldLock} entry Entry returned by {@link recordAcquire}.
+ */
+export const recordRelease = entry => {
+  const index = entry.held.indexOf(entry);
+  if (index !== -1) {
+    entry.held.splice(index, 1);
+  }
+};
+
+/**
+ * Forgets the most recent held acquisition of a lock, released without its handle.
+ *
+ * @param {Int32Array} buffer Lock buffer of the mutex.
+ */
+export const recordUnlock = buffer => {
+  const current = heldLocks();
+  for (let i = current.length - 1; i >= 0; i--) {
+    if (sameLock(current[i].buffer, buffer)) {
+      current.splice(i, 1);
+      return;
+    }
+  }
+};
@@ -0,0 +1,2855 @@
+import {
+  MutexError,
+  MutexTimeoutError,
+  MutexLeaseError,
+  allocateBuffer,
+  createDescriptor,
+  dispose,
+  currentThreadId,
+  timeoutError,
+  now,
+  bufferAt,
+  validateBuffer,
+  resolveAcquireOptions,
+  waitForAcquire,
+  waitForAcquireSync,
+  waitInQueue,
+} from './common';
+import { RECHECK_MS, enterWait, waitOn, leaveWait, releasedLock } from './deadlock';
+import { createLocalMutex } from './local';
+import {
+  validateLockClass,
+  checkLockOrder,
+  acquisitionSite,
+  recordAcquire,
+  recordRelease,
+  recordUnlock,
+  guardedSection,
+} from './lockorder';
+
+/** @typedef {import('./common').AcquireOptions} AcquireOptions */
+/** @typedef {import('./common').QueuedWaiter} QueuedWaiter */
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+
+/**
+ * Disposable handle of a mutex acquisition, released through its `[dispose]` method.
+ * Disposing a handle whose acquisition no longer holds the lock (it was unlocked directly or
+ * taken over since) is a no-op, or throws a {@link MutexError} for strict mutexes.
+ * @typedef {Object} LockHandle
+ * @property {number} acquiredAt Time of the acquisition on the `performance.now()` clock.
+ * @property {() => boolean} isHeld Tells whether the acquisition still holds the lock.
+ * @property {boolean} [ownerDied] Robust mutexes only: the previous holder died holding the lock.
+ * @property {(ttlMs: number) => void} [extend] Leased acquisitions only: renews the lease for
+ *   `ttlMs` milliseconds from now. Throws a {@link MutexLeaseError} if the lease was lost.
+ */
+
+/**
+ * Contention statistics of a mutex, shared by every thread using it. Times are in whole
+ * milliseconds.
+ * @typedef {Object} MutexStats
+ * @property {number} acquisitions Successful acquisitions.
+ * @property {number} contended Acquisitions that found the mutex locked and had to wait.
+ * @property {number} timeouts Acquisitions that timed out.
+ * @property {number} totalWaitMs Time spent waiting by successful acquisitions.
+ * @property {number} maxWaitMs Longest wait of a successful acquisition.
+ * @property {number} maxHoldMs Longest time the mutex was held, released through a handle.
+ */
+
+/**
+ * Instrumentation callbacks of a mutex object, called on the thread using that object.
+ * @typedef {Object} MutexHooks
+ * @property {(event: {waitMs: number, contended: boolean}) => void} [onAcquire] Called after
+ *   each successful acquisition. If it throws, the lock is released and the error rethrown.
+ * @property {(event: {holdMs: number}) => void} [onRelease] Called after a handle released
+ *   the lock.
+ * @property {(event: {waitMs: number}) => void} [onTimeout] Called when an acquisition timed out.
+ */
+
+/**
+ * Acquisition strategy of a mutex object. A contended acquisition first retries the lock up to
+ * `spins` times, polling it for a number of iterations doubling from 1 up to `maxBackoff`
+ * between two retries (exponential back-off), and only then parks until the lock is released.
+ * @typedef {Object} SpinOptions
+ * @property {number} [spins=0] Retries before parking.
+ * @property {number} [maxBackoff=64] Maximum polling iterations between two retries.
+ */
+
+/**
+ * Constants representing lock states. A lock is `Contended` once a waiter parked on it, so
+ * that only releases of contended locks pay for waking up a waiter.
+ * @readonly
+ * @enum {number}
+ */
+export const LockStatus = Object.freeze({
+  Unlocked: 0,
+  Locked: 1,
+  Contended: 2,
+});
+
+/**
+ * Slot indexes within a mutex buffer.
+ * - `State`: the current {@link LockStatus}.
+ * - `Owner`: identifier of the holding thread (0 when unlocked).
+ * - `Token`: token of the current acquisition.
+ * - `Generation`: counter incremented on every successful lock, used to mint tokens.
+ * - `Flags`: {@link MutexFlags} the mutex was created with.
+ * - `Count`: hold count of the owning thread (recursive mutexes only).
+ * @readonly
+ * @enum {number}
+ */
+const MutexSlot = Object.freeze({
+  State: 0,
+  Owner: 1,
+  Token: 2,
+  Generation: 3,
+  Flags: 4,
+  Count: 5,
+});
+
+/**
+ * Slot indexes of the ticket queue of fair mutexes, following the common mutex slots.
+ * - `NextTicket`: next ticket handed out to an arriving waiter.
+ * - `NowServing`: ticket currently allowed to hold the lock.
+ * - `Queue`: first of {@link FAIR_QUEUE_SIZE} slots marking abandoned tickets.
+ * @readonly
+ * @enum {number}
+ */
+const FairSlot = Object.freeze({
+  NextTicket: 5,
+  NowServing: 6,
+  Queue: 7,
+});
+
+/**
+ * Slot indexes of the liveness state of robust mutexes, following the common mutex slots.
+ * - `Heartbeat`: counter bumped periodically by the holder, and on release.
+ * - `LeaseMs`: time without heartbeat after which the holder is presumed dead.
+ * - `Consistency`: {@link Consistency} of the state guarded by the mutex.
+ * @readonly
+ * @enum {number}
+ */
+const RobustSlot = Object.freeze({
+  Heartbeat: 5,
+  LeaseMs: 6,
+  Consistency: 7,
+});
+
+/**
+ * Slot indexes of the lease state of mutexes with leases, following the common mutex slots.
+ * - `Expiry`: expiry of the lease of the holder on the {@link leaseClock}, wrapping around as an
+ *   Int32, or {@link NO_LEASE}.
+ * @readonly
+ * @enum {number}
+ */
+const LeaseSlot = Object.freeze({
+  Expiry: 5,
+});
+
+/**
+ * Slot indexes of the waiter table of mutexes with priorities, following the common mutex slots.
+ * - `Waiting`: number of registered waiters.
+ * - `AgingMs`: waiting time raising the priority of a waiter by one.
+ * - `Waiters`: first of {@link PRIORITY_QUEUE_SIZE} entries of {@link WAITER_LENGTH} slots,
+ *   laid out as {@link WaiterSlot}.
+ * @readonly
+ * @enum {number}
+ */
+const PrioritySlot = Object.freeze({
+  Waiting: 5,
+  AgingMs: 6,
+  Waiters: 7,
+});
+
+/**
+ * Slot offsets within an entry of the waiter table.
+ * - `Status`: the {@link WaiterStatus} of the entry.
+ * - `Priority`: priority requested by the waiter.
+ * - `Since`: arrival time of the waiter on the wrapped {@link leaseClock}.
+ * @readonly
+ * @enum {number}
+ */
+const WaiterSlot = Object.freeze({
+  Status: 0,
+  Priority: 1,
+  Since: 2,
+});
+
+/**
+ * Status of an entry of the waiter table.
+ * - `Free`: unused.
+ * - `Reserved`: being filled in by an arriving waiter.
+ * - `Waiting`: the waiter can be granted the lock.
+ * - `Granted`: the lock was handed over to the waiter.
+ * @readonly
+ * @enum {number}
+ */
+const WaiterStatus = Object.freeze({
+  Free: 0,
+  Reserved: 1,
+  Waiting: 2,
+  Granted: 3,
+});
+
+/**
+ * Consistency of the state guarded by a robust mutex.
+ * - `Consistent`: no holder died while holding the mutex.
+ * - `OwnerDied`: a holder died; the current holder must repair the state and call `markConsistent`.
+ * - `NotRecoverable`: the mutex was released without being marked consistent, and can no
+ *   longer be acquired.
+ * @readonly
+ * @enum {number}
+ */
+const Consistency = Object.freeze({
+  Consistent: 0,
+  OwnerDied: 1,
+  NotRecoverable: 2,
+});
+
+/**
+ * Feature bits stored in the flags slot of a mutex buffer.
+ * @readonly
+ * @enum {number}
+ */
+const MutexFlags = Object.freeze({
+  Fair: 1,
+  Robust: 2,
+  Strict: 4,
+  Stats: 8,
+  Leases: 16,
+  Priorities: 32,
+});
+
+/**
+ * Slot offsets of the statistics of a mutex, stored after its lock state.
+ * See {@link MutexStats} for their meaning.
+ * @readonly
+ * @enum {number}
+ */
+const StatsSlot = Object.freeze({
+  Acquisitions: 0,
+  Contended: 1,
+  Timeouts: 2,
+  TotalWaitMs: 3,
+  MaxWaitMs: 4,
+  MaxHoldMs: 5,
+});
+
+/**
+ * Number of Int32 slots holding the statistics of a mutex.
+ * @type {number}
+ */
+const STATS_LENGTH = 6;
+
+/**
+ * Maximum number of outstanding tickets of a fair mutex. Must be a power of two.
+ * Further waiters wait for room in the queue before taking a ticket.
+ * @type {number}
+ */
+const FAIR_QUEUE_SIZE = 64;
+
+/**
+ * Maximum number of registered waiters of a mutex with priorities.
+ * Further waiters wait for room in the table before registering.
+ * @type {number}
+ */
+const PRIORITY_QUEUE_SIZE = 64;
+
+/**
+ * Number of Int32 slots of an entry of the waiter table.
+ * @type {number}
+ */
+const WAITER_LENGTH = 3;
+
+/**
+ * Marker of a ticket whose waiter gave up.
+ * @type {number}
+ */
+const ABANDONED = 1;
+
+/**
+ * Expiry slot value of an acquisition without lease.
+ * @type {number}
+ */
+const NO_LEASE = 0;
+
+/**
+ * Expiry slot value while a waiter takes over an expired lease.
+ * @type {number}
+ */
+const CLAIMED = -1;
+
+/**
+ * Longest lease, such that expiries wrapping around as Int32 still compare correctly.
+ * @type {number}
+ */
+const MAX_LEASE_MS = 0x7fffffff;
+
+/**
+ * Number of Int32 slots required by a mutex buffer.
+ * @type {number}
+ */
+export const MUTEX_LENGTH = 5;
+
+/**
+ * Number of Int32 slots required by a recursive mutex buffer.
+ * @type {number}
+ */
+const RECURSIVE_MUTEX_LENGTH = 6;
+
+/**
+ * Number of Int32 slots required by a fair mutex buffer.
+ * @type {number}
+ */
+const FAIR_MUTEX_LENGTH = FairSlot.Queue + FAIR_QUEUE_SIZE;
+
+/**
+ * Number of Int32 slots required by a robust mutex buffer.
+ * @type {number}
+ */
+const ROBUST_MUTEX_LENGTH = 8;
+
+/**
+ * Number of Int32 slots required by the buffer of a mutex with leases.
+ * @type {number}
+ */
+const LEASED_MUTEX_LENGTH = 6;
+
+/**
+ * Number of Int32 slots required by the buffer of a mutex with priorities.
+ * @type {number}
+ */
+const PRIORITIZED_MUTEX_LENGTH = PrioritySlot.Waiters + PRIORITY_QUEUE_SIZE * WAITER_LENGTH;
+
+/**
+ * Heartbeat timers of the robust mutexes held by the current thread, by buffer.
+ * @type {WeakMap<Int32Array, ReturnType<typeof setInterval>>}
+ */
+const heartbeats = new WeakMap();
+
+/**
+ * Lock order entries of the handles tracked by lock order checks.
+ * @type {WeakMap<LockHandle, object>}
+ */
+const orderEntries = new WeakMap();
+
+/**
+ * Callbacks of mutex objects to call once their lock was released without a handle, by
+ * `unlock()` or {@link suspendLock}.
+ * @type {WeakMap<object, () => void>}
+ */
+const releaseHooks = new WeakMap();
+
+/**
+ * Recursive mutex objects, whose hold count is suspended along with their acquisition.
+ * @type {WeakSet<object>}
+ */
+const recursiveMutexes = new WeakSet();
+
+/**
+ * Validates that a given buffer is a valid mutex storage.
+ * @param {any} buffer Buffer to validate.
+ * @param {number} [length=MUTEX_LENGTH] Minimum number of Int32 slots required.
+ * @throws {MutexError} If buffer is invalid.
+ */
+const validateMutexBuffer = (buffer, length = MUTEX_LENGTH) => validateBuffer(buffer, length);
+
+/**
+ * Computes the number of Int32 slots required by a mutex created with `flags`.
+ * @param {number} flags {@link MutexFlags} of the mutex.
+ * @returns {number} Required buffer length.
+ */
+export const layoutLength = flags => {
+  let length = MUTEX_LENGTH;
+  if (flags & MutexFlags.Fair) {
+    length = FAIR_MUTEX_LENGTH;
+  } else if (flags & MutexFlags.Robust) {
+    length = ROBUST_MUTEX_LENGTH;
+  } else if (flags & MutexFlags.Leases) {
+    length = LEASED_MUTEX_LENGTH;
+  } else if (flags & MutexFlags.Priorities) {
+    length = PRIORITIZED_MUTEX_LENGTH;
+  }
+  return flags & MutexFlags.Stats ? length + STATS_LENGTH : length;
+};
+
+/**
+ * Tells whether a mutex buffer uses the fair ticket queue.
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {boolean} True for fair mutexes.
+ */
+const isFair = buffer => (Atomics.load(buffer, MutexSlot.Flags) & MutexFlags.Fair) !== 0;
+
+/**
+ * Tells whether a mutex buffer tracks the liveness of its holder.
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {boolean} True for robust mutexes.
+ */
+const isRobust = buffer => (Atomics.load(buffer, MutexSlot.Flags) & MutexFlags.Robust) !== 0;
+
+/**
+ * Tells whether acquisitions of a mutex buffer may be granted a lease.
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {boolean} True for mutexes with leases.
+ */
+const isLeased = buffer => (Atomics.load(buffer, MutexSlot.Flags) & MutexFlags.Leases) !== 0;
+
+/**
+ * Tells whether a mutex buffer grants the lock to its waiters by priority.
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {boolean} True for mutexes with priorities.
+ */
+const isPrioritized = buffer =>
+  (Atomics.load(buffer, MutexSlot.Flags) & MutexFlags.Priorities) !== 0;
+
+/**
+ * Tells whether disposing a stale handle of a mutex buffer throws.
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {boolean} True for strict mutexes.
+ */
+const isStrict = buffer => (Atomics.load(buffer, MutexSlot.Flags) & MutexFlags.Strict) !== 0;
+
+/**
+ * Tells whether a mutex is held, whether or not waiters are parked on it.
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {boolean} True if the lock is held.
+ */
+const isLocked = buffer => Atomics.load(buffer, MutexSlot.State) !== LockStatus.Unlocked;
+
+/**
+ * Tells whether the current thread holds the lock under `token`.
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number} token Token of an acquisition.
+ * @returns {boolean} True if the acquisition still holds the lock.
+ */
+const holds = (buffer, token) =>
+  isLocked(buffer) &&
+  Atomics.load(buffer, MutexSlot.Owner) === currentThreadId &&
+  Atomics.load(buffer, MutexSlot.Token) === token;
+
+/**
+ * Creates a handle for an acquisition identified by `token`, whose `release` is run at most once.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number} token Token stamped by the acquisition.
+ * @param {(buffer: Int32Array, token: number) => boolean} release Releases the acquisition,
+ *   returning false if it no longer held the lock.
+ * @returns {LockHandle} Disposable lock handle.
+ */
+const createLockHandle = (buffer, token, release) => {
+  let released = false;
+  return {
+    acquiredAt: now(),
+    isHeld: () => !released && holds(buffer, token),
+    [dispose]: () => {
+      if (released) return;
+      released = true;
+      if (!release(buffer, token) && isStrict(buffer)) {
+        throw new MutexError('Cannot release a stale lock handle: the lock was released since');
+      }
+    },
+  };
+};
+
+/**
+ * Records the current thread as the holder of a freshly taken lock.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {number} Token minted for the acquisition.
+ */
+const stampOwner = buffer => {
+  const token = Atomics.add(buffer, MutexSlot.Generation, 1) + 1;
+  Atomics.store(buffer, MutexSlot.Token, token);
+  Atomics.store(buffer, MutexSlot.Owner, currentThreadId);
+  return token;
+};
+
+/**
+ * Creates a disposable handle for an acquisition identified by `token`.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number} token Token stamped by the acquisition.
+ * @returns {LockHandle} Disposable lock handle.
+ */
+const createHandle = (buffer, token) => createLockHandle(buffer, token, unlock);
+
+/**
+ * Attempts to take the lock once, stamping the owner and a fresh token on success.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {LockHandle|null} Disposable lock handle, or null if the lock is held.
+ */
+const tryLock = buffer => {
+  if (
+    Atomics.compareExchange(buffer, MutexSlot.State, LockStatus.Unlocked, LockStatus.Locked) !==
+    LockStatus.Unlocked
+  ) {
+    return null;
+  }
+
+  return createHandle(buffer, stampOwner(buffer));
+};
+
+/**
+ * Creates a disposable handle for one level of a recursive acquisition.
+ * Each handle releases its own level at most once.
+ *
+ * @param {Int32Array} buffer Recursive lock buffer.
+ * @param {number} token Token stamped by the outermost acquisition.
+ * @returns {LockHandle} Disposable lock handle.
+ */
+const createRecursiveHandle = (buffer, token) => createLockHandle(buffer, token, unlockRecursive);
+
+/**
+ * Attempts to take a recursive lock once. If the current thread already owns it,
+ * the hold count is incremented instead.
+ *
+ * @param {Int32Array} buffer Recursive lock buffer.
+ * @returns {LockHandle|null} Disposable lock handle, or null if another thread holds it.
+ */
+const tryLockRecursive = buffer => {
+  // Only the owning thread can have stamped its own id, so this check cannot race.
+  if (Atomics.load(buffer, MutexSlot.Owner) === currentThreadId) {
+    Atomics.add(buffer, MutexSlot.Count, 1);
+    return createRecursiveHandle(buffer, Atomics.load(buffer, MutexSlot.Token));
+  }
+
+  if (
+    Atomics.compareExchange(buffer, MutexSlot.State, LockStatus.Unlocked, LockStatus.Locked) !==
+    LockStatus.Unlocked
+  ) {
+    return null;
+  }
+
+  Atomics.store(buffer, MutexSlot.Count, 1);
+  return createRecursiveHandle(buffer, stampOwner(buffer));
+};
+
+/**
+ * Returns the queue slot recording whether `ticket` was abandoned.
+ * @param {number} ticket Ticket number.
+ * @returns {number} Slot index.
+ */
+const queueSlot = ticket => FairSlot.Queue + (ticket & (FAIR_QUEUE_SIZE - 1));
+
+/**
+ * Takes the next ticket of a fair mutex, provided the queue has room for it.
+ *
+ * @param {Int32Array} buffer Fair lock buffer.
+ * @returns {{ticket: number}|null} The ticket, or null if the queue is full.
+ */
+const takeTicket = buffer => {
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const next = Atomics.load(buffer, FairSlot.NextTicket);
+    if (((next - Atomics.load(buffer, FairSlot.NowServing)) | 0) >= FAIR_QUEUE_SIZE) {
+      return null;
+    }
+    if (Atomics.compareExchange(buffer, FairSlot.NextTicket, next, (next + 1) | 0) === next) {
+      return { ticket: next };
+    }
+  }
+};
+
+/**
+ * Takes the lock if `ticket` is being served.
+ *
+ * @param {Int32Array} buffer Fair lock buffer.
+ * @param {number} ticket Ticket of the caller.
+ * @returns {LockHandle|null} Disposable lock handle, or null if it is not our turn.
+ */
+const claimTicket = (buffer, ticket) => {
+  if (Atomics.load(buffer, FairSlot.NowServing) !== ticket) {
+    return null;
+  }
+
+  Atomics.store(buffer, MutexSlot.State, LockStatus.Locked);
+  return createHandle(buffer, stampOwner(buffer));
+};
+
+/**
+ * Takes a fair lock if it is free and nobody is queued for it, without taking a ticket otherwise.
+ *
+ * @param {Int32Array} buffer Fair lock buffer.
+ * @returns {LockHandle|null} Disposable lock handle, or null if the lock is held or awaited.
+ */
+const tryLockFair = buffer => {
+  const next = Atomics.load(buffer, FairSlot.NextTicket);
+  if (
+    Atomics.load(buffer, FairSlot.NowServing) !== next ||
+    Atomics.compareExchange(buffer, FairSlot.NextTicket, next, (next + 1) | 0) !== next
+  ) {
+    return null;
+  }
+
+  return claimTicket(buffer, next);
+};
+
+/**
+ * Serves the ticket following `ticket`, skipping tickets whose waiters gave up.
+ *
+ * @param {Int32Array} buffer Fair lock buffer.
+ * @param {number} ticket Ticket being done with.
+ */
+const advanceTicket = (buffer, ticket) => {
+  let next = ticket;
+  do {
+    next = (next + 1) | 0;
+    Atomics.store(buffer, FairSlot.NowServing, next);
+    // Clearing the marker decides the race with an abandoning waiter, see abandonTicket
+  } while (Atomics.compareExchange(buffer, queueSlot(next), ABANDONED, 0) === ABANDONED);
+
+  Atomics.notify(buffer, FairSlot.NowServing);
+};
+
+/**
+ * Gives up a ticket without wedging the queue. The ticket is marked as abandoned so that the
+ * releasing holder skips it; if it is already being served, whoever clears the marker first
+ * (the releaser or this waiter) is responsible for serving the next ticket.
+ *
+ * @param {Int32Array} buffer Fair lock buffer.
+ * @param {number} ticket Ticket to give up.
+ */
+const abandonTicket = (buffer, ticket) => {
+  const slot = queueSlot(ticket);
+  Atomics.store(buffer, slot, ABANDONED);
+  if (
+    Atomics.load(buffer, FairSlot.NowServing) === ticket &&
+    Atomics.compareExchange(buffer, slot, ABANDONED, 0) === ABANDONED
+  ) {
+    advanceTicket(buffer, ticket);
+  }
+};
+
+/**
+ * Wraps a try-lock step to report each failed attempt.
+ *
+ * @template T
+ * @param {() => T|null} attempt Single try-lock step.
+ * @param {(() => void)|undefined} onBlocked Called after each failed attempt, may throw.
+ * @returns {() => T|null} The watched step, or `attempt` itself if there is nothing to report to.
+ */
+const watchAttempt = (attempt, onBlocked) =>
+  onBlocked
+    ? () => {
+        const result = attempt();
+        if (!result) {
+          onBlocked();
+        }
+        return result;
+      }
+    : attempt;
+
+/**
+ * Caps the parking slice of an acquisition watched by a deadlock detector, so that it records
+ * its wait again regularly, see {@link waitOn}.
+ *
+ * @param {(() => void)|undefined} onBlocked Called after each failed attempt.
+ * @param {number|(() => number)} [sliceMs=Infinity] Slice of the acquisition, or function
+ *   computing it.
+ * @returns {number|(() => number)} Slice to park for.
+ */
+const watchSlice = (onBlocked, sliceMs = Infinity) => {
+  if (!onBlocked) {
+    return sliceMs;
+  }
+  return typeof sliceMs === 'function'
+    ? () => Math.min(sliceMs(), RECHECK_MS)
+    : Math.min(sliceMs, RECHECK_MS);
+};
+
+/**
+ * Wraps a try-lock step to mark the lock as contended when it fails, before the caller parks,
+ * so that its release wakes the caller up. A caller taking the lock after parking keeps it
+ * contended, as releases only wake up one waiter: others may still be parked.
+ *
+ * @template T
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {() => T|null} attempt Single try-lock step.
+ * @returns {() => T|null} The parking step.
+ */
+const parkingAttempt = (buffer, attempt) => {
+  let parked = false;
+  return () => {
+    const result = attempt();
+    if (!result || parked) {
+      Atomics.compareExchange(buffer, MutexSlot.State, LockStatus.Locked, LockStatus.Contended);
+    }
+    parked = parked || !result;
+    return result;
+  };
+};
+
+/**
+ * Acquires a fair lock asynchronously, in ticket order.
+ *
+ * @param {Int32Array} buffer Fair lock buffer.
+ * @param {number|AcquireOptions} options Timeout in milliseconds or acquisition options.
+ * @param {() => void} [onBlocked] Called after each failed attempt.
+ * @returns {Promise<LockHandle>} Disposable lock handle.
+ */
+const lockFair = async (buffer, options, onBlocked) => {
+  const acquireOptions = resolveAcquireOptions(options);
+  const { ticket } = await waitForAcquire(
+    buffer,
+    FairSlot.NowServing,
+    watchAttempt(() => takeTicket(buffer), onBlocked),
+    acquireOptions,
+    'Mutex lock',
+    watchSlice(onBlocked)
+  );
+
+  try {
+    return await waitForAcquire(
+      buffer,
+      FairSlot.NowServing,
+      watchAttempt(() => claimTicket(buffer, ticket), onBlocked),
+      acquireOptions,
+      'Mutex lock',
+      watchSlice(onBlocked)
+    );
+  } catch (error) {
+    abandonTicket(buffer, ticket);
+    throw error;
+  }
+};
+
+/**
+ * Acquires a fair lock synchronously (blocking), in ticket order.
+ *
+ * @param {Int32Array} buffer Fair lock buffer.
+ * @param {number|AcquireOptions} options Timeout in milliseconds or acquisition options.
+ * @param {() => void} [onBlocked] Called after each failed attempt.
+ * @returns {LockHandle} Disposable lock handle.
+ */
+const lockFairSync = (buffer, options, onBlocked) => {
+  const acquireOptions = resolveAcquireOptions(options);
+  const { ticket } = waitForAcquireSync(
+    buffer,
+    FairSlot.NowServing,
+    watchAttempt(() => takeTicket(buffer), onBlocked),
+    acquireOptions,
+    'Mutex lock',
+    watchSlice(onBlocked)
+  );
+
+  try {
+    return waitForAcquireSync(
+      buffer,
+      FairSlot.NowServing,
+      watchAttempt(() => claimTicket(buffer, ticket), onBlocked),
+      acquireOptions,
+      'Mutex lock',
+      watchSlice(onBlocked)
+    );
+  } catch (error) {
+    abandonTicket(buffer, ticket);
+    throw error;
+  }
+};
+
+/**
+ * Starts bumping the heartbeat of a robust mutex taken by the current thread.
+ * The timer does not keep the process alive, and stops by itself once the current thread no
+ * longer holds the mutex.
+ *
+ * @param {Int32Array} buffer Robust lock buffer.
+ */
+const startHeartbeat = buffer => {
+  if (heartbeats.has(buffer)) {
+    return;
+  }
+
+  const periodMs = Math.max(1, Math.floor(Atomics.load(buffer, RobustSlot.LeaseMs) / 4));
+  const timer = setInterval(() => {
+    if (!isLocked(buffer) || Atomics.load(buffer, MutexSlot.Owner) !== currentThreadId) {
+      stopHeartbeat(buffer);
+      return;
+    }
+    Atomics.add(buffer, RobustSlot.Heartbeat, 1);
+  }, periodMs);
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+  heartbeats.set(buffer, timer);
+};
+
+/**
+ * Stops the heartbeat of a robust mutex, if the current thread runs one.
+ * @param {Int32Array} buffer Robust lock buffer.
+ */
+const stopHeartbeat = buffer => {
+  clearInterval(heartbeats.get(buffer));
+  heartbeats.delete(buffer);
+};
+
+/**
+ * Takes over a robust lock whose holder is presumed dead.
+ * The holder ending its acquisition and the waiters taking it over race on its token, so that
+ * exactly one of them wins: the lock stays locked throughout a takeover, and a holder that lost
+ * it no longer releases it.
+ *
+ * @param {Int32Array} buffer Robust lock buffer.
+ * @param {number} token Token of the holder, observed throughout the lease.
+ * @returns {number} Token minted for the acquisition, or 0 if the holder released the lock or
+ *   another thread got it.
+ */
+const takeOver = (buffer, token) => {
+  // A holder dying before stamping its token is indistinguishable from one releasing the lock
+  if (token === 0) {
+    return 0;
+  }
+  const next = (Atomics.add(buffer, MutexSlot.Generation, 1) + 1) | 0;
+  if (Atomics.compareExchange(buffer, MutexSlot.Token, token, next) !== token) {
+    return 0;
+  }
+
+  Atomics.store(buffer, MutexSlot.Owner, currentThreadId);
+  Atomics.compareExchange(
+    buffer,
+    RobustSlot.Consistency,
+    Consistency.Consistent,
+    Consistency.OwnerDied
+  );
+  return next;
+};
+
+/**
+ * Ends the acquisition of a robust lock identified by `token`, before releasing it.
+ *
+ * @param {Int32Array} buffer Robust lock buffer.
+ * @param {number} token Token of the acquisition.
+ * @returns {boolean} False if a waiter took the lock over, see {@link takeOver}.
+ */
+const endAcquisition = (buffer, token) =>
+  Atomics.compareExchange(buffer, MutexSlot.Token, token, 0) === token;
+
+/**
+ * Creates the try-lock step of a robust lock acquisition.
+ * Besides trying to take a free lock, each step watches the holder's heartbeat; once neither
+ * the heartbeat nor the holder changed for a whole lease, the holder is presumed dead and the
+ * lock is taken over. The returned handle then reports `ownerDied`, and the mutex stays
+ * inconsistent until the new holder calls `markConsistent`.
+ *
+ * @param {Int32Array} buffer Robust lock buffer.
+ * @returns {() => LockHandle|null} Single try-lock step.
+ * @throws {MutexError} If the mutex is not recoverable.
+ */
+const robustAttempt = buffer => {
+  let holder = Atomics.load(buffer, MutexSlot.Token);
+  let heartbeat = Atomics.load(buffer, RobustSlot.Heartbeat);
+  let since = now();
+
+  return () => {
+    if (Atomics.load(buffer, RobustSlot.Consistency) === Consistency.NotRecoverable) {
+      throw new MutexError('Mutex is not recoverable: a previous owner died while holding it');
+    }
+
+    let token = 0;
+    if (
+      Atomics.compareExchange(buffer, MutexSlot.State, LockStatus.Unlocked, LockStatus.Locked) ===
+      LockStatus.Unlocked
+    ) {
+      token = stampOwner(buffer);
+    } else {
+      const currentHolder = Atomics.load(buffer, MutexSlot.Token);
+      const currentHeartbeat = Atomics.load(buffer, RobustSlot.Heartbeat);
+      if (currentHolder !== holder || currentHeartbeat !== heartbeat) {
+        holder = currentHolder;
+        heartbeat = currentHeartbeat;
+        since = now();
+      } else if (now() - since >= Atomics.load(buffer, RobustSlot.LeaseMs)) {
+        token = takeOver(buffer, holder);
+      }
+    }
+    if (!token) {
+      return null;
+    }
+
+    startHeartbeat(buffer);
+    return {
+      ...createHandle(buffer, token),
+      ownerDied: Atomics.load(buffer, RobustSlot.Consistency) === Consistency.OwnerDied,
+    };
+  };
+};
+
+/**
+ * Wall clock in milliseconds on which lease expiries and arrival times of waiters are stored.
+ * Unlike `performance.now()`,
+ * whose origin differs between workers, it reads the same time in every thread, while still
+ * advancing monotonically within a thread when `performance.timeOrigin` is available.
+ * @type {() => number}
+ */
+const leaseClock =
+  typeof performance !== 'undefined' && typeof performance.timeOrigin === 'number'
+    ? () => performance.timeOrigin + performance.now()
+    : () => Date.now();
+
+/**
+ * Reads the {@link leaseClock} wrapped around as an Int32, like the expiry slot.
+ * @returns {number} Current time.
+ */
+const leaseTime = () => Math.floor(leaseClock()) | 0;
+
+/**
+ * Validates the duration of a lease.
+ * @param {any} ttlMs Lease to validate.
+ * @returns {number} The lease, in milliseconds.
+ * @throws {MutexError} If the lease is invalid.
+ */
+const validateLease = ttlMs => {
+  if (!Number.isInteger(ttlMs) || ttlMs < 1 || ttlMs > MAX_LEASE_MS) {
+    throw new MutexError(
+      `Lease must be a positive integer number of milliseconds, at most ${MAX_LEASE_MS}`
+    );
+  }
+  return ttlMs;
+};
+
+/**
+ * Reads the lease requested by the options of an acquisition.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number|AcquireOptions|undefined} options Timeout in milliseconds or acquisition options.
+ * @returns {number|undefined} Lease in milliseconds, or undefined if none was requested.
+ * @throws {MutexError} If the lease is invalid, or the mutex was not created with leases.
+ */
+const requestedLease = (buffer, options) => {
+  const ttlMs = options && typeof options === 'object' ? options.ttlMs : undefined;
+  if (ttlMs === undefined) {
+    return undefined;
+  }
+  if (!isLeased(buffer)) {
+    throw new MutexError('Cannot grant a lease: the mutex was not created with leases: true');
+  }
+  return validateLease(ttlMs);
+};
+
+/**
+ * Computes the expiry of a lease starting now, avoiding the reserved expiry slot values.
+ * @param {number} ttlMs Lease in milliseconds.
+ * @returns {number} Expiry on the wrapped {@link leaseClock}.
+ */
+const expiryAt = ttlMs => {
+  const expiry = (leaseTime() + ttlMs) | 0;
+  return expiry === NO_LEASE || expiry === CLAIMED ? 1 : expiry;
+};
+
+/**
+ * Tells whether a lease expired. Wrapped expiries are compared by their difference with the
+ * current time, which holds as long as they are at most {@link MAX_LEASE_MS} apart.
+ * @param {number} expiry Value of the expiry slot.
+ * @returns {boolean} True if the lease expired, false for acquisitions without lease.
+ */
+const isExpired = expiry =>
+  expiry !== NO_LEASE && expiry !== CLAIMED && ((leaseTime() - expiry) | 0) >= 0;
+
+/**
+ * Tells whether waiters see a mutex as held: a lock whose lease expired is free for them.
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {boolean} True if the lock is held under a running lease or without lease.
+ */
+const isLockedForWaiters = buffer =>
+  isLocked(buffer) && !(isLeased(buffer) && isExpired(Atomics.load(buffer, LeaseSlot.Expiry)));
+
+/**
+ * Stores the expiry of the lease of the holder. Waiters parked while it was not known yet are
+ * woken up, to park until it instead.
+ * @param {Int32Array} buffer Lock buffer with leases.
+ * @param {number} expiry Expiry of the lease, or {@link NO_LEASE}.
+ */
+const storeExpiry = (buffer, expiry) => {
+  Atomics.store(buffer, LeaseSlot.Expiry, expiry);
+  if (expiry !== NO_LEASE && Atomics.load(buffer, MutexSlot.State) === LockStatus.Contended) {
+    Atomics.notify(buffer, MutexSlot.State);
+  }
+};
+
+/**
+ * Removes the lease of the holder before it releases the lock, so that no waiter takes the
+ * lock over in between.
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number} expiry Expiry of the lease of the holder, or {@link NO_LEASE}.
+ * @returns {boolean} False if a waiter already took the expired lease over.
+ */
+const reclaimLease = (buffer, expiry) =>
+  expiry === NO_LEASE ||
+  (expiry !== CLAIMED &&
+    Atomics.compareExchange(buffer, LeaseSlot.Expiry, expiry, NO_LEASE) === expiry);
+
+/**
+ * Creates a disposable handle for a leased acquisition, whose `extend` renews the lease.
+ * Disposing it once the lease expired and was taken over throws a {@link MutexLeaseError}, as
+ * the critical section may have overlapped with that of the next holder.
+ *
+ * @param {Int32Array} buffer Lock buffer with leases.
+ * @param {number} token Token stamped by the acquisition.
+ * @param {number} expiry Expiry of the lease.
+ * @returns {LockHandle} Disposable lock handle.
+ */
+const createLeaseHandle = (buffer, token, expiry) => {
+  let released = false;
+  let leaseExpiry = expiry;
+  return {
+    acquiredAt: now(),
+    isHeld: () =>
+      !released &&
+      holds(buffer, token) &&
+      Atomics.load(buffer, LeaseSlot.Expiry) === leaseExpiry &&
+      !isExpired(leaseExpiry),
+    extend: ttlMs => {
+      const nextExpiry = expiryAt(validateLease(ttlMs));
+      if (
+        released ||
+        !holds(buffer, token) ||
+        Atomics.compareExchange(buffer, LeaseSlot.Expiry, leaseExpiry, nextExpiry) !== leaseExpiry
+      ) {
+        throw new MutexLeaseError(
+          'Cannot extend a lost lease: the lock was released or taken over'
+        );
+      }
+      leaseExpiry = nextExpiry;
+    },
+    [dispose]: () => {
+      if (released) return;
+      released = true;
+      if (holds(buffer, token)) {
+        if (reclaimLease(buffer, leaseExpiry)) {
+          release(buffer);
+          return;
+        }
+      } else if (!isExpired(leaseExpiry)) {
+        if (isStrict(buffer)) {
+          throw new MutexError('Cannot release a stale lock handle: the lock was released since');
+        }
+        return;
+      }
+      throw new MutexLeaseError(
+        'Mutex lease expired before its handle was disposed: the lock was taken over'
+      );
+    },
+  };
+};
+
+/**
+ * Records the current thread as the holder of a lock with leases, with a lease of `ttlMs`.
+ *
+ * @param {Int32Array} buffer Lock buffer with leases.
+ * @param {number|undefined} ttlMs Lease in milliseconds, or undefined to hold the lock until
+ *   it is released.
+ * @returns {LockHandle} Disposable lock handle.
+ */
+const grantLease = (buffer, ttlMs) => {
+  const token = stampOwner(buffer);
+  if (ttlMs === undefined) {
+    storeExpiry(buffer, NO_LEASE);
+    return createHandle(buffer, token);
+  }
+
+  const expiry = expiryAt(ttlMs);
+  storeExpiry(buffer, expiry);
+  return createLeaseHandle(buffer, token, expiry);
+};
+
+/**
+ * Creates the try-lock step of an acquisition of a mutex with leases.
+ * Besides trying to take a free lock, each step takes over a lock whose lease expired. Exactly
+ * one waiter wins the takeover, by claiming the expiry stored by the holder, which then fails
+ * to extend or release its lease.
+ *
+ * @param {Int32Array} buffer Lock buffer with leases.
+ * @param {number|undefined} ttlMs Lease of the acquisition in milliseconds, if any.
+ * @returns {() => LockHandle|null} Single try-lock step.
+ */
+const leaseAttempt = (buffer, ttlMs) => () => {
+  if (
+    Atomics.compareExchange(buffer, MutexSlot.State, LockStatus.Unlocked, LockStatus.Locked) ===
+    LockStatus.Unlocked
+  ) {
+    return grantLease(buffer, ttlMs);
+  }
+
+  const expiry = Atomics.load(buffer, LeaseSlot.Expiry);
+  if (
+    !isExpired(expiry) ||
+    Atomics.compareExchange(buffer, LeaseSlot.Expiry, expiry, CLAIMED) !== expiry
+  ) {
+    return null;
+  }
+  // The lock stays held while changing hands
+  return grantLease(buffer, ttlMs);
+};
+
+/**
+ * Computes how long a waiter of a mutex with leases may park: until the lease of the holder
+ * expires, or until the lock is released if the holder has no lease.
+ * @param {Int32Array} buffer Lock buffer with leases.
+ * @returns {number} Maximum time to park, in milliseconds.
+ */
+const leaseSlice = buffer => {
+  const expiry = Atomics.load(buffer, LeaseSlot.Expiry);
+  if (expiry === NO_LEASE || expiry === CLAIMED) {
+    return Infinity;
+  }
+  return Math.max(1, (expiry - leaseTime()) | 0);
+};
+
+/**
+ * Validates the priority of an acquisition.
+ * @param {any} priority Priority to validate.
+ * @returns {number} The priority.
+ * @throws {MutexError} If the priority is invalid.
+ */
+const validatePriority = priority => {
+  if (!Number.isInteger(priority) || (priority | 0) !== priority) {
+    throw new MutexError('Priority must be a 32-bit integer');
+  }
+  return priority;
+};
+
+/**
+ * Reads the priority requested by the options of an acquisition.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number|AcquireOptions|undefined} options Timeout in milliseconds or acquisition options.
+ * @returns {number} The priority, 0 if none was requested.
+ * @throws {MutexError} If the priority is invalid, or the mutex was not created with priorities.
+ */
+const requestedPriority = (buffer, options) => {
+  const priority = options && typeof options === 'object' ? options.priority : undefined;
+  if (priority === undefined) {
+    return 0;
+  }
+  if (!isPrioritized(buffer)) {
+    throw new MutexError(
+      'Cannot wait by priority: the mutex was not created with priorities: true'
+    );
+  }
+  return validatePriority(priority);
+};
+
+/**
+ * Returns the index of a slot of an entry of the waiter table.
+ * @param {number} entry Entry index.
+ * @param {number} slot {@link WaiterSlot} offset.
+ * @returns {number} Slot index.
+ */
+const waiterSlot = (entry, slot) => PrioritySlot.Waiters + entry * WAITER_LENGTH + slot;
+
+/**
+ * Takes a lock with priorities if it is free and no waiter is registered, so that arriving
+ * acquisitions never overtake waiters.
+ *
+ * @param {Int32Array} buffer Lock buffer with priorities.
+ * @returns {LockHandle|null} Disposable lock handle, or null if the lock is held or awaited.
+ */
+const tryLockPrioritized = buffer => {
+  if (
+    Atomics.load(buffer, PrioritySlot.Waiting) !== 0 ||
+    Atomics.compareExchange(buffer, MutexSlot.State, LockStatus.Unlocked, LockStatus.Locked) !==
+      LockStatus.Unlocked
+  ) {
+    return null;
+  }
+
+  return createHandle(buffer, stampOwner(buffer));
+};
+
+/**
+ * Takes the lock if it is free, or registers the caller in the waiter table otherwise.
+ *
+ * @param {Int32Array} buffer Lock buffer with priorities.
+ * @param {number} priority Priority of the caller.
+ * @returns {{handle: LockHandle}|{entry: number}|null} Handle if the lock was taken, entry of
+ *   the caller if it registered, or null if the table is full.
+ */
+const registerWaiter = (buffer, priority) => {
+  const handle = tryLockPrioritized(buffer);
+  if (handle) {
+    return { handle };
+  }
+
+  for (let entry = 0; entry < PRIORITY_QUEUE_SIZE; entry++) {
+    const status = waiterSlot(entry, WaiterSlot.Status);
+    if (
+      Atomics.compareExchange(buffer, status, WaiterStatus.Free, WaiterStatus.Reserved) ===
+      WaiterStatus.Free
+    ) {
+      Atomics.store(buffer, waiterSlot(entry, WaiterSlot.Priority), priority);
+      Atomics.store(buffer, waiterSlot(entry, WaiterSlot.Since), leaseTime());
+      Atomics.store(buffer, status, WaiterStatus.Waiting);
+      // Registered before checking the lock, see handOver
+      Atomics.add(buffer, PrioritySlot.Waiting, 1);
+      return { entry };
+    }
+  }
+  return null;
+};
+
+/**
+ * Frees the entry of a waiter leaving the table, making room for waiters of a full table.
+ * @param {Int32Array} buffer Lock buffer with priorities.
+ * @param {number} entry Entry of the waiter.
+ */
+const leaveTable = (buffer, entry) => {
+  Atomics.store(buffer, waiterSlot(entry, WaiterSlot.Status), WaiterStatus.Free);
+  Atomics.sub(buffer, PrioritySlot.Waiting, 1);
+  Atomics.notify(buffer, PrioritySlot.Waiting);
+};
+
+/**
+ * Takes the lock if it was handed over to a registered waiter, or if it is free.
+ *
+ * @param {Int32Array} buffer Lock buffer with priorities.
+ * @param {number} entry Entry of the waiter.
+ * @returns {LockHandle|null} Disposable lock handle, or null if the waiter must keep waiting.
+ */
+const claimEntry = (buffer, entry) => {
+  if (
+    Atomics.load(buffer, waiterSlot(entry, WaiterSlot.Status)) !== WaiterStatus.Granted &&
+    Atomics.compareExchange(buffer, MutexSlot.State, LockStatus.Unlocked, LockStatus.Locked) !==
+      LockStatus.Unlocked
+  ) {
+    return null;
+  }
+
+  // Only the holder grants entries, so a free lock cannot have been granted meanwhile
+  leaveTable(buffer, entry);
+  return createHandle(buffer, stampOwner(buffer));
+};
+
+/**
+ * Gives up the entry of a waiter that timed out or was aborted. If the lock was handed over to
+ * it in the meantime, it is passed on to the next waiter.
+ *
+ * @param {Int32Array} buffer Lock buffer with priorities.
+ * @param {number} entry Entry of the waiter.
+ */
+const abandonEntry = (buffer, entry) => {
+  // Reserving the entry again keeps the releaser from granting it before it is freed
+  const status = waiterSlot(entry, WaiterSlot.Status);
+  const granted =
+    Atomics.compareExchange(buffer, status, WaiterStatus.Waiting, WaiterStatus.Reserved) !==
+    WaiterStatus.Waiting;
+  leaveTable(buffer, entry);
+  if (granted) {
+    handOver(buffer);
+  }
+};
+
+/**
+ * Finds the waiter to grant the lock to: the one with the highest priority, raised by one for
+ * every `AgingMs` it has waited so that low priorities are not starved, then the oldest one.
+ *
+ * @param {Int32Array} buffer Lock buffer with priorities.
+ * @returns {number} Entry of the waiter, or -1 if none is waiting.
+ */
+const nextWaiter = buffer => {
+  const agingMs = Atomics.load(buffer, PrioritySlot.AgingMs);
+  const time = leaseTime();
+  let best = -1;
+  let bestPriority = -Infinity;
+  let bestWaitMs = -1;
+  for (let entry = 0; entry < PRIORITY_QUEUE_SIZE; entry++) {
+    if (Atomics.load(buffer, waiterSlot(entry, WaiterSlot.Status)) !== WaiterStatus.Waiting) {
+      continue;
+    }
+    const waitMs = Math.max(
+      0,
+      (time - Atomics.load(buffer, waiterSlot(entry, WaiterSlot.Since))) | 0
+    );
+    const priority =
+      Atomics.load(buffer, waiterSlot(entry, WaiterSlot.Priority)) + Math.floor(waitMs / agingMs);
+    if (priority > bestPriority || (priority === bestPriority && waitMs > bestWaitMs)) {
+      best = entry;
+      bestPriority = priority;
+      bestWaitMs = waitMs;
+    }
+  }
+  return best;
+};
+
+/**
+ * Releases a lock with priorities by handing it over to the next waiter, if any.
+ * A waiter registering while the lock is being freed either sees it free, or is seen by the
+ * releaser, which then takes the lock back to hand it over.
+ *
+ * @param {Int32Array} buffer Lock buffer with priorities.
+ */
+const handOver = buffer => {
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    if (Atomics.load(buffer, PrioritySlot.Waiting) !== 0) {
+      const entry = nextWaiter(buffer);
+      if (entry !== -1) {
+        const status = waiterSlot(entry, WaiterSlot.Status);
+        if (
+          Atomics.compareExchange(buffer, status, WaiterStatus.Waiting, WaiterStatus.Granted) ===
+          WaiterStatus.Waiting
+        ) {
+          Atomics.notify(buffer, status);
+          return;
+        }
+        // The waiter gave up meanwhile
+        continue;
+      }
+    }
+
+    Atomics.store(buffer, MutexSlot.State, LockStatus.Unlocked);
+    if (
+      Atomics.load(buffer, PrioritySlot.Waiting) === 0 ||
+      Atomics.compareExchange(buffer, MutexSlot.State, LockStatus.Unlocked, LockStatus.Locked) !==
+        LockStatus.Unlocked
+    ) {
+      return;
+    }
+  }
+};
+
+/**
+ * Acquires a lock with priorities asynchronously: the caller registers in the waiter table and
+ * waits for the lock to be handed over to it.
+ *
+ * @param {Int32Array} buffer Lock buffer with priorities.
+ * @param {number|AcquireOptions} options Timeout in milliseconds or acquisition options.
+ * @param {number} priority Priority of the caller.
+ * @param {() => void} [onBlocked] Called after each failed attempt.
+ * @returns {Promise<LockHandle>} Disposable lock handle.
+ */
+const lockPrioritized = async (buffer, options, priority, onBlocked) => {
+  const acquireOptions = resolveAcquireOptions(options);
+  const registration = await waitForAcquire(
+    buffer,
+    PrioritySlot.Waiting,
+    watchAttempt(() => registerWaiter(buffer, priority), onBlocked),
+    acquireOptions,
+    'Mutex lock',
+    watchSlice(onBlocked)
+  );
+  if ('handle' in registration) {
+    return registration.handle;
+  }
+
+  const { entry } = registration;
+  try {
+    return await waitForAcquire(
+      buffer,
+      waiterSlot(entry, WaiterSlot.Status),
+      watchAttempt(() => claimEntry(buffer, entry), onBlocked),
+      acquireOptions,
+      'Mutex lock',
+      watchSlice(onBlocked)
+    );
+  } catch (error) {
+    abandonEntry(buffer, entry);
+    throw error;
+  }
+};
+
+/**
+ * Acquires a lock with priorities synchronously (blocking).
+ *
+ * @param {Int32Array} buffer Lock buffer with priorities.
+ * @param {number|AcquireOptions} options Timeout in milliseconds or acquisition options.
+ * @param {number} priority Priority of the caller.
+ * @param {() => void} [onBlocked] Called after each failed attempt.
+ * @returns {LockHandle} Disposable lock handle.
+ */
+const lockPrioritizedSync = (buffer, options, priority, onBlocked) => {
+  const acquireOptions = resolveAcquireOptions(options);
+  const registration = waitForAcquireSync(
+    buffer,
+    PrioritySlot.Waiting,
+    watchAttempt(() => registerWaiter(buffer, priority), onBlocked),
+    acquireOptions,
+    'Mutex lock',
+    watchSlice(onBlocked)
+  );
+  if ('handle' in registration) {
+    return registration.handle;
+  }
+
+  const { entry } = registration;
+  try {
+    return waitForAcquireSync(
+      buffer,
+      waiterSlot(entry, WaiterSlot.Status),
+      watchAttempt(() => claimEntry(buffer, entry), onBlocked),
+      acquireOptions,
+      'Mutex lock',
+      watchSlice(onBlocked)
+    );
+  } catch (error) {
+    abandonEntry(buffer, entry);
+    throw error;
+  }
+};
+
+/**
+ * Acquires the lock asynchronously.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number|AcquireOptions} [options=Infinity] Timeout in milliseconds or acquisition options.
+ * @param {(buffer: Int32Array) => LockHandle|null} [attempt=tryLock] Single try-lock step.
+ * @param {() => void} [onBlocked] Called after each failed attempt, e.g. to detect deadlocks.
+ * @returns {Promise<LockHandle>} Disposable lock handle.
+ * @throws {MutexError} If lock acquisition times out or is interrupted.
+ * @throws {MutexAbortError} If lock acquisition is aborted.
+ */
+const lock = async (buffer, options = Infinity, attempt = tryLock, onBlocked) => {
+  validateMutexBuffer(buffer);
+  const ttlMs = requestedLease(buffer, options);
+  const priority = requestedPriority(buffer, options);
+  if (isFair(buffer)) {
+    return lockFair(buffer, options, onBlocked);
+  }
+  if (isPrioritized(buffer)) {
+    return lockPrioritized(buffer, options, priority, onBlocked);
+  }
+  if (isRobust(buffer)) {
+    // Wake up at least once per lease to check on the holder
+    return waitForAcquire(
+      buffer,
+      MutexSlot.State,
+      parkingAttempt(buffer, watchAttempt(robustAttempt(buffer), onBlocked)),
+      options,
+      'Mutex lock',
+      watchSlice(onBlocked, Atomics.load(buffer, RobustSlot.LeaseMs))
+    );
+  }
+  if (isLeased(buffer)) {
+    // Wake up when the lease of the holder expires
+    return waitForAcquire(
+      buffer,
+      MutexSlot.State,
+      parkingAttempt(buffer, watchAttempt(leaseAttempt(buffer, ttlMs), onBlocked)),
+      options,
+      'Mutex lock',
+      watchSlice(onBlocked, () => leaseSlice(buffer))
+    );
+  }
+
+  return waitForAcquire(
+    buffer,
+    MutexSlot.State,
+    parkingAttempt(
+      buffer,
+      watchAttempt(() => attempt(buffer), onBlocked)
+    ),
+    options,
+    'Mutex lock',
+    watchSlice(onBlocked)
+  );
+};
+
+/**
+ * Acquires the lock synchronously (blocking).
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number|AcquireOptions} [options=Infinity] Timeout in milliseconds or acquisition options.
+ * @param {(buffer: Int32Array) => LockHandle|null} [attempt=tryLock] Single try-lock step.
+ * @param {() => void} [onBlocked] Called after each failed attempt, e.g. to detect deadlocks.
+ * @returns {LockHandle} Disposable lock handle.
+ * @throws {MutexError} If lock acquisition times out or is interrupted.
+ * @throws {MutexAbortError} If lock acquisition is aborted.
+ */
+const lockSync = (buffer, options = Infinity, attempt = tryLock, onBlocked) => {
+  validateMutexBuffer(buffer);
+  const ttlMs = requestedLease(buffer, options);
+  const priority = requestedPriority(buffer, options);
+  if (isFair(buffer)) {
+    return lockFairSync(buffer, options, onBlocked);
+  }
+  if (isPrioritized(buffer)) {
+    return lockPrioritizedSync(buffer, options, priority, onBlocked);
+  }
+  if (isRobust(buffer)) {
+    return waitForAcquireSync(
+      buffer,
+      MutexSlot.State,
+      parkingAttempt(buffer, watchAttempt(robustAttempt(buffer), onBlocked)),
+      options,
+      'Mutex lock',
+      watchSlice(onBlocked, Atomics.load(buffer, RobustSlot.LeaseMs))
+    );
+  }
+  if (isLeased(buffer)) {
+    return waitForAcquireSync(
+      buffer,
+      MutexSlot.State,
+      parkingAttempt(buffer, watchAttempt(leaseAttempt(buffer, ttlMs), onBlocked)),
+      options,
+      'Mutex lock',
+      watchSlice(onBlocked, () => leaseSlice(buffer))
+    );
+  }
+
+  return waitForAcquireSync(
+    buffer,
+    MutexSlot.State,
+    parkingAttempt(
+      buffer,
+      watchAttempt(() => attempt(buffer), onBlocked)
+    ),
+    options,
+    'Mutex lock',
+    watchSlice(onBlocked)
+  );
+};
+
+/**
+ * Attempts to take the lock once, without waiting.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number|AcquireOptions} [options] Acquisition options, of which only `ttlMs` is used.
+ * @returns {LockHandle|null} Disposable lock handle, or null if the lock is held.
+ * @throws {MutexError} If the requested lease is invalid.
+ */
+const tryLockOnce = (buffer, options) => {
+  validateMutexBuffer(buffer);
+  const ttlMs = requestedLease(buffer, options);
+  if (isFair(buffer)) {
+    return tryLockFair(buffer);
+  }
+  if (isRobust(buffer)) {
+    return robustAttempt(buffer)();
+  }
+  if (isLeased(buffer)) {
+    return leaseAttempt(buffer, ttlMs)();
+  }
+  if (isPrioritized(buffer)) {
+    return tryLockPrioritized(buffer);
+  }
+
+  return tryLock(buffer);
+};
+
+/**
+ * Checks that the current thread may release the lock.
+ * When a `token` is given (i.e. the call comes from a handle's dispose), a lock that is no
+ * longer held under that token is reported as not releasable instead of throwing, so
+ * disposing a handle twice is harmless.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number} [token] Token of the acquisition being released.
+ * @returns {boolean} True if the caller holds the lock.
+ * @throws {MutexError} If the mutex is not locked or is held by another thread.
+ */
+const checkOwnership = (buffer, token) => {
+  const fromHandle = token !== undefined;
+
+  if (!isLocked(buffer)) {
+    if (fromHandle) return false;
+    throw new MutexError('Cannot unlock mutex that is not locked');
+  }
+
+  if (
+    Atomics.load(buffer, MutexSlot.Owner) !== currentThreadId ||
+    (fromHandle && Atomics.load(buffer, MutexSlot.Token) !== token)
+  ) {
+    if (fromHandle) return false;
+    throw new MutexError('Cannot unlock mutex held by another thread');
+  }
+
+  return true;
+};
+
+/**
+ * Clears the owner and marks the lock as free, waking up waiters if some are parked.
+ * Fair mutexes hand the lock over to the next ticket instead, and mutexes with priorities to
+ * the waiter with the highest priority.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ */
+const release = buffer => {
+  Atomics.store(buffer, MutexSlot.Owner, 0);
+  if (isPrioritized(buffer)) {
+    handOver(buffer);
+    return;
+  }
+  const state = Atomics.exchange(buffer, MutexSlot.State, LockStatus.Unlocked);
+  if (isRobust(buffer)) {
+    stopHeartbeat(buffer);
+    Atomics.add(buffer, RobustSlot.Heartbeat, 1);
+  }
+  if (isFair(buffer)) {
+    advanceTicket(buffer, Atomics.load(buffer, FairSlot.NowServing));
+  } else if (state === LockStatus.Contended) {
+    // The waiter woken up keeps the lock contended once it takes it, to wake up the next one
+    Atomics.notify(buffer, MutexSlot.State, 1);
+  }
+};
+
+/**
+ * Releases a previously acquired lock.
+ * Only the thread that holds the lock may release it. Releasing a robust mutex whose previous
+ * owner died, without marking it consistent first, makes it unrecoverable.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {number} [token] Token of the acquisition being released.
+ * @returns {boolean} False if the acquisition identified by `token` no longer held the lock.
+ * @throws {MutexError} If the mutex is not locked or is held by another thread.
+ * @throws {MutexLeaseError} If the lease of the holder expired, or the heartbeat of a robust
+ *   holder went silent, and the lock was taken over.
+ */
+const unlock = (buffer, token) => {
+  validateMutexBuffer(buffer);
+  // Read before checking ownership, as a robust lock can be taken over in between
+  const acquisition = token === undefined ? Atomics.load(buffer, MutexSlot.Token) : token;
+  if (!checkOwnership(buffer, token)) {
+    return false;
+  }
+  if (isLeased(buffer) && !reclaimLease(buffer, Atomics.load(buffer, LeaseSlot.Expiry))) {
+    throw new MutexLeaseError('Cannot unlock mutex: its lease expired and was taken over');
+  }
+
+  if (isRobust(buffer)) {
+    if (!endAcquisition(buffer, acquisition)) {
+      throw new MutexLeaseError(
+        'Cannot unlock mutex: its heartbeat went silent and it was taken over'
+      );
+    }
+    Atomics.compareExchange(
+      buffer,
+      RobustSlot.Consistency,
+      Consistency.OwnerDied,
+      Consistency.NotRecoverable
+    );
+  }
+  release(buffer);
+  return true;
+};
+
+/**
+ * Marks the state guarded by a robust mutex as repaired after its previous owner died.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @throws {MutexError} If the current thread does not hold the mutex.
+ */
+const markConsistent = buffer => {
+  if (!isLocked(buffer) || Atomics.load(buffer, MutexSlot.Owner) !== currentThreadId) {
+    throw new MutexError('Mutex must be held by the current thread');
+  }
+  if (isRobust(buffer)) {
+    Atomics.compareExchange(
+      buffer,
+      RobustSlot.Consistency,
+      Consistency.OwnerDied,
+      Consistency.Consistent
+    );
+  }
+};
+
+/**
+ * Releases one level of a recursive lock. The lock is only freed, and waiters notified,
+ * once the hold count drops to zero.
+ *
+ * @param {Int32Array} buffer Recursive lock buffer.
+ * @param {number} [token] Token of the acquisition being released.
+ * @returns {boolean} False if the acquisition identified by `token` no longer held the lock.
+ * @throws {MutexError} If the mutex is not locked or is held by another thread.
+ */
+const unlockRecursive = (buffer, token) => {
+  validateMutexBuffer(buffer, RECURSIVE_MUTEX_LENGTH);
+  if (!checkOwnership(buffer, token)) {
+    return false;
+  }
+
+  if (Atomics.sub(buffer, MutexSlot.Count, 1) === 1) {
+    release(buffer);
+  }
+  return true;
+};
+
+/**
+ * Reads the current owner of a mutex. A holder whose lease expired no longer counts.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {{threadId: number, token: number}|null} The holder, or null if the mutex is free.
+ */
+const owner = buffer => {
+  const threadId = Atomics.load(buffer, MutexSlot.Owner);
+  if (threadId === 0 || !isLockedForWaiters(buffer)) {
+    return null;
+  }
+  return { threadId: threadId - 1, token: Atomics.load(buffer, MutexSlot.Token) };
+};
+
+/**
+ * Acquisition suspended by {@link suspendLock}.
+ * @typedef {{token: number, expiry: number, count: number}} SuspendedAcquisition
+ */
+
+/**
+ * Temporarily releases a mutex held by the current thread, e.g. while waiting on a condition.
+ * The acquisition is later restored with {@link resumeLock}, so the caller's handle stays valid.
+ * Its lease, if any, keeps running meanwhile, and the hold count of a recursive mutex is
+ * restored along with it.
+ *
+ * @param {{buffer: Int32Array}} mutex Mutex object held by the caller.
+ * @returns {SuspendedAcquisition} The suspended acquisition.
+ * @throws {MutexError} If the current thread does not hold the mutex.
+ * @throws {MutexLeaseError} If the lease of the holder expired, or the heartbeat of a robust
+ *   holder went silent, and the lock was taken over.
+ */
+export const suspendLock = mutex => {
+  const { buffer } = mutex;
+  validateMutexBuffer(buffer);
+  if (!isLocked(buffer) || Atomics.load(buffer, MutexSlot.Owner) !== currentThreadId) {
+    throw new MutexError('Mutex must be held by the current thread');
+  }
+
+  const token = Atomics.load(buffer, MutexSlot.Token);
+  const expiry = isLeased(buffer) ? Atomics.load(buffer, LeaseSlot.Expiry) : NO_LEASE;
+  if (!reclaimLease(buffer, expiry)) {
+    throw new MutexLeaseError('Cannot release mutex: its lease expired and was taken over');
+  }
+  if (isRobust(buffer) && !endAcquisition(buffer, token)) {
+    throw new MutexLeaseError(
+      'Cannot release mutex: its heartbeat went silent and it was taken over'
+    );
+  }
+  const count = recursiveMutexes.has(mutex) ? Atomics.exchange(buffer, MutexSlot.Count, 0) : 0;
+  release(buffer);
+  const released = releaseHooks.get(mutex);
+  if (released) {
+    released();
+  }
+  return { token, expiry, count };
+};
+
+/**
+ * Restores a suspended acquisition once the lock is held again by `handle`. The caller's
+ * original handle carries on with the lock, so the re-acquisition is no longer tracked by lock
+ * order checks.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {LockHandle} handle Handle of the re-acquisition.
+ * @param {SuspendedAcquisition} acquisition Acquisition returned by `suspendLock`.
+ */
+const restoreAcquisition = (buffer, handle, { token, expiry, count }) => {
+  const entry = orderEntries.get(handle);
+  if (entry) {
+    recordRelease(entry);
+  }
+  Atomics.store(buffer, MutexSlot.Token, token);
+  if (expiry !== NO_LEASE) {
+    storeExpiry(buffer, expiry);
+  }
+  if (count > 0) {
+    Atomics.store(buffer, MutexSlot.Count, count);
+  }
+};
+
+/**
+ * Re-acquires a mutex released by {@link suspendLock} through the mutex object, so that its
+ * hooks, statistics, deadlock detection, lock order checks and queue of waiters apply as to any
+ * acquisition, then restores the suspended acquisition.
+ *
+ * @param {{buffer: Int32Array, lock: () => Promise<LockHandle>}} mutex Mutex object passed to
+ *   `suspendLock`.
+ * @param {SuspendedAcquisition} acquisition Acquisition returned by `suspendLock`.
+ * @returns {Promise<void>} Resolves once the lock is held again.
+ */
+export const resumeLock = async (mutex, acquisition) => {
+  restoreAcquisition(mutex.buffer, await mutex.lock(), acquisition);
+};
+
+/**
+ * Synchronous (blocking) counterpart of {@link resumeLock}.
+ *
+ * @param {{buffer: Int32Array, lockSync: () => LockHandle}} mutex Mutex object passed to
+ *   `suspendLock`.
+ * @param {SuspendedAcquisition} acquisition Acquisition returned by `suspendLock`.
+ */
+export const resumeLockSync = (mutex, acquisition) => {
+  restoreAcquisition(mutex.buffer, mutex.lockSync(), acquisition);
+};
+
+/**
+ * Creates a mutex buffer initialized from a string identifier.
+ * Useful for cross-worker named locks.
+ *
+ * @param {string} input Identifier string.
+ * @returns {Int32Array} Mutex buffer.
+ * @throws {MutexError} If input is invalid.
+ */
+const createBufferFromString = input => {
+  if (!input || typeof input !== 'string') {
+    throw new MutexError('Invalid input: must be a non-empty string');
+  }
+
+  const encoder = new TextEncoder();
+  const bytes = encoder.encode(input);
+
+  // Ensure proper 4-byte alignment
+  const headerSize = MUTEX_LENGTH * 4; // Size of the Int32 lock slots
+  const totalSize = headerSize + bytes.byteLength;
+  const alignedSize = Math.ceil(totalSize / 4) * 4;
+
+  const buffer = new SharedArrayBuffer(alignedSize);
+  const int32View = new Int32Array(buffer);
+  const uint8View = new Uint8Array(buffer);
+
+  // Initialize lock state
+  int32View[MutexSlot.State] = LockStatus.Unlocked;
+
+  // Copy string bytes after the lock state
+  uint8View.set(bytes, headerSize);
+
+  // Zero-fill any padding bytes
+  if (alignedSize > totalSize) {
+    uint8View.fill(0, totalSize, alignedSize);
+  }
+
+  return int32View;
+};
+
+/**
+ * Tells whether a mutex buffer records statistics.
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {boolean} True if statistics are enabled.
+ */
+const hasStats = buffer => (Atomics.load(buffer, MutexSlot.Flags) & MutexFlags.Stats) !== 0;
+
+/**
+ * Returns the index of a statistics slot, which follow the lock state of the mutex.
+ * @param {Int32Array} buffer Lock buffer with statistics.
+ * @param {number} slot {@link StatsSlot} offset.
+ * @returns {number} Slot index.
+ */
+const statsSlot = (buffer, slot) =>
+  layoutLength(Atomics.load(buffer, MutexSlot.Flags) & ~MutexFlags.Stats) + slot;
+
+/**
+ * Raises a statistics slot to `value` if it is lower.
+ * @param {Int32Array} buffer Lock buffer with statistics.
+ * @param {number} slot {@link StatsSlot} offset.
+ * @param {number} value Candidate maximum, in milliseconds.
+ */
+const recordMax = (buffer, slot, value) => {
+  const index = statsSlot(buffer, slot);
+  const rounded = Math.round(value);
+  let current = Atomics.load(buffer, index);
+  while (rounded > current) {
+    const previous = Atomics.compareExchange(buffer, index, current, rounded);
+    if (previous === current) {
+      return;
+    }
+    current = previous;
+  }
+};
+
+/**
+ * Reads the statistics of a mutex.
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {MutexStats|null} The statistics, or null if they are disabled.
+ */
+const readStats = buffer => {
+  if (!hasStats(buffer)) {
+    return null;
+  }
+
+  const read = slot => Atomics.load(buffer, statsSlot(buffer, slot));
+  return {
+    acquisitions: read(StatsSlot.Acquisitions),
+    contended: read(StatsSlot.Contended),
+    timeouts: read(StatsSlot.Timeouts),
+    totalWaitMs: read(StatsSlot.TotalWaitMs),
+    maxWaitMs: read(StatsSlot.MaxWaitMs),
+    maxHoldMs: read(StatsSlot.MaxHoldMs),
+  };
+};
+
+/**
+ * Validates the hooks passed to a mutex.
+ * @param {any} hooks Hooks to validate.
+ * @throws {MutexError} If a hook is not a function.
+ */
+const validateHooks = hooks => {
+  ['onAcquire', 'onRelease', 'onTimeout'].forEach(name => {
+    if (hooks[name] !== undefined && typeof hooks[name] !== 'function') {
+      throw new MutexError(`Invalid hook: ${name} must be a function`);
+    }
+  });
+};
+
+/**
+ * Validates the acquisition strategy passed to a mutex.
+ * @param {any} spin Strategy to validate.
+ * @returns {Required<SpinOptions>} Strategy with defaults applied.
+ * @throws {MutexError} If the strategy is invalid.
+ */
+const resolveSpin = spin => {
+  if (spin === undefined) {
+    return { spins: 0, maxBackoff: 64 };
+  }
+  if (!spin || typeof spin !== 'object') {
+    throw new MutexError('Invalid spin: must be an object');
+  }
+
+  const { spins = 0, maxBackoff = 64 } = spin;
+  if (!Number.isInteger(spins) || spins < 0) {
+    throw new MutexError('Invalid spin: spins must be a non-negative integer');
+  }
+  if (!Number.isInteger(maxBackoff) || maxBackoff < 1) {
+    throw new MutexError('Invalid spin: maxBackoff must be a positive integer');
+  }
+  return { spins, maxBackoff };
+};
+
+/**
+ * Acquisition methods of a mutex object.
+ * @typedef {{
+ *   lock: (options?: number|AcquireOptions) => Promise<LockHandle>,
+ *   lockSync: (options?: number|AcquireOptions) => LockHandle,
+ *   tryLock: (options?: {ttlMs?: number}) => LockHandle|null
+ * }} Acquirers
+ */
+
+/**
+ * Creates acquisition methods that spin on a contended lock before parking, which is cheaper
+ * than a park and wake-up round trip when the lock is held for a short time.
+ * Acquisitions cancelled by an already aborted signal skip spinning, to fail as usual.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {Required<SpinOptions>} spin Acquisition strategy.
+ * @param {Acquirers} acquire Acquisition methods parking the caller.
+ * @returns {Acquirers} Spinning acquisition methods.
+ */
+const spinFirst = (buffer, { spins, maxBackoff }, acquire) => {
+  const spinLock = options => {
+    if (options && typeof options === 'object' && options.signal && options.signal.aborted) {
+      return null;
+    }
+
+    let backoff = 1;
+    for (let retries = 0; ; retries++) {
+      const handle = acquire.tryLock(options);
+      if (handle || retries === spins) {
+        return handle;
+      }
+      // Poll before retrying, so that spinners do not hammer the lock with writes
+      for (let i = 0; i < backoff && isLocked(buffer); i++) {
+        // Busy wait
+      }
+      backoff = Math.min(backoff * 2, maxBackoff);
+    }
+  };
+
+  return {
+    lock: options => {
+      const handle = spinLock(options);
+      return handle ? Promise.resolve(handle) : acquire.lock(options);
+    },
+    lockSync: options => spinLock(options) || acquire.lockSync(options),
+    tryLock: acquire.tryLock,
+  };
+};
+
+/**
+ * Creates acquisition methods queueing the async callers of a mutex object in FIFO order, so
+ * that only the first of them (the leader) is parked on the lock across threads. A release then
+ * wakes up at most one waiter per thread instead of every async caller. Once the leader acquired
+ * the lock, the next local waiter waits for the leader to release it and is handed the lock
+ * directly, without parking across threads; if another thread took it meanwhile, or the leader
+ * gave up, the next local waiter takes its place.
+ *
+ * With leases, the next local waiter takes the place of the leader as soon as it acquired the
+ * lock instead, so that it can take the lock over once the lease of the leader expired.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {Acquirers} acquire Acquisition methods parking the caller.
+ * @returns {Acquirers & {released: () => void}} Queueing acquisition methods, and a callback
+ *   to call once the lock was released without a handle, e.g. by `unlock()`.
+ */
+const queueWaiters = (buffer, acquire) => {
+  /** @type {QueuedWaiter[]} */
+  const waiters = [];
+  const handsOver = !isLeased(buffer);
+  let leading = false;
+  /** @type {LockHandle|null} */
+  let holding = null;
+
+  const promote = () => {
+    if (leading || holding || waiters.length === 0) {
+      return;
+    }
+
+    const { timeoutMs, deadline, signal, ttlMs, resolve, reject, cleanup } = waiters.shift();
+    cleanup();
+    lead({ deadline, signal, ttlMs }).then(resolve, error =>
+      reject(error instanceof MutexTimeoutError ? timeoutError('Mutex lock', timeoutMs) : error)
+    );
+  };
+
+  // Hands the lock over to the next local waiter once the leader no longer holds it
+  const served = () => {
+    if (!holding || holding.isHeld()) {
+      return;
+    }
+    holding = null;
+    if (leading || waiters.length === 0) {
+      return;
+    }
+
+    const handle = acquire.tryLock({ ttlMs: waiters[0].ttlMs });
+    if (!handle) {
+      promote();
+      return;
+    }
+    const { resolve, cleanup } = waiters.shift();
+    cleanup();
+    resolve(hold(handle));
+  };
+
+  const watch = handle => {
+    if (handle === null || !handsOver) {
+      return handle;
+    }
+    const releaseHandle = handle[dispose];
+    handle[dispose] = () => {
+      try {
+        releaseHandle();
+      } finally {
+        served();
+      }
+    };
+    return handle;
+  };
+
+  const hold = handle => {
+    if (handsOver) {
+      holding = handle;
+    }
+    return watch(handle);
+  };
+
+  const lead = async options => {
+    leading = true;
+    try {
+      return hold(await acquire.lock(options));
+    } finally {
+      leading = false;
+      promote();
+    }
+  };
+
+  return {
+    lock: async options => {
+      served();
+      if (!leading && !holding) {
+        return lead(options);
+      }
+      const acquireOptions = resolveAcquireOptions(options);
+      const ttlMs = requestedLease(buffer, options);
+      return waitInQueue(waiters, { ...acquireOptions, ttlMs }, 'Mutex lock');
+    },
+    lockSync: options => watch(acquire.lockSync(options)),
+    tryLock: options => watch(acquire.tryLock(options)),
+    released: served,
+  };
+};
+
+/**
+ * Creates acquisition methods that record their waits in a deadlock detector, and reject
+ * acquisitions that would close a cycle of threads waiting on each other.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {Int32Array} detector Buffer of the deadlock detector.
+ * @returns {Acquirers} Acquisition methods.
+ * @throws {MutexDeadlockError} From the acquisition methods, on deadlock.
+ */
+const detectDeadlocks = (buffer, detector) => {
+  const holder = () => Atomics.load(buffer, MutexSlot.Owner);
+
+  // Registers the acquisition in the wait-for graph when it first finds the lock busy, so that
+  // threads acquiring free locks do not take entries of the graph
+  const watchWait = () => {
+    let waiting = false;
+    return {
+      onBlocked: () => {
+        if (!waiting) {
+          enterWait(detector);
+          waiting = true;
+        }
+        waitOn(detector, holder);
+      },
+      done: () => {
+        if (waiting) {
+          leaveWait(detector);
+        }
+      },
+    };
+  };
+
+  // Releases outdate the waits recorded on the current thread
+  const track = handle => {
+    if (handle === null) {
+      return handle;
+    }
+    const releaseHandle = handle[dispose];
+    handle[dispose] = () => {
+      try {
+        releaseHandle();
+      } finally {
+        releasedLock(detector);
+      }
+    };
+    return handle;
+  };
+
+  return {
+    lock: async options => {
+      const wait = watchWait();
+      try {
+        return track(await lock(buffer, options, tryLock, wait.onBlocked));
+      } finally {
+        wait.done();
+      }
+    },
+    lockSync: options => {
+      const wait = watchWait();
+      try {
+        return track(lockSync(buffer, options, tryLock, wait.onBlocked));
+      } finally {
+        wait.done();
+      }
+    },
+    // Never waits, so cannot deadlock
+    tryLock: options => track(tryLockOnce(buffer, options)),
+  };
+};
+
+/**
+ * Wraps the acquisition methods of a mutex to validate lock order when checks are enabled
+ * with `setLockOrderChecks`. Only used for mutexes with a name or level.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {string|undefined} name Name of the mutex.
+ * @param {number|undefined} level Level of the mutex.
+ * @param {Acquirers} acquire Acquisition methods to validate.
+ * @returns {Acquirers} Validated acquisition methods.
+ * @throws {MutexError} From the acquisition methods, if an acquisition is out of order.
+ */
+const checkOrder = (buffer, name, level, acquire) => {
+  const track = (handle, site, establishesOrder = true) => {
+    if (site === null || handle === null) {
+      return handle;
+    }
+
+    const entry = recordAcquire(buffer, name, level, site, establishesOrder);
+    orderEntries.set(handle, entry);
+    const releaseHandle = handle[dispose];
+    handle[dispose] = () => {
+      try {
+        releaseHandle();
+      } finally {
+        recordRelease(entry);
+      }
+    };
+    return handle;
+  };
+
+  return {
+    lock: async options => {
+      const site = checkLockOrder(buffer, name, level);
+      return track(await acquire.lock(options), site);
+    },
+    lockSync: options => {
+      const site = checkLockOrder(buffer, name, level);
+      return track(acquire.lockSync(options), site);
+    },
+    // Failing instead of waiting cannot deadlock: the lock is tracked, but its order is not
+    tryLock: options => track(acquire.tryLock(options), acquisitionSite(), false),
+  };
+};
+
+/**
+ * Wraps the acquisition methods of a mutex to record statistics and call hooks.
+ * Only used when either is enabled, so that plain mutexes pay nothing for it.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {MutexHooks} hooks Instrumentation callbacks.
+ * @param {Acquirers} acquire Acquisition methods to instrument.
+ * @returns {Acquirers} Instrumented acquisition methods.
+ */
+const instrument = (buffer, { onAcquire, onRelease, onTimeout }, acquire) => {
+  const stats = hasStats(buffer);
+
+  const acquired = (handle, startedAt, contended) => {
+    const waitMs = handle.acquiredAt - startedAt;
+    if (stats) {
+      Atomics.add(buffer, statsSlot(buffer, StatsSlot.Acquisitions), 1);
+      if (contended) {
+        Atomics.add(buffer, statsSlot(buffer, StatsSlot.Contended), 1);
+      }
+      Atomics.add(buffer, statsSlot(buffer, StatsSlot.TotalWaitMs), Math.round(waitMs));
+      recordMax(buffer, StatsSlot.MaxWaitMs, waitMs);
+    }
+
+    const releaseHandle = handle[dispose];
+    handle[dispose] = () => {
+      const held = handle.isHeld();
+      releaseHandle();
+      if (!held) return;
+
+      const holdMs = now() - handle.acquiredAt;
+      if (stats) {
+        recordMax(buffer, StatsSlot.MaxHoldMs, holdMs);
+      }
+      if (onRelease) {
+        onRelease({ holdMs });
+      }
+    };
+
+    if (onAcquire) {
+      try {
+        onAcquire({ waitMs, contended });
+      } catch (error) {
+        handle[dispose]();
+        throw error;
+      }
+    }
+    return handle;
+  };
+
+  const failed = (error, startedAt) => {
+    if (error instanceof MutexTimeoutError) {
+      if (stats) {
+        Atomics.add(buffer, statsSlot(buffer, StatsSlot.Timeouts), 1);
+      }
+      if (onTimeout) {
+        onTimeout({ waitMs: now() - startedAt });
+      }
+    }
+    return error;
+  };
+
+  return {
+    lock: async options => {
+      const startedAt = now();
+      const contended = isLocked(buffer);
+      let handle;
+      try {
+        handle = await acquire.lock(options);
+      } catch (error) {
+        throw failed(error, startedAt);
+      }
+      return acquired(handle, startedAt, contended);
+    },
+    lockSync: options => {
+      const startedAt = now();
+      const contended = isLocked(buffer);
+      let handle;
+      try {
+        handle = acquire.lockSync(options);
+      } catch (error) {
+        throw failed(error, startedAt);
+      }
+      return acquired(handle, startedAt, contended);
+    },
+    tryLock: options => {
+      const startedAt = now();
+      const handle = acquire.tryLock(options);
+      return handle && acquired(handle, startedAt, false);
+    },
+  };
+};
+
+/**
+ * Binds the mutex operations to a validated lock buffer.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {MutexHooks & {deadlockDetector?: {buffer: Int32Array}, name?: string, level?: number, spin?: SpinOptions}} [options={}]
+ *   Instrumentation callbacks, deadlock detector, lock class and acquisition strategy of the
+ *   mutex object.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   shared: true,
+ *   toDescriptor: () => LockDescriptor,
+ *   dispose: symbol,
+ *   lock: (options?: number|AcquireOptions) => Promise<LockHandle>,
+ *   lockSync: (options?: number|AcquireOptions) => LockHandle,
+ *   tryLock: (options?: {ttlMs?: number}) => LockHandle|null,
+ *   unlock: () => void,
+ *   isLocked: () => boolean,
+ *   isFair: () => boolean,
+ *   isRobust: () => boolean,
+ *   markConsistent: () => void,
+ *   owner: () => {threadId: number, token: number}|null,
+ *   stats: () => MutexStats|null
+ * }>} A frozen mutex object.
+ * @throws {MutexError} If a hook, the deadlock detector or the lock class is invalid.
+ */
+const bindMutex = (buffer, { deadlockDetector, name, level, spin, ...hooks } = {}) => {
+  const spinOptions = resolveSpin(spin);
+  validateHooks(hooks);
+  validateLockClass(name, level);
+  if (
+    deadlockDetector !== undefined &&
+    (!deadlockDetector || !(deadlockDetector.buffer instanceof Int32Array))
+  ) {
+    throw new MutexError('Invalid deadlock detector: must be a detector object with a buffer');
+  }
+
+  let acquire = deadlockDetector
+    ? detectDeadlocks(buffer, deadlockDetector.buffer)
+    : {
+        lock: options => lock(buffer, options),
+        lockSync: options => lockSync(buffer, options),
+        tryLock: options => tryLockOnce(buffer, options),
+      };
+  if (spinOptions.spins > 0) {
+    acquire = spinFirst(buffer, spinOptions, acquire);
+  }
+  // Fair mutexes and mutexes with priorities already order every waiter, across threads.
+  // Outside of spinning, so that new callers do not overtake queued ones.
+  const queue = !isFair(buffer) && !isPrioritized(buffer) ? queueWaiters(buffer, acquire) : null;
+  if (queue) {
+    acquire = queue;
+  }
+  const released = () => {
+    if (deadlockDetector) {
+      releasedLock(deadlockDetector.buffer);
+    }
+    if (queue) {
+      queue.released();
+    }
+  };
+  if (hasStats(buffer) || hooks.onAcquire || hooks.onRelease || hooks.onTimeout) {
+    acquire = instrument(buffer, hooks, acquire);
+  }
+  const hasLockClass = name !== undefined || level !== undefined;
+  if (hasLockClass) {
+    acquire = checkOrder(buffer, name, level, acquire);
+  }
+
+  const mutex = Object.freeze({
+    buffer,
+    shared: true,
+    toDescriptor: () => createDescriptor('mutex', buffer, name === undefined ? null : name),
+    dispose,
+    lock: acquire.lock,
+    lockSync: acquire.lockSync,
+    tryLock: acquire.tryLock,
+    unlock: () => {
+      unlock(buffer);
+      released();
+      if (hasLockClass) {
+        recordUnlock(buffer);
+      }
+    },
+    isLocked: () => isLockedForWaiters(buffer),
+    isFair: () => isFair(buffer),
+    isRobust: () => isRobust(buffer),
+    markConsistent: () => markConsistent(buffer),
+    owner: () => owner(buffer),
+    stats: () => readStats(buffer),
+  });
+  releaseHooks.set(mutex, released);
+  return mutex;
+};
+
+/**
+ * Creates a mutex (mutual exclusion) lock using SharedArrayBuffer and Atomics.
+ * This allows safe synchronization between threads or workers in JavaScript.
+ *
+ * By default, whichever waiter wins the race takes a released lock. With `fair: true`, the
+ * mutex is a ticket lock: waiters across threads, and async callers within a thread, are
+ * granted the lock in arrival order. Waiters that time out or are aborted give up their
+ * ticket without blocking the queue.
+ *
+ * With `robust: true`, the holder bumps a heartbeat in the buffer while it holds the lock, so
+ * that a worker terminated while holding it does not wedge the other threads forever: once the
+ * heartbeat has been silent for `leaseMs`, the next waiter takes the lock over and its handle
+ * reports `ownerDied` (like POSIX `EOWNERDEAD`). It should repair the shared state and call
+ * `markConsistent()` before releasing; otherwise the mutex becomes unrecoverable and further
+ * acquisitions throw. The heartbeat runs on the holder's event loop, which also stops while the
+ * holder is busy: a long synchronous critical section, a `lockSync` on another lock or any other
+ * blocking wait silences it just like the termination of the holder. There is therefore no
+ * default `leaseMs`: it must exceed the longest time a holder keeps its event loop busy, or a
+ * live holder loses the lock.
+ *
+ * With `leases: true`, an acquisition can be granted a lease with `lock({ ttlMs })`, so that a
+ * critical section that never disposes its handle does not keep the lock forever: the expiry
+ * of the lease is stored in the buffer, and once it has passed, waiters take the lock over as
+ * if it were free. The holder can renew its lease with `handle.extend(ttlMs)` while it is still
+ * working. Disposing, extending or unlocking after the lease expired and was taken over throws
+ * a {@link MutexLeaseError}, telling the caller that its critical section may not have been
+ * exclusive. Expiries are compared on the wall clock, so leases should be much longer than the
+ * clock difference between threads.
+ *
+ * With `priorities: true`, a released lock is handed over to the waiter with the highest
+ * `lock({ priority })` across all threads, e.g. so that latency-sensitive workers are not held
+ * up by batch workers. The priority of a waiter rises by one for every `agingMs` it has waited,
+ * so that low priorities are not starved, and ties go to the oldest waiter. Acquisitions never
+ * overtake registered waiters, whatever their priority. Up to 64 waiters are registered in the
+ * buffer at a time; further waiters wait for room first.
+ *
+ * Every acquisition is stamped with a fresh token, so a handle disposed after its acquisition
+ * ended (e.g. after a direct `unlock()` and a new `lock()`) never releases someone else's lock.
+ * Such stale disposals are ignored, or throw with `strict: true`.
+ *
+ * With `stats: true`, acquisitions, contention, timeouts and wait/hold times are counted in
+ * the buffer and can be read with `stats()` from any thread. Hooks can additionally report
+ * them to a metrics pipeline. Mutexes without statistics or hooks are not instrumented at all.
+ *
+ * A contended acquisition parks its caller until the lock is released, and only releases of locks
+ * with parked waiters wake them up. Async callers of a mutex object queue up in call order behind
+ * a single parked one, so that a release wakes up at most one of them. Fair mutexes queue every
+ * caller by ticket instead. For very short critical sections, `spin` retries the lock a few times
+ * with exponential back-off before parking. Spinning keeps the thread busy (including the event
+ * loop of async callers), so keep `spins` low.
+ *
+ * Where `SharedArrayBuffer` is not available (e.g. browsers without cross-origin isolation), or
+ * with `shared: false`, the mutex lives in the memory of the current thread instead, and only
+ * excludes callers of that thread: async callers queue up in call order, and `lockSync` throws
+ * instead of waiting. It cannot be shared with workers, and supports neither robustness,
+ * statistics, hooks, deadlock detection, lock order checks nor spinning.
+ *
+ * @param {Object} [options] Mutex options.
+ * @param {boolean} [options.shared] Create the mutex in shared memory. Defaults to whether
+ *   `SharedArrayBuffer` is available.
+ * @param {boolean} [options.fair=false] Grant the lock in FIFO order.
+ * @param {boolean} [options.robust=false] Recover the lock when its holder dies.
+ * @param {number} [options.leaseMs] Heartbeat silence after which a robust holder is presumed
+ *   dead. Required with `robust`.
+ * @param {boolean} [options.leases=false] Allow acquisitions with a lease (`ttlMs`). Cannot be
+ *   combined with `fair` or `robust`.
+ * @param {boolean} [options.priorities=false] Grant the lock by priority (`priority`). Cannot be
+ *   combined with `fair`, `robust` or `leases`.
+ * @param {number} [options.agingMs=100] Waiting time raising the priority of a waiter by one.
+ * @param {boolean} [options.strict=false] Throw when disposing a stale handle.
+ * @param {boolean} [options.stats=false] Record contention statistics in the buffer.
+ * @param {MutexHooks['onAcquire']} [options.onAcquire] Called after each acquisition.
+ * @param {MutexHooks['onRelease']} [options.onRelease] Called after each release by a handle.
+ * @param {MutexHooks['onTimeout']} [options.onTimeout] Called when an acquisition times out.
+ * @param {{buffer: Int32Array}} [options.deadlockDetector] Detector from `createDeadlockDetector`
+ *   rejecting acquisitions that would deadlock.
+ * @param {string} [options.name] Name identifying the mutex in lock order checks.
+ * @param {number} [options.level] Level in the lock hierarchy: with lock order checks enabled
+ *   (see `setLockOrderChecks`), mutexes must be acquired in increasing level order.
+ * @param {SpinOptions} [options.spin] Retry a contended lock before parking.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   shared: true,
+ *   toDescriptor: () => LockDescriptor,
+ *   dispose: symbol,
+ *   lock: (options?: number|AcquireOptions) => Promise<LockHandle>,
+ *   lockSync: (options?: number|AcquireOptions) => LockHandle,
+ *   tryLock: (options?: {ttlMs?: number}) => LockHandle|null,
+ *   unlock: () => void,
+ *   isLocked: () => boolean,
+ *   isFair: () => boolean,
+ *   isRobust: () => boolean,
+ *   markConsistent: () => void,
+ *   owner: () => {threadId: number, token: number}|null,
+ *   stats: () => MutexStats|null
+ * }>|ReturnType<typeof createLocalMutex>} A frozen mutex object with lock/unlock methods.
+ * @throws {MutexError} If options are invalid, or `shared` is set without `SharedArrayBuffer`.
+ *
+ * @example
+ * // Basic usage with try-finally
+ * const mutex = createMutex();
+ *
+ * const lockHandle = await mutex.lock();
+ * try {
+ *   // critical section
+ *   sharedCounter++;
+ * } finally {
+ *   lockHandle[dispose]();
+ * }
+ *
+ * @example
+ * // Using with timeout
+ * const mutex = createMutex();
+ * try {
+ *   const lockHandle = await mutex.lock(1000); // 1 second timeout
+ *   try {
+ *     console.log('Lock acquired within 1 second');
+ *     // critical section
+ *   } finally {
+ *     lockHandle[dispose]();
+ *   }
+ * } catch (error) {
+ *   if (error instanceof MutexError) {
+ *     console.log('Failed to acquire lock within timeout');
+ *   }
+ * }
+ *
+ * @example
+ * // Using with rapidGuard helper
+ * const mutex = createMutex();
+ * const result = await rapidGuard(mutex, async () => {
+ *   // critical section
+ *   return doSomeWork();
+ * }, 1000);
+ *
+ * @example
+ * // Cancelling a pending acquisition, with an absolute deadline on the performance.now() clock
+ * const controller = new AbortController();
+ * const pending = mutex.lock({
+ *   signal: controller.signal,
+ *   deadline: performance.now() + 5000,
+ * });
+ * controller.abort(); // pending rejects with a MutexAbortError
+ *
+ * @example
+ * // FIFO-fair mutex, shareable like any other mutex
+ * const fairMutex = createMutex({ fair: true });
+ * new Worker('./worker.js', { workerData: fairMutex.buffer }); // withMutex(workerData) is fair too
+ *
+ * @example
+ * // Robust mutex surviving the termination of its holder
+ * const robustMutex = createMutex({ robust: true, leaseMs: 500 });
+ * const lockHandle = await robustMutex.lock();
+ * try {
+ *   if (lockHandle.ownerDied) {
+ *     repairSharedState();
+ *     robustMutex.markConsistent();
+ *   }
+ * } finally {
+ *   lockHandle[dispose]();
+ * }
+ *
+ * @example
+ * // Lease expiring if the critical section never releases the lock
+ * const leasedMutex = createMutex({ leases: true });
+ * const lockHandle = await leasedMutex.lock({ ttlMs: 5000, timeoutMs: 1000 });
+ * try {
+ *   await processBatch(() => lockHandle.extend(5000)); // renew while making progress
+ * } finally {
+ *   lockHandle[dispose](); // throws a MutexLeaseError if the lease was lost
+ * }
+ *
+ * @example
+ * // Request workers overtaking batch workers waiting for the same mutex
+ * const prioritizedMutex = createMutex({ priorities: true, agingMs: 50 });
+ * await rapidGuard(prioritizedMutex, () => serveRequest(), { priority: 10 });
+ * await rapidGuard(prioritizedMutex, () => runBatch(), { priority: 0 });
+ *
+ * @example
+ * // Logging the holder of a contended lock
+ * const mutex = createMutex();
+ * try {
+ *   await mutex.lock(100);
+ * } catch (error) {
+ *   console.log('Lock held by', mutex.owner()); // { threadId: 2, token: 7 }
+ * }
+ *
+ * @example
+ * // In-process mutex, e.g. for a page that is not cross-origin isolated
+ * const mutex = createMutex({ shared: false });
+ * await rapidGuard(mutex, () => saveDraft());
+ * new Worker('./worker.js', { workerData: mutex.buffer }); // throws a MutexError
+ */
+export const createMutex = ({
+  shared = typeof SharedArrayBuffer !== 'undefined',
+  fair = false,
+  robust = false,
+  leaseMs,
+  leases = false,
+  priorities = false,
+  agingMs = 100,
+  strict = false,
+  stats = false,
+  ...options
+} = {}) => {
+  if (!shared) {
+    return createLocalMutex({ robust, leases, priorities, stats, strict, ...options });
+  }
+  if (typeof SharedArrayBuffer === 'undefined') {
+    throw new MutexError(
+      'SharedArrayBuffer is not available (browsers require cross-origin isolation): ' +
+        'create an in-process mutex with shared: false'
+    );
+  }
+
+  const flags = mutexFlags({ fair, robust, leaseMs, leases, priorities, agingMs, strict, stats });
+  const buffer = allocateBuffer('mutex', layoutLength(flags));
+  initMutex(buffer, flags, leaseMs, agingMs);
+
+  return bindMutex(buffer, options);
+};
+
+/**
+ * Validates the options of a new mutex and computes its flags.
+ *
+ * @param {{fair: boolean, robust: boolean, leaseMs?: number, leases?: boolean, priorities?: boolean, agingMs?: number, strict: boolean, stats: boolean}} options
+ *   Mutex options.
+ * @returns {number} {@link MutexFlags} of the mutex.
+ * @throws {MutexError} If options are invalid.
+ */
+export const mutexFlags = ({
+  fair,
+  robust,
+  leaseMs,
+  leases = false,
+  priorities = false,
+  agingMs = 100,
+  strict,
+  stats,
+}) => {
+  if (fair && robust) {
+    throw new MutexError('A mutex cannot be both fair and robust');
+  }
+  if (leases && (fair || robust)) {
+    throw new MutexError('A mutex with leases cannot be fair or robust');
+  }
+  if (priorities && (fair || robust || leases)) {
+    throw new MutexError('A mutex with priorities cannot be fair, robust or have leases');
+  }
+  if (robust && leaseMs === undefined) {
+    throw new MutexError(
+      'A robust mutex requires leaseMs: the longest time its holder may keep its event loop busy'
+    );
+  }
+  if (leaseMs !== undefined && (!Number.isInteger(leaseMs) || leaseMs < 1)) {
+    throw new MutexError('Lease must be a positive integer number of milliseconds');
+  }
+  if (!Number.isInteger(agingMs) || agingMs < 1) {
+    throw new MutexError('Aging period must be a positive integer number of milliseconds');
+  }
+
+  return (
+    (fair ? MutexFlags.Fair : 0) |
+    (robust ? MutexFlags.Robust : 0) |
+    (leases ? MutexFlags.Leases : 0) |
+    (priorities ? MutexFlags.Priorities : 0) |
+    (strict ? MutexFlags.Strict : 0) |
+    (stats ? MutexFlags.Stats : 0)
+  );
+};
+
+/**
+ * Initializes the slots of an unlocked mutex in zeroed memory.
+ *
+ * @param {Int32Array} buffer Lock buffer, at least `layoutLength(flags)` slots long.
+ * @param {number} flags {@link MutexFlags} of the mutex.
+ * @param {number|undefined} leaseMs Lease of a robust mutex, in milliseconds.
+ * @param {number} [agingMs=100] Aging period of a mutex with priorities, in milliseconds.
+ */
+export const initMutex = (buffer, flags, leaseMs, agingMs = 100) => {
+  buffer[MutexSlot.State] = LockStatus.Unlocked;
+  buffer[MutexSlot.Flags] = flags;
+  if (flags & MutexFlags.Robust) {
+    buffer[RobustSlot.LeaseMs] = leaseMs;
+  }
+  if (flags & MutexFlags.Priorities) {
+    buffer[PrioritySlot.AgingMs] = agingMs;
+  }
+};
+
+/**
+ * Creates a mutex from either a string identifier or existing buffer.
+ * When using string identifiers, creates a new SharedArrayBuffer each time.
+ * For true cross-worker synchronization, you need to share the actual buffer.
+ *
+ * An existing buffer may hold the mutex at any slot `index`, e.g. next to the shared fields it
+ * protects; zeroed slots are an unlocked plain mutex.
+ *
+ * @param {string|Int32Array} input - String identifier or existing Int32Array buffer.
+ * @param {MutexHooks & {index?: number, deadlockDetector?: {buffer: Int32Array}, name?: string, level?: number, spin?: SpinOptions}} [options]
+ *   - Slot index of the mutex within `input`, and instrumentation callbacks, deadlock detector,
+ *   lock class and acquisition strategy of this mutex object.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   shared: true,
+ *   toDescriptor: () => LockDescriptor,
+ *   dispose: symbol,
+ *   lock: (options?: number|AcquireOptions) => Promise<LockHandle>,
+ *   lockSync: (options?: number|AcquireOptions) => LockHandle,
+ *   tryLock: (options?: {ttlMs?: number}) => LockHandle|null,
+ *   unlock: () => void,
+ *   isLocked: () => boolean,
+ *   isFair: () => boolean,
+ *   isRobust: () => boolean,
+ *   markConsistent: () => void,
+ *   owner: () => {threadId: number, token: number}|null,
+ *   stats: () => MutexStats|null
+ * }>} A frozen mutex object.
+ * @throws {MutexError} If input is invalid.
+ *
+ * @example
+ * // Using with an existing buffer from createMutex
+ * const mutexA = createMutex();
+ * const lockHandle = await mutexA.lock();
+ * lockHandle[dispose]();
+ *
+ * const sameMutex = withMutex(mutexA.buffer);
+ * console.log(sameMutex.isLocked()); // false
+ *
+ * @example
+ * // Using with a string identifier (creates new buffer each time).
+ * // Use createMutexRegistry() for names that resolve to the same lock across workers.
+ * const mutexB = withMutex('shared-task');
+ * try {
+ *   const lockHandle = await mutexB.lock(1000);
+ *   try {
+ *     // Critical section
+ *   } finally {
+ *     lockHandle[dispose]();
+ *   }
+ * } catch (error) {
+ *   console.log('Lock acquisition failed:', error.message);
+ * }
+ *
+ * @example
+ * // Reporting the waits of a shared mutex from a worker
+ * const mutexC = withMutex(workerData, {
+ *   onAcquire: ({ waitMs, contended }) => metrics.observe('lock_wait_ms', waitMs, { contended }),
+ * });
+ */
+export const withMutex = (input, { index = 0, ...options } = {}) => {
+  if (input === undefined || input === null) {
+    throw new MutexError('Invalid input: must provide a string or Int32Array');
+  }
+
+  const buffer = bufferAt(typeof input === 'string' ? createBufferFromString(input) : input, index);
+  validateMutexBuffer(buffer);
+  validateMutexBuffer(buffer, layoutLength(Atomics.load(buffer, MutexSlot.Flags)));
+
+  return bindMutex(buffer, options);
+};
+
+/**
+ * Binds the recursive mutex operations to a validated lock buffer.
+ *
+ * @param {Int32Array} buffer Recursive lock buffer.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   toDescriptor: () => LockDescriptor,
+ *   dispose: symbol,
+ *   lock: (options?: number|AcquireOptions) => Promise<LockHandle>,
+ *   lockSync: (options?: number|AcquireOptions) => LockHandle,
+ *   tryLock: () => LockHandle|null,
+ *   unlock: () => void,
+ *   isLocked: () => boolean,
+ *   owner: () => {threadId: number, token: number}|null,
+ *   holdCount: () => number
+ * }>} A frozen recursive mutex object.
+ */
+const bindRecursiveMutex = buffer => {
+  const mutex = Object.freeze({
+    buffer,
+    toDescriptor: () => createDescriptor('recursive-mutex', buffer),
+    dispose,
+    lock: options => lock(buffer, options, tryLockRecursive),
+    lockSync: options => lockSync(buffer, options, tryLockRecursive),
+    tryLock: () => {
+      validateMutexBuffer(buffer, RECURSIVE_MUTEX_LENGTH);
+      return tryLockRecursive(buffer);
+    },
+    unlock: () => {
+      unlockRecursive(buffer);
+    },
+    isLocked: () => isLocked(buffer),
+    owner: () => owner(buffer),
+    holdCount: () => Atomics.load(buffer, MutexSlot.Count),
+  });
+  recursiveMutexes.add(mutex);
+  return mutex;
+};
+
+/**
+ * Creates a recursive (re-entrant) mutex.
+ * The owning thread may acquire it again without blocking; the lock is only released once
+ * every acquisition has been disposed. Ownership is tracked per thread, so asynchronous
+ * tasks running on the same thread share it.
+ *
+ * @param {Object} [options] Mutex options.
+ * @param {boolean} [options.strict=false] Throw when disposing a stale handle.
+ * @returns {ReturnType<typeof bindRecursiveMutex>} A frozen recursive mutex object.
+ *
+ * @example
+ * const mutex = createRecursiveMutex();
+ *
+ * const save = async () => rapidGuard(mutex, () => writeRecord());
+ *
+ * await rapidGuard(mutex, async () => {
+ *   // Helpers may lock the same mutex again without deadlocking
+ *   await save();
+ * });
+ */
+export const createRecursiveMutex = ({ strict = false } = {}) => {
+  const buffer = allocateBuffer('recursive-mutex', RECURSIVE_MUTEX_LENGTH);
+  buffer[MutexSlot.State] = LockStatus.Unlocked;
+  buffer[MutexSlot.Flags] = strict ? MutexFlags.Strict : 0;
+
+  return bindRecursiveMutex(buffer);
+};
+
+/**
+ * Creates a recursive mutex over an existing buffer, e.g. one received from another worker.
+ *
+ * @param {Int32Array} input Buffer of a mutex created by `createRecursiveMutex`.
+ * @param {Object} [options] Binding options.
+ * @param {number} [options.index=0] Slot index of the mutex within `input`.
+ * @returns {ReturnType<typeof bindRecursiveMutex>} A frozen recursive mutex object.
+ * @throws {MutexError} If buffer is invalid.
+ *
+ * @example
+ * // main thread
+ * const mutex = createRecursiveMutex();
+ * new Worker('./worker.js', { workerData: mutex.buffer });
+ *
+ * // worker.js
+ * const mutex = withRecursiveMutex(workerData);
+ */
+export const withRecursiveMutex = (input, { index = 0 } = {}) => {
+  const buffer = bufferAt(input, index);
+  validateMutexBuffer(buffer, RECURSIVE_MUTEX_LENGTH);
+
+  return bindRecursiveMutex(buffer);
+};
+
+/**
+ * Runs a function with exclusive access using a mutex.
+ * Ensures the mutex is always unlocked, even if the function throws.
+ *
+ * @template T
+ * @param {ReturnType<typeof createMutex>} mutex - The mutex object.
+ * @param {() => Promise<T>|T} fn - Function to run within the locked section.
+ * @param {number|AcquireOptions} [options=Infinity] - Optional timeout or acquisition options.
+ * @returns {Promise<T>} The result of the function.
+ * @throws {MutexError} If lock acquisition fails or times out.
+ *
+ * @example
+ * const mutex = createMutex();
+ * let sharedCounter = 0;
+ *
+ * const result = await rapidGuard(mutex, async () => {
+ *   sharedCounter++;
+ *   await someAsyncWork();
+ *   return sharedCounter;
+ * }, 5000); // 5 second timeout
+ *
+ * @example
+ * // Cancellable acquisition
+ * const controller = new AbortController();
+ * await rapidGuard(mutex, () => doWork(), { signal: controller.signal, timeoutMs: 5000 });
+ *
+ * @example
+ * // Using with synchronous function
+ * const syncResult = await rapidGuard(mutex, () => {
+ *   return performSyncOperation();
+ * });
+ */
+export const rapidGuard = async (mutex, fn, options = Infinity) => {
+  if (!mutex || typeof mutex.lock !== 'function') {
+    throw new MutexError('Invalid mutex: must be a mutex object with lock method');
+  }
+  if (typeof fn !== 'function') {
+    throw new MutexError('Invalid function: must provide a function to execute');
+  }
+
+  return guardedSection(async () => {
+    const lockHandle = await mutex.lock(options);
+    try {
+      return await fn();
+    } finally {
+      lockHandle[dispose]();
+    }
+  });
+};
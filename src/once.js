@@ -0,0 +1,240 @@
+import {
+  MutexError,
+  allocateBuffer,
+  createDescriptor,
+  currentThreadId,
+  bufferAt,
+  validateBuffer,
+  waitForAcquire,
+  waitForAcquireSync,
+} from './common';
+
+/** @typedef {import('./common').AcquireOptions} AcquireOptions */
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+
+/**
+ * Slot indexes within a once buffer.
+ * - `State`: a {@link OnceState}, waiters park on it.
+ * - `Owner`: thread id of the thread running the initializer, 0 otherwise.
+ * @readonly
+ * @enum {number}
+ */
+const OnceSlot = Object.freeze({
+  State: 0,
+  Owner: 1,
+});
+
+/**
+ * States of a once.
+ * - `Idle`: the initializer has not run yet.
+ * - `Running`: a caller is running the initializer.
+ * - `Done`: the initializer completed.
+ * - `Failed`: the last initializer threw, the next caller runs it again.
+ * @readonly
+ * @enum {number}
+ */
+const OnceState = Object.freeze({
+  Idle: 0,
+  Running: 1,
+  Done: 2,
+  Failed: 3,
+});
+
+/**
+ * Names of the states of a once, as returned by `state()`.
+ * @type {ReadonlyArray<'idle'|'running'|'done'|'failed'>}
+ */
+const STATE_NAMES = Object.freeze(['idle', 'running', 'done', 'failed']);
+
+/**
+ * Number of Int32 slots required by a once buffer.
+ * @type {number}
+ */
+const ONCE_LENGTH = 2;
+
+/**
+ * Validates that a given buffer is a valid once storage.
+ * @param {any} buffer Buffer to validate.
+ * @throws {MutexError} If buffer is invalid.
+ */
+const validateOnceBuffer = buffer => {
+  validateBuffer(buffer, ONCE_LENGTH);
+  if (STATE_NAMES[Atomics.load(buffer, OnceSlot.State)] === undefined) {
+    throw new MutexError('Invalid buffer: unknown once state');
+  }
+};
+
+/**
+ * Validates an initializer.
+ * @param {any} fn Initializer to validate.
+ * @throws {MutexError} If fn is not a function.
+ */
+const validateInitializer = fn => {
+  if (typeof fn !== 'function') {
+    throw new MutexError('Invalid function: must provide a function to execute');
+  }
+};
+
+/**
+ * Attempts to claim the right to run the initializer: it is free until an initializer completed,
+ * and after one failed.
+ *
+ * @param {Int32Array} buffer Once buffer.
+ * @returns {'claimed'|'done'|null} `'claimed'` if the caller must run the initializer, `'done'`
+ *   if it already completed, or null while another caller runs it.
+ */
+const tryClaim = buffer => {
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const state = Atomics.load(buffer, OnceSlot.State);
+    if (state === OnceState.Done) {
+      return 'done';
+    }
+    if (state === OnceState.Running) {
+      return null;
+    }
+    if (Atomics.compareExchange(buffer, OnceSlot.State, state, OnceState.Running) === state) {
+      Atomics.store(buffer, OnceSlot.Owner, currentThreadId);
+      return 'claimed';
+    }
+  }
+};
+
+/**
+ * Records the outcome of the initializer and wakes up every waiter: all of them return once it
+ * completed, and one of them runs its own initializer if it failed.
+ *
+ * @param {Int32Array} buffer Once buffer.
+ * @param {number} state {@link OnceState.Done} or {@link OnceState.Failed}.
+ */
+const settle = (buffer, state) => {
+  Atomics.store(buffer, OnceSlot.Owner, 0);
+  Atomics.store(buffer, OnceSlot.State, state);
+  Atomics.notify(buffer, OnceSlot.State);
+};
+
+/**
+ * Binds the once operations to a validated buffer.
+ *
+ * @param {Int32Array} buffer Once buffer.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   toDescriptor: () => LockDescriptor,
+ *   run: (fn: () => Promise<any>|any, options?: number|AcquireOptions) => Promise<boolean>,
+ *   runSync: (fn: () => any, options?: number|AcquireOptions) => boolean,
+ *   isDone: () => boolean,
+ *   state: () => 'idle'|'running'|'done'|'failed'
+ * }>} A frozen once object.
+ */
+const bindOnce = buffer =>
+  Object.freeze({
+    buffer,
+    toDescriptor: () => createDescriptor('once', buffer),
+    run: async (fn, options = Infinity) => {
+      validateInitializer(fn);
+      const claim = await waitForAcquire(
+        buffer,
+        OnceSlot.State,
+        () => tryClaim(buffer),
+        options,
+        'Once'
+      );
+      if (claim === 'done') {
+        return false;
+      }
+      try {
+        await fn();
+      } catch (error) {
+        settle(buffer, OnceState.Failed);
+        throw error;
+      }
+      settle(buffer, OnceState.Done);
+      return true;
+    },
+    runSync: (fn, options = Infinity) => {
+      validateInitializer(fn);
+      if (
+        Atomics.load(buffer, OnceSlot.State) === OnceState.Running &&
+        Atomics.load(buffer, OnceSlot.Owner) === currentThreadId
+      ) {
+        throw new MutexError(
+          'Cannot wait synchronously for a once: its initializer runs on the current thread'
+        );
+      }
+      const claim = waitForAcquireSync(
+        buffer,
+        OnceSlot.State,
+        () => tryClaim(buffer),
+        options,
+        'Once'
+      );
+      if (claim === 'done') {
+        return false;
+      }
+      let result;
+      try {
+        result = fn();
+      } catch (error) {
+        settle(buffer, OnceState.Failed);
+        throw error;
+      }
+      if (result && typeof result.then === 'function') {
+        // The initializer keeps running: other callers wait for its outcome rather than run their
+        // own, and its rejection is recorded rather than left unhandled
+        result.then(
+          () => settle(buffer, OnceState.Done),
+          () => settle(buffer, OnceState.Failed)
+        );
+        throw new MutexError('Cannot run an async initializer synchronously: use run() instead');
+      }
+      settle(buffer, OnceState.Done);
+      return true;
+    },
+    isDone: () => Atomics.load(buffer, OnceSlot.State) === OnceState.Done,
+    state: () => STATE_NAMES[Atomics.load(buffer, OnceSlot.State)],
+  });
+
+/**
+ * Creates a once using SharedArrayBuffer and Atomics: `run(fn)` runs its initializer exactly once
+ * across all threads sharing the buffer, e.g. to build shared state once per worker pool. Other
+ * callers wait until it completes; if it throws, the failure is recorded and the next caller runs
+ * its own initializer instead. Each call resolves to true if it ran its initializer.
+ *
+ * Results cannot be shared between threads: the initializer should store them in shared memory.
+ * If the thread running the initializer is terminated, other callers wait until their timeout.
+ * `runSync` cannot wait for an initializer that returns a promise: it throws, and the once
+ * records the outcome of the promise when it settles.
+ *
+ * @returns {ReturnType<typeof bindOnce>} A frozen once object.
+ *
+ * @example
+ * // main thread
+ * const once = createOnce();
+ * const pool = new Piscina({ filename: './worker.js', workerData: { once: once.buffer, table } });
+ *
+ * // worker.js
+ * const once = withOnce(workerData.once);
+ * await once.run(() => buildLookupTable(workerData.table), 10000);
+ */
+export const createOnce = () => bindOnce(allocateBuffer('once', ONCE_LENGTH));
+
+/**
+ * Creates a once over an existing buffer, e.g. one received from another worker.
+ *
+ * @param {Int32Array} input Buffer of a once created by `createOnce`.
+ * @param {Object} [options] Binding options.
+ * @param {number} [options.index=0] Slot index of the once within `input`.
+ * @returns {ReturnType<typeof bindOnce>} A frozen once object.
+ * @throws {MutexError} If buffer is invalid.
+ *
+ * @example
+ * // worker.js
+ * const once = withOnce(workerData.once);
+ * once.runSync(() => loadConfig(workerData.config));
+ */
+export const withOnce = (input, { index = 0 } = {}) => {
+  const buffer = bufferAt(input, index);
+  validateOnceBuffer(buffer);
+
+  return bindOnce(buffer);
+};
@@ -0,0 +1,253 @@
+import { MutexError, allocateBuffer, createDescriptor, hashBytes, validateBuffer } from './common';
+import { MUTEX_LENGTH, withMutex } from './mutex';
+
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+
+/**
+ * Slot indexes of the registry header.
+ * - `Capacity`: maximum number of named mutexes.
+ * - `MaxNameBytes`: maximum length of a name, in UTF-8 bytes.
+ * - `Size`: number of names registered so far.
+ * @readonly
+ * @enum {number}
+ */
+const RegistrySlot = Object.freeze({
+  Capacity: 0,
+  MaxNameBytes: 1,
+  Size: 2,
+});
+
+/**
+ * Number of Int32 slots of the registry header.
+ * @type {number}
+ */
+const HEADER_LENGTH = 3;
+
+/**
+ * Slot offsets within a registry entry. The name bytes follow, then the mutex slots.
+ * - `Status`: {@link EntryStatus} of the entry.
+ * - `Hash`: hash of the name.
+ * - `NameBytes`: length of the name, in UTF-8 bytes.
+ * @readonly
+ * @enum {number}
+ */
+const EntrySlot = Object.freeze({
+  Status: 0,
+  Hash: 1,
+  NameBytes: 2,
+});
+
+/**
+ * Number of Int32 slots of an entry header.
+ * @type {number}
+ */
+const ENTRY_HEADER_LENGTH = 3;
+
+/**
+ * Lifecycle of a registry entry.
+ * @readonly
+ * @enum {number}
+ */
+const EntryStatus = Object.freeze({
+  Free: 0,
+  Claiming: 1,
+  Ready: 2,
+});
+
+/**
+ * Computes the layout of a registry from its parameters.
+ * @param {number} capacity Maximum number of named mutexes.
+ * @param {number} maxNameBytes Maximum length of a name, in UTF-8 bytes.
+ * @returns {{entryLength: number, nameOffset: number, mutexOffset: number, length: number}}
+ *   Entry size, offsets within an entry and total length, in Int32 slots.
+ */
+const computeLayout = (capacity, maxNameBytes) => {
+  const nameOffset = ENTRY_HEADER_LENGTH;
+  const mutexOffset = nameOffset + Math.ceil(maxNameBytes / 4);
+  const entryLength = mutexOffset + MUTEX_LENGTH;
+  return { entryLength, nameOffset, mutexOffset, length: HEADER_LENGTH + capacity * entryLength };
+};
+
+/**
+ * Validates a positive integer option.
+ * @param {any} value Value to validate.
+ * @param {string} name Option name, used in error messages.
+ * @throws {MutexError} If value is invalid.
+ */
+const validateCount = (value, name) => {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new MutexError(`${name} must be a positive integer`);
+  }
+};
+
+/**
+ * Finds the entry of `name`, allocating it if needed.
+ * Entries are probed linearly from the hash of the name, so every thread resolves a given
+ * name to the same entry: the first thread to claim a free entry for a name wins.
+ *
+ * @param {Int32Array} buffer Registry buffer.
+ * @param {ReturnType<typeof computeLayout>} layout Registry layout.
+ * @param {Uint8Array} bytes UTF-8 encoded name.
+ * @param {boolean} allocate Whether to allocate a missing entry.
+ * @returns {number} Slot index of the entry, or -1 if missing and not allocated.
+ * @throws {MutexError} If the registry is full.
+ */
+const findEntry = (buffer, layout, bytes, allocate) => {
+  const capacity = buffer[RegistrySlot.Capacity];
+  const hash = hashBytes(bytes);
+  const names = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length * 4);
+
+  for (let probe = 0; probe < capacity; probe++) {
+    const entry = HEADER_LENGTH + (((hash >>> 0) + probe) % capacity) * layout.entryLength;
+    const status = entry + EntrySlot.Status;
+
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      const current = Atomics.load(buffer, status);
+
+      if (current === EntryStatus.Free) {
+        if (!allocate) {
+          return -1;
+        }
+        if (
+          Atomics.compareExchange(buffer, status, EntryStatus.Free, EntryStatus.Claiming) !==
+          EntryStatus.Free
+        ) {
+          continue;
+        }
+        buffer[entry + EntrySlot.Hash] = hash;
+        buffer[entry + EntrySlot.NameBytes] = bytes.length;
+        names.set(bytes, (entry + layout.nameOffset) * 4);
+        Atomics.add(buffer, RegistrySlot.Size, 1);
+        Atomics.store(buffer, status, EntryStatus.Ready);
+        return entry;
+      }
+
+      if (current === EntryStatus.Claiming) {
+        // Another thread is writing the name, which only takes a few stores: spin rather than
+        // block, as Atomics.wait is not allowed on browser main threads
+        continue;
+      }
+
+      break;
+    }
+
+    if (
+      buffer[entry + EntrySlot.Hash] === hash &&
+      buffer[entry + EntrySlot.NameBytes] === bytes.length
+    ) {
+      const start = (entry + layout.nameOffset) * 4;
+      const stored = names.subarray(start, start + bytes.length);
+      if (stored.every((byte, i) => byte === bytes[i])) {
+        return entry;
+      }
+    }
+  }
+
+  if (!allocate) {
+    return -1;
+  }
+  throw new MutexError(`Mutex registry is full (capacity ${capacity})`);
+};
+
+/**
+ * Binds the registry operations to a validated buffer.
+ *
+ * @param {Int32Array} buffer Registry buffer.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   toDescriptor: () => LockDescriptor,
+ *   get: (name: string) => ReturnType<typeof withMutex>,
+ *   has: (name: string) => boolean,
+ *   size: () => number
+ * }>} A frozen registry object.
+ */
+const bindRegistry = buffer => {
+  const layout = computeLayout(buffer[RegistrySlot.Capacity], buffer[RegistrySlot.MaxNameBytes]);
+  const encoder = new TextEncoder();
+  const cache = new Map();
+
+  const encode = name => {
+    if (!name || typeof name !== 'string') {
+      throw new MutexError('Invalid name: must be a non-empty string');
+    }
+    const bytes = encoder.encode(name);
+    if (bytes.length > buffer[RegistrySlot.MaxNameBytes]) {
+      throw new MutexError(
+        `Invalid name: must be at most ${buffer[RegistrySlot.MaxNameBytes]} bytes long`
+      );
+    }
+    return bytes;
+  };
+
+  return Object.freeze({
+    buffer,
+    toDescriptor: () => createDescriptor('mutex-registry', buffer),
+    get: name => {
+      const bytes = encode(name);
+      let mutex = cache.get(name);
+      if (!mutex) {
+        const entry = findEntry(buffer, layout, bytes, true);
+        const offset = buffer.byteOffset + (entry + layout.mutexOffset) * 4;
+        mutex = withMutex(new Int32Array(buffer.buffer, offset, MUTEX_LENGTH));
+        cache.set(name, mutex);
+      }
+      return mutex;
+    },
+    has: name => cache.has(name) || findEntry(buffer, layout, encode(name), false) !== -1,
+    size: () => Atomics.load(buffer, RegistrySlot.Size),
+  });
+};
+
+/**
+ * Creates a registry of named mutexes stored in a single SharedArrayBuffer.
+ * The registry is created once (typically on the main thread) and its buffer handed to
+ * workers; `get(name)` then returns a mutex over the same shared slot in every thread.
+ * Slots are allocated lazily on first use of a name.
+ *
+ * @param {Object} [options] Registry options.
+ * @param {number} [options.capacity=64] Maximum number of distinct names.
+ * @param {number} [options.maxNameLength=64] Maximum length of a name, in UTF-8 bytes.
+ * @returns {ReturnType<typeof bindRegistry>} A frozen registry object.
+ * @throws {MutexError} If options are invalid.
+ *
+ * @example
+ * // main thread
+ * const registry = createMutexRegistry();
+ * new Worker('./worker.js', { workerData: registry.buffer });
+ *
+ * // worker.js
+ * const registry = withMutexRegistry(workerData);
+ * await rapidGuard(registry.get('shared-task'), () => runTask());
+ */
+export const createMutexRegistry = ({ capacity = 64, maxNameLength = 64 } = {}) => {
+  validateCount(capacity, 'Capacity');
+  validateCount(maxNameLength, 'Max name length');
+
+  const { length } = computeLayout(capacity, maxNameLength);
+  const buffer = allocateBuffer('mutex-registry', length);
+  buffer[RegistrySlot.Capacity] = capacity;
+  buffer[RegistrySlot.MaxNameBytes] = maxNameLength;
+
+  return bindRegistry(buffer);
+};
+
+/**
+ * Creates a registry over an existing buffer, e.g. one received from another worker.
+ *
+ * @param {Int32Array} buffer Buffer of a registry created by `createMutexRegistry`.
+ * @returns {ReturnType<typeof bindRegistry>} A frozen registry object.
+ * @throws {MutexError} If buffer is invalid.
+ */
+export const withMutexRegistry = buffer => {
+  validateBuffer(buffer, HEADER_LENGTH);
+
+  const capacity = buffer[RegistrySlot.Capacity];
+  const maxNameBytes = buffer[RegistrySlot.MaxNameBytes];
+  if (capacity < 1 || maxNameBytes < 1) {
+    throw new MutexError('Invalid buffer: not a mutex registry');
+  }
+  validateBuffer(buffer, computeLayout(capacity, maxNameBytes).length);
+
+  return bindRegistry(buffer);
+};
@@ -0,0 +1,286 @@
+import {
+  allocateBuffer,
+  createDescriptor,
+  dispose,
+  resolveAcquireOptions,
+  bufferAt,
+  validateBuffer,
+  waitForAcquire,
+  waitForAcquireSync,
+} from './common';
+
+/** @typedef {import('./common').AcquireOptions} AcquireOptions */
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+
+/**
+ * Slot indexes within a reader/writer lock buffer.
+ * - `State`: number of active readers, or {@link WRITE_LOCKED} while a writer holds the lock.
+ * - `WaitingWriters`: number of writers currently waiting; readers back off while non-zero.
+ * - `Sequence`: bumped on every change, waiters park on it.
+ * @readonly
+ * @enum {number}
+ */
+const RwSlot = Object.freeze({
+  State: 0,
+  WaitingWriters: 1,
+  Sequence: 2,
+});
+
+/**
+ * Value of the state slot while a writer holds the lock.
+ * @type {number}
+ */
+const WRITE_LOCKED = -1;
+
+/**
+ * Number of Int32 slots required by a reader/writer lock buffer.
+ * @type {number}
+ */
+const RWLOCK_LENGTH = 3;
+
+/**
+ * Validates that a given buffer is a valid reader/writer lock storage.
+ * @param {any} buffer Buffer to validate.
+ * @throws {MutexError} If buffer is invalid.
+ */
+const validateRwLockBuffer = buffer => validateBuffer(buffer, RWLOCK_LENGTH);
+
+/**
+ * Publishes a state change and wakes up every waiter.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ */
+const signal = buffer => {
+  Atomics.add(buffer, RwSlot.Sequence, 1);
+  Atomics.notify(buffer, RwSlot.Sequence);
+};
+
+/**
+ * Creates a disposable handle that runs `release` at most once.
+ *
+ * @param {() => void} release Release callback.
+ * @returns {{[dispose]: Function}} Disposable lock handle.
+ */
+const createHandle = release => {
+  let released = false;
+  return {
+    [dispose]: () => {
+      if (released) return;
+      released = true;
+      release();
+    },
+  };
+};
+
+/**
+ * Releases a read lock.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ */
+const readUnlock = buffer => {
+  Atomics.sub(buffer, RwSlot.State, 1);
+  signal(buffer);
+};
+
+/**
+ * Releases a write lock.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ */
+const writeUnlock = buffer => {
+  Atomics.store(buffer, RwSlot.State, 0);
+  signal(buffer);
+};
+
+/**
+ * Attempts to take a read lock once. Fails while a writer holds or waits for the lock,
+ * so that a steady stream of readers cannot starve writers.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {{[dispose]: Function}|null} Disposable lock handle, or null on failure.
+ */
+const tryReadLock = buffer => {
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const readers = Atomics.load(buffer, RwSlot.State);
+    if (readers === WRITE_LOCKED || Atomics.load(buffer, RwSlot.WaitingWriters) > 0) {
+      return null;
+    }
+    if (Atomics.compareExchange(buffer, RwSlot.State, readers, readers + 1) === readers) {
+      return createHandle(() => readUnlock(buffer));
+    }
+  }
+};
+
+/**
+ * Attempts to take the write lock once.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {{[dispose]: Function}|null} Disposable lock handle, or null on failure.
+ */
+const tryWriteLock = buffer => {
+  if (Atomics.compareExchange(buffer, RwSlot.State, 0, WRITE_LOCKED) !== 0) {
+    return null;
+  }
+  return createHandle(() => writeUnlock(buffer));
+};
+
+/**
+ * Runs `wait` while registered as a waiting writer, so new readers hold back.
+ *
+ * @template T
+ * @param {Int32Array} buffer Lock buffer.
+ * @param {() => T} wait Waiting routine.
+ * @returns {T} Result of `wait`.
+ */
+const asWaitingWriter = (buffer, wait) => {
+  Atomics.add(buffer, RwSlot.WaitingWriters, 1);
+  const done = () => {
+    Atomics.sub(buffer, RwSlot.WaitingWriters, 1);
+    // Readers parked behind this writer may proceed now
+    signal(buffer);
+  };
+
+  let result;
+  try {
+    result = wait();
+  } catch (error) {
+    done();
+    throw error;
+  }
+  if (result instanceof Promise) {
+    return result.finally(done);
+  }
+  done();
+  return result;
+};
+
+/**
+ * Binds the reader/writer lock operations to a validated lock buffer.
+ *
+ * @param {Int32Array} buffer Lock buffer.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   toDescriptor: () => LockDescriptor,
+ *   dispose: symbol,
+ *   readLock: (options?: number|AcquireOptions) => Promise<{[dispose]: Function}>,
+ *   readLockSync: (options?: number|AcquireOptions) => {[dispose]: Function},
+ *   writeLock: (options?: number|AcquireOptions) => Promise<{[dispose]: Function}>,
+ *   writeLockSync: (options?: number|AcquireOptions) => {[dispose]: Function},
+ *   readers: () => number,
+ *   isWriteLocked: () => boolean
+ * }>} A frozen reader/writer lock object.
+ */
+const bindRwLock = buffer =>
+  Object.freeze({
+    buffer,
+    toDescriptor: () => createDescriptor('rwlock', buffer),
+    dispose,
+    readLock: async (options = Infinity) => {
+      return waitForAcquire(
+        buffer,
+        RwSlot.Sequence,
+        () => tryReadLock(buffer),
+        options,
+        'Read lock'
+      );
+    },
+    readLockSync: (options = Infinity) => {
+      return waitForAcquireSync(
+        buffer,
+        RwSlot.Sequence,
+        () => tryReadLock(buffer),
+        options,
+        'Read lock'
+      );
+    },
+    writeLock: async (options = Infinity) => {
+      // Resolve up front so that invalid options are reported even when the lock is free
+      const acquireOptions = resolveAcquireOptions(options);
+      return (
+        tryWriteLock(buffer) ||
+        asWaitingWriter(buffer, () =>
+          waitForAcquire(
+            buffer,
+            RwSlot.Sequence,
+            () => tryWriteLock(buffer),
+            acquireOptions,
+            'Write lock'
+          )
+        )
+      );
+    },
+    writeLockSync: (options = Infinity) => {
+      // Resolve up front so that invalid options are reported even when the lock is free
+      const acquireOptions = resolveAcquireOptions(options);
+      return (
+        tryWriteLock(buffer) ||
+        asWaitingWriter(buffer, () =>
+          waitForAcquireSync(
+            buffer,
+            RwSlot.Sequence,
+            () => tryWriteLock(buffer),
+            acquireOptions,
+            'Write lock'
+          )
+        )
+      );
+    },
+    readers: () => Math.max(0, Atomics.load(buffer, RwSlot.State)),
+    isWriteLocked: () => Atomics.load(buffer, RwSlot.State) === WRITE_LOCKED,
+  });
+
+/**
+ * Creates a reader/writer lock using SharedArrayBuffer and Atomics.
+ * Any number of readers may hold the lock at the same time, while writers get exclusive
+ * access. Writers are preferred: once a writer is waiting, new readers queue behind it.
+ *
+ * @returns {ReturnType<typeof bindRwLock>} A frozen reader/writer lock object.
+ *
+ * @example
+ * const rwLock = createRwLock();
+ *
+ * // Many readers at once
+ * const readHandle = await rwLock.readLock();
+ * try {
+ *   lookup(table);
+ * } finally {
+ *   readHandle[dispose]();
+ * }
+ *
+ * // A single writer, with a 1 second timeout
+ * const writeHandle = await rwLock.writeLock(1000);
+ * try {
+ *   update(table);
+ * } finally {
+ *   writeHandle[dispose]();
+ * }
+ */
+export const createRwLock = () => {
+  const buffer = allocateBuffer('rwlock', RWLOCK_LENGTH);
+  return bindRwLock(buffer);
+};
+
+/**
+ * Creates a reader/writer lock over an existing buffer, e.g. one received from another worker.
+ *
+ * @param {Int32Array} input Buffer of a lock created by `createRwLock`.
+ * @param {Object} [options] Binding options.
+ * @param {number} [options.index=0] Slot index of the lock within `input`.
+ * @returns {ReturnType<typeof bindRwLock>} A frozen reader/writer lock object.
+ * @throws {MutexError} If buffer is invalid.
+ *
+ * @example
+ * // main thread
+ * const rwLock = createRwLock();
+ * new Worker('./worker.js', { workerData: rwLock.buffer });
+ *
+ * // worker.js
+ * const rwLock = withRwLock(workerData);
+ */
+export const withRwLock = (input, { index = 0 } = {}) => {
+  const buffer = bufferAt(input, index);
+  validateRwLockBuffer(buffer);
+
+  return bindRwLock(buffer);
+};
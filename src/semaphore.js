@@ -0,0 +1,270 @@
+import {
+  MutexError,
+  allocateBuffer,
+  createDescriptor,
+  dispose,
+  bufferAt,
+  validateBuffer,
+  waitForAcquire,
+  waitForAcquireSync,
+} from './common';
+
+/** @typedef {import('./common').AcquireOptions} AcquireOptions */
+/** @typedef {import('./common').LockDescriptor} LockDescriptor */
+
+/**
+ * Slot indexes within a semaphore buffer.
+ * - `Available`: number of permits currently available.
+ * - `Capacity`: total number of permits the semaphore was created with.
+ * @readonly
+ * @enum {number}
+ */
+const SemaphoreSlot = Object.freeze({
+  Available: 0,
+  Capacity: 1,
+});
+
+/**
+ * Number of Int32 slots required by a semaphore buffer.
+ * @type {number}
+ */
+const SEMAPHORE_LENGTH = 2;
+
+/**
+ * Validates that a given buffer is a valid semaphore storage.
+ * @param {any} buffer Buffer to validate.
+ * @throws {MutexError} If buffer is invalid.
+ */
+const validateSemaphoreBuffer = buffer => {
+  validateBuffer(buffer, SEMAPHORE_LENGTH);
+  if (Atomics.load(buffer, SemaphoreSlot.Capacity) < 1) {
+    throw new MutexError('Invalid buffer: semaphore capacity must be >= 1');
+  }
+};
+
+/**
+ * Validates a number of permits against the semaphore capacity.
+ * @param {Int32Array} buffer Semaphore buffer.
+ * @param {number} permits Number of permits to validate.
+ * @throws {MutexError} If permits is invalid.
+ */
+const validatePermits = (buffer, permits) => {
+  if (!Number.isInteger(permits) || permits < 1) {
+    throw new MutexError('Permits must be a positive integer');
+  }
+  const capacity = Atomics.load(buffer, SemaphoreSlot.Capacity);
+  if (permits > capacity) {
+    throw new MutexError(`Cannot use ${permits} permits on a semaphore of capacity ${capacity}`);
+  }
+};
+
+/**
+ * Returns permits to the semaphore and wakes up waiters.
+ *
+ * @param {Int32Array} buffer Semaphore buffer.
+ * @param {number} permits Number of permits to return.
+ * @throws {MutexError} If the release would exceed the semaphore capacity.
+ */
+const release = (buffer, permits) => {
+  const capacity = Atomics.load(buffer, SemaphoreSlot.Capacity);
+
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const available = Atomics.load(buffer, SemaphoreSlot.Available);
+    if (available + permits > capacity) {
+      throw new MutexError('Cannot release more permits than the semaphore capacity');
+    }
+    if (
+      Atomics.compareExchange(buffer, SemaphoreSlot.Available, available, available + permits) ===
+      available
+    ) {
+      break;
+    }
+  }
+
+  // Several waiters may be satisfied by the returned permits
+  Atomics.notify(buffer, SemaphoreSlot.Available);
+};
+
+/**
+ * Creates a disposable permit handle that returns its permits at most once.
+ *
+ * @param {Int32Array} buffer Semaphore buffer.
+ * @param {number} permits Number of permits held by the handle.
+ * @returns {{permits: number, [dispose]: Function}} Disposable permit handle.
+ */
+const createHandle = (buffer, permits) => {
+  let released = false;
+  return {
+    permits,
+    [dispose]: () => {
+      if (released) return;
+      released = true;
+      release(buffer, permits);
+    },
+  };
+};
+
+/**
+ * Attempts to take `permits` permits once.
+ *
+ * @param {Int32Array} buffer Semaphore buffer.
+ * @param {number} permits Number of permits to take.
+ * @returns {{permits: number, [dispose]: Function}|null} Permit handle, or null if not enough permits.
+ */
+const tryAcquire = (buffer, permits) => {
+  // eslint-disable-next-line no-constant-condition
+  while (true) {
+    const available = Atomics.load(buffer, SemaphoreSlot.Available);
+    if (available < permits) {
+      return null;
+    }
+    if (
+      Atomics.compareExchange(buffer, SemaphoreSlot.Available, available, available - permits) ===
+      available
+    ) {
+      return createHandle(buffer, permits);
+    }
+  }
+};
+
+/**
+ * Binds the semaphore operations to a validated buffer.
+ *
+ * @param {Int32Array} buffer Semaphore buffer.
+ * @returns {Readonly<{
+ *   buffer: Int32Array,
+ *   toDescriptor: () => LockDescriptor,
+ *   dispose: symbol,
+ *   acquire: (permits?: number, options?: number|AcquireOptions) => Promise<{permits: number, [dispose]: Function}>,
+ *   acquireSync: (permits?: number, options?: number|AcquireOptions) => {permits: number, [dispose]: Function},
+ *   tryAcquire: (permits?: number) => {permits: number, [dispose]: Function}|null,
+ *   release: (permits?: number) => void,
+ *   available: () => number,
+ *   capacity: () => number
+ * }>} A frozen semaphore object.
+ */
+const bindSemaphore = buffer =>
+  Object.freeze({
+    buffer,
+    toDescriptor: () => createDescriptor('semaphore', buffer),
+    dispose,
+    acquire: async (permits = 1, options = Infinity) => {
+      validatePermits(buffer, permits);
+      return waitForAcquire(
+        buffer,
+        SemaphoreSlot.Available,
+        () => tryAcquire(buffer, permits),
+        options,
+        'Semaphore'
+      );
+    },
+    acquireSync: (permits = 1, options = Infinity) => {
+      validatePermits(buffer, permits);
+      return waitForAcquireSync(
+        buffer,
+        SemaphoreSlot.Available,
+        () => tryAcquire(buffer, permits),
+        options,
+        'Semaphore'
+      );
+    },
+    tryAcquire: (permits = 1) => {
+      validatePermits(buffer, permits);
+      return tryAcquire(buffer, permits);
+    },
+    release: (permits = 1) => {
+      validatePermits(buffer, permits);
+      release(buffer, permits);
+    },
+    available: () => Atomics.load(buffer, SemaphoreSlot.Available),
+    capacity: () => Atomics.load(buffer, SemaphoreSlot.Capacity),
+  });
+
+/**
+ * Creates a counting semaphore using SharedArrayBuffer and Atomics.
+ * Up to `permits` holders may use the guarded resource at the same time, across threads.
+ *
+ * @param {number} permits Number of permits available initially.
+ * @returns {ReturnType<typeof bindSemaphore>} A frozen semaphore object.
+ * @throws {MutexError} If permits is not a positive integer.
+ *
+ * @example
+ * // At most 4 concurrent database connections across all workers
+ * const semaphore = createSemaphore(4);
+ *
+ * const permit = await semaphore.acquire(1, 5000);
+ * try {
+ *   await query(connection);
+ * } finally {
+ *   permit[dispose]();
+ * }
+ */
+export const createSemaphore = permits => {
+  if (!Number.isInteger(permits) || permits < 1) {
+    throw new MutexError('Permits must be a positive integer');
+  }
+
+  const buffer = allocateBuffer('semaphore', SEMAPHORE_LENGTH);
+  buffer[SemaphoreSlot.Available] = permits;
+  buffer[SemaphoreSlot.Capacity] = permits;
+
+  return bindSemaphore(buffer);
+};
+
+/**
+ * Creates a semaphore over an existing buffer, e.g. one received from another worker.
+ *
+ * @param {Int32Array} input Buffer of a semaphore created by `createSemaphore`.
+ * @param {Object} [options] Binding options.
+ * @param {number} [options.index=0] Slot index of the semaphore within `input`.
+ * @returns {ReturnType<typeof bindSemaphore>} A frozen semaphore object.
+ * @throws {MutexError} If buffer is invalid.
+ *
+ * @example
+ * // main thread
+ * const semaphore = createSemaphore(4);
+ * const pool = new Piscina({ filename: './worker.js', workerData: semaphore.buffer });
+ *
+ * // worker.js
+ * const semaphore = withSemaphore(workerData);
+ */
+export const withSemaphore = (input, { index = 0 } = {}) => {
+  const buffer = bufferAt(input, index);
+  validateSemaphoreBuffer(buffer);
+
+  return bindSemaphore(buffer);
+};
+
+/**
+ * Runs a function while holding permits of a semaphore.
+ * Ensures the permits are always returned, even if the function throws.
+ *
+ * @template T
+ * @param {ReturnType<typeof createSemaphore>} semaphore - The semaphore object.
+ * @param {() => Promise<T>|T} fn - Function to run while holding the permits.
+ * @param {number|AcquireOptions} [options=Infinity] - Optional timeout or acquisition options.
+ * @param {number} [permits=1] - Number of permits to hold.
+ * @returns {Promise<T>} The result of the function.
+ * @throws {MutexError} If acquisition fails or times out.
+ *
+ * @example
+ * const semaphore = createSemaphore(4);
+ *
+ * const rows = await semaphoreGuard(semaphore, () => query('SELECT 1'), 5000);
+ */
+export const semaphoreGuard = async (semaphore, fn, options = Infinity, permits = 1) => {
+  if (!semaphore || typeof semaphore.acquire !== 'function') {
+    throw new MutexError('Invalid semaphore: must be a semaphore object with acquire method');
+  }
+  if (typeof fn !== 'function') {
+    throw new MutexError('Invalid function: must provide a function to execute');
+  }
+
+  const permit = await semaphore.acquire(permits, options);
+  try {
+    return await fn();
+  } finally {
+    permit[dispose]();
+  }
+};
@@ -0,0 +1,110 @@
+/* global describe, test, expect */
+/**
+ * Test suite for mutex arenas: covers allocation, records with user data and sharing through the buffer.
+ */
+import { createMutexArena, withMutexArena, rapidGuard, lockAll, dispose, MutexError } from '../src';
+
+describe('mutex arena', () => {
+  describe('createMutexArena', () => {
+    test('stores every mutex in one buffer', () => {
+      const arena = createMutexArena(4);
+      expect(arena.count()).toBe(4);
+      expect(arena.buffer.buffer).toBeInstanceOf(SharedArrayBuffer);
+      expect(arena.at(3).buffer.buffer).toBe(arena.buffer.buffer);
+      expect(arena.at(0)).toBe(arena.at(0));
+      expect(Object.isFrozen(arena)).toBe(true);
+    });
+
+    test('locks records independently', async () => {
+      const arena = createMutexArena(3);
+      const handle = await arena.at(1).lock();
+      expect(arena.at(1).isLocked()).toBe(true);
+      expect(arena.at(0).isLocked()).toBe(false);
+      expect(arena.at(2).isLocked()).toBe(false);
+      handle[dispose]();
+
+      const all = await lockAll([arena.at(0), arena.at(1), arena.at(2)]);
+      all[dispose]();
+    });
+
+    test('allocates distinct records until exhausted', () => {
+      const arena = createMutexArena(2);
+      expect(arena.allocated()).toBe(0);
+      expect(arena.allocate()).toBe(0);
+      expect(arena.allocate()).toBe(1);
+      expect(() => arena.allocate()).toThrow(/exhausted/);
+      expect(arena.allocated()).toBe(2);
+    });
+
+    test('keeps user data next to each mutex', async () => {
+      const arena = createMutexArena(2, { dataLength: 2 });
+      await rapidGuard(arena.at(1), () => arena.dataAt(1).set([7, 9]));
+
+      expect(Array.from(arena.dataAt(1))).toEqual([7, 9]);
+      expect(Array.from(arena.dataAt(0))).toEqual([0, 0]);
+      expect(arena.dataAt(1).buffer).toBe(arena.buffer.buffer);
+      expect(arena.at(1).isLocked()).toBe(false);
+    });
+
+    test('creates mutexes of the requested kind', async () => {
+      const fair = createMutexArena(2, { fair: true, dataLength: 1 });
+      expect(fair.at(1).isFair()).toBe(true);
+      const handle = await fair.at(1).lock();
+      expect(fair.at(0).isLocked()).toBe(false);
+      handle[dispose]();
+
+      const robust = createMutexArena(2, { robust: true, leaseMs: 1000, stats: true });
+      expect(robust.at(0).isRobust()).toBe(true);
+      robust.at(1).lockSync()[dispose]();
+      expect(robust.at(1).stats().acquisitions).toBe(1);
+      expect(robust.at(0).stats().acquisitions).toBe(0);
+    });
+
+    test('binds mutexes with per-object options', () => {
+      const arena = createMutexArena(1);
+      const acquired = [];
+      const mutex = arena.at(0, { onAcquire: event => acquired.push(event) });
+      expect(mutex).not.toBe(arena.at(0));
+      mutex.lockSync()[dispose]();
+      expect(acquired).toHaveLength(1);
+    });
+
+    test('validates options and indexes', () => {
+      expect(() => createMutexArena(0)).toThrow(MutexError);
+      expect(() => createMutexArena(2, { dataLength: -1 })).toThrow(/Data length/);
+      expect(() => createMutexArena(2, { fair: true, robust: true })).toThrow(MutexError);
+      expect(() => createMutexArena(2, { robust: true })).toThrow(/requires leaseMs/);
+      const arena = createMutexArena(2);
+      expect(() => arena.at(2)).toThrow(/Invalid index/);
+      expect(() => arena.dataAt(-1)).toThrow(/Invalid index/);
+    });
+  });
+
+  describe('withMutexArena', () => {
+    test('shares records and allocations through the buffer', () => {
+      const arena = createMutexArena(4, { dataLength: 1 });
+      const shared = withMutexArena(arena.buffer);
+      expect(shared.count()).toBe(4);
+
+      expect(arena.allocate()).toBe(0);
+      expect(shared.allocate()).toBe(1);
+
+      const handle = arena.at(1).lockSync();
+      expect(shared.at(1).isLocked()).toBe(true);
+      expect(shared.at(1).tryLock()).toBeNull();
+      handle[dispose]();
+      arena.dataAt(3)[0] = 42;
+      expect(shared.dataAt(3)[0]).toBe(42);
+    });
+
+    test('validates the buffer', () => {
+      expect(() => withMutexArena(null)).toThrow(MutexError);
+      expect(() => withMutexArena(new Int32Array(new SharedArrayBuffer(16)))).toThrow(
+        /not a mutex arena/
+      );
+      const truncated = new Int32Array(new SharedArrayBuffer(16));
+      truncated.set([4, 5, 0]);
+      expect(() => withMutexArena(truncated)).toThrow(/length/);
+    });
+  });
+});
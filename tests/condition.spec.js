@@ -0,0 +1,278 @@
+/* global describe, test, expect */
+/**
+ * Test suite for condition variables: covers waiting, notification, predicates and mutex hand-over.
+ */
+import {
+  createCondition,
+  withCondition,
+  createMutex,
+  withMutex,
+  createRecursiveMutex,
+  rapidGuard,
+  setLockOrderChecks,
+  MutexError,
+} from '../src';
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+describe('condition', () => {
+  describe('wait', () => {
+    test('releases the mutex while waiting and re-acquires it', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      const handle = await mutex.lock();
+
+      const waiting = condition.wait(mutex);
+      expect(mutex.isLocked()).toBe(false);
+
+      const other = mutex.lockSync();
+      condition.notifyOne();
+      other[mutex.dispose]();
+
+      await expect(waiting).resolves.toBe(true);
+      expect(mutex.isLocked()).toBe(true);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('keeps the original handle valid', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      const handle = await mutex.lock();
+      const { token } = mutex.owner();
+
+      const waiting = condition.wait(mutex);
+      condition.notifyAll();
+      await waiting;
+
+      expect(mutex.owner().token).toBe(token);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('works with fair mutexes', async () => {
+      const mutex = createMutex({ fair: true });
+      const condition = createCondition();
+      const handle = await mutex.lock();
+
+      const waiting = condition.wait(mutex);
+      const other = await mutex.lock(100);
+      condition.notifyOne();
+      other[mutex.dispose]();
+
+      await expect(waiting).resolves.toBe(true);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('keeps the lease of the original handle', async () => {
+      const mutex = createMutex({ leases: true });
+      const condition = createCondition();
+      const handle = await mutex.lock({ ttlMs: 10000 });
+
+      const waiting = condition.wait(mutex);
+      const other = await mutex.lock(100);
+      condition.notifyOne();
+      other[mutex.dispose]();
+
+      await expect(waiting).resolves.toBe(true);
+      expect(handle.isHeld()).toBe(true);
+      handle.extend(10000);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('re-acquires through the mutex object', async () => {
+      const acquisitions = [];
+      const mutex = createMutex({
+        stats: true,
+        onAcquire: ({ contended }) => acquisitions.push(contended),
+      });
+      const condition = createCondition();
+      const handle = await mutex.lock();
+
+      const waiting = condition.wait(mutex);
+      const other = mutex.lockSync();
+      condition.notifyOne();
+      other[mutex.dispose]();
+      await waiting;
+
+      expect(acquisitions).toEqual([false, false, false]);
+      expect(mutex.stats().acquisitions).toBe(3);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('checks lock order when re-acquiring', () => {
+      setLockOrderChecks(true);
+      try {
+        const outer = createMutex({ name: 'outer', level: 1 });
+        const inner = createMutex({ name: 'inner', level: 2 });
+        const condition = createCondition();
+
+        const handle = outer.lockSync();
+        expect(condition.waitSync(outer, 1)).toBe(false);
+        handle[outer.dispose]();
+        // The re-acquisition is not left behind as held
+        const lower = createMutex({ level: 0 });
+        expect(() => lower.lockSync()[lower.dispose]()).not.toThrow();
+
+        const held = outer.lockSync();
+        const nested = inner.lockSync();
+        expect(() => condition.waitSync(outer, 1)).toThrow(/while holding "inner"/);
+        nested[inner.dispose]();
+        held[outer.dispose]();
+      } finally {
+        setLockOrderChecks(false);
+      }
+    });
+
+    test('restores the hold count of recursive mutexes', async () => {
+      const mutex = createRecursiveMutex();
+      const condition = createCondition();
+      const outer = await mutex.lock();
+      const inner = await mutex.lock();
+
+      const waiting = condition.wait(mutex);
+      expect(mutex.isLocked()).toBe(false);
+      await new Promise(res => setTimeout(res, 1));
+      // Another holder resets the hold count meanwhile
+      mutex.lockSync()[mutex.dispose]();
+      condition.notifyOne();
+      await waiting;
+
+      expect(mutex.holdCount()).toBe(2);
+      inner[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(true);
+      outer[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('resolves false on timeout with the mutex held', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      const handle = await mutex.lock();
+      await expect(condition.wait(mutex, 10)).resolves.toBe(false);
+      expect(mutex.isLocked()).toBe(true);
+      handle[mutex.dispose]();
+    });
+
+    test('waitSync returns false on timeout with the mutex held', () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      const handle = mutex.lockSync();
+      expect(condition.waitSync(mutex, 10)).toBe(false);
+      expect(mutex.isLocked()).toBe(true);
+      handle[mutex.dispose]();
+    });
+
+    test('requires the mutex to be held', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      await expect(condition.wait(mutex, 10)).rejects.toThrow(/held by the current thread/i);
+      expect(() => condition.waitSync(mutex, 10)).toThrow(MutexError);
+      await expect(condition.wait(null)).rejects.toThrow(MutexError);
+    });
+
+    test('notifyAll wakes every waiter', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      let woken = 0;
+
+      const waiters = [1, 2, 3].map(() =>
+        rapidGuard(mutex, async () => {
+          await condition.wait(mutex);
+          woken++;
+        })
+      );
+      await sleep(10);
+      expect(woken).toBe(0);
+
+      await rapidGuard(mutex, () => condition.notifyAll());
+      await Promise.all(waiters);
+      expect(woken).toBe(3);
+      expect(mutex.isLocked()).toBe(false);
+    });
+  });
+
+  describe('waitUntil', () => {
+    test('waits until the predicate holds', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      const queue = [];
+
+      const consumer = rapidGuard(mutex, async () => {
+        await condition.waitUntil(mutex, () => queue.length > 0);
+        return queue.shift();
+      });
+
+      await sleep(5);
+      // Spurious notification without state change
+      await rapidGuard(mutex, () => condition.notifyAll());
+      await sleep(5);
+      await rapidGuard(mutex, () => {
+        queue.push('item');
+        condition.notifyOne();
+      });
+
+      await expect(consumer).resolves.toBe('item');
+    });
+
+    test('returns immediately when the predicate already holds', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      const handle = mutex.lockSync();
+      await expect(condition.waitUntil(mutex, () => true, 0)).resolves.toBe(true);
+      expect(condition.waitUntilSync(mutex, () => true, 0)).toBe(true);
+      handle[mutex.dispose]();
+    });
+
+    test('returns false when the predicate does not hold before the timeout', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      const handle = mutex.lockSync();
+      await expect(condition.waitUntil(mutex, () => false, 10)).resolves.toBe(false);
+      expect(condition.waitUntilSync(mutex, () => false, 10)).toBe(false);
+      expect(mutex.isLocked()).toBe(true);
+      handle[mutex.dispose]();
+    });
+
+    test('validates the predicate', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      await expect(condition.waitUntil(mutex, null)).rejects.toThrow(MutexError);
+      expect(() => condition.waitUntilSync(mutex, 'not-a-function')).toThrow(MutexError);
+    });
+  });
+
+  describe('withCondition', () => {
+    test('shares notifications through the buffer', async () => {
+      const mutex = createMutex();
+      const condition = createCondition();
+      const shared = withCondition(condition.buffer);
+      const handle = await mutex.lock();
+
+      const waiting = condition.wait(mutex);
+      shared.notifyOne();
+      await expect(waiting).resolves.toBe(true);
+      handle[mutex.dispose]();
+    });
+
+    test('binds a condition at a slot index next to its mutex', async () => {
+      const shared = new Int32Array(new SharedArrayBuffer(8 * 4));
+      const mutex = withMutex(shared);
+      const condition = withCondition(shared, { index: 7 });
+      const handle = await mutex.lock();
+
+      const waiting = condition.wait(mutex);
+      withCondition(shared, { index: 7 }).notifyOne();
+      await expect(waiting).resolves.toBe(true);
+      handle[mutex.dispose]();
+    });
+
+    test('validates the buffer', () => {
+      expect(() => withCondition(null)).toThrow(MutexError);
+      expect(() => withCondition(new Int32Array(1))).toThrow(/SharedArrayBuffer/i);
+    });
+  });
+});
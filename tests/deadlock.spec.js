@@ -0,0 +1,221 @@
+/* global describe, test, expect */
+/**
+ * Test suite for deadlock detection: covers the shared wait-for graph, cycle reporting and cleanup.
+ */
+import { threadId } from 'worker_threads';
+import {
+  createDeadlockDetector,
+  withDeadlockDetector,
+  createMutex,
+  withMutex,
+  MutexDeadlockError,
+  MutexError,
+} from '../src';
+import { startWorker, nextMessage, exited, until } from './workers/threads';
+
+// Thread identifier of another worker, as stored in mutex owner slots (thread id + 1)
+const OTHER_THREAD = 1000;
+
+// Slot indexes of the first entries of the graph, after the header
+const ENTRIES = [2, 8, 14];
+
+/**
+ * Records that `thread` waits for `holder`, as another worker would, in the entry at `entry`.
+ * `holderEntry` is the entry of the holder, or the one it claims once it waits.
+ */
+const recordWait = (detector, entry, thread, holder, holderEntry) => {
+  detector.buffer.set([thread, holder, 1, 0, 0, holderEntry], entry);
+};
+
+/**
+ * Simulates another worker holding `mutex` and waiting for a lock held by the current thread.
+ */
+const simulateWaitingHolder = (detector, mutex) => {
+  mutex.buffer[0] = 1; // locked
+  mutex.buffer[1] = OTHER_THREAD;
+  recordWait(detector, ENTRIES[0], OTHER_THREAD, threadId + 1, ENTRIES[1]);
+};
+
+describe('deadlock detection', () => {
+  test('rejects an acquisition that closes a cycle', async () => {
+    const detector = createDeadlockDetector();
+    const mutex = createMutex({ deadlockDetector: detector });
+    simulateWaitingHolder(detector, mutex);
+
+    const error = await mutex.lock(1000).catch(e => e);
+    expect(error).toBeInstanceOf(MutexDeadlockError);
+    expect(error).toBeInstanceOf(MutexError);
+    expect(error.name).toBe('RapidMutexDeadlockError');
+    expect(error.cycle).toEqual([threadId, OTHER_THREAD - 1]);
+    expect(error.message).toBe(
+      `Mutex lock would deadlock: thread ${threadId} -> thread ${OTHER_THREAD - 1} -> thread ${threadId}`
+    );
+    // Its entry was freed with the rejected acquisition: the wait recorded on it is outdated
+    expect(detector.waits()).toEqual([]);
+  });
+
+  test('rejects synchronous and fair acquisitions', () => {
+    const detector = createDeadlockDetector();
+    const mutex = createMutex({ fair: true, deadlockDetector: detector });
+    mutex.lockSync();
+    mutex.buffer[1] = OTHER_THREAD;
+    recordWait(detector, ENTRIES[0], OTHER_THREAD, threadId + 1, ENTRIES[1]);
+
+    expect(() => mutex.lockSync(1000)).toThrow(MutexDeadlockError);
+  });
+
+  test('detects longer cycles', () => {
+    const detector = createDeadlockDetector();
+    const mutex = createMutex({ deadlockDetector: detector });
+    mutex.buffer[0] = 1;
+    mutex.buffer[1] = OTHER_THREAD;
+    recordWait(detector, ENTRIES[0], OTHER_THREAD, OTHER_THREAD + 1, ENTRIES[1]);
+    recordWait(detector, ENTRIES[1], OTHER_THREAD + 1, threadId + 1, ENTRIES[2]);
+
+    expect(() => mutex.lockSync(1000)).toThrow(
+      expect.objectContaining({ cycle: [threadId, OTHER_THREAD - 1, OTHER_THREAD] })
+    );
+  });
+
+  test('waits normally when the holder is not waiting for the current thread', async () => {
+    const detector = createDeadlockDetector();
+    const mutex = createMutex({ deadlockDetector: detector });
+    mutex.buffer[0] = 1;
+    mutex.buffer[1] = OTHER_THREAD;
+
+    const waiting = mutex.lock(1000);
+    await new Promise(res => setTimeout(res, 5));
+    expect(detector.waits()).toEqual([{ threadId, waitingFor: OTHER_THREAD - 1 }]);
+
+    mutex.buffer[1] = 0;
+    Atomics.store(mutex.buffer, 0, 0);
+    Atomics.notify(mutex.buffer, 0);
+    const handle = await waiting;
+    handle[mutex.dispose]();
+    expect(detector.waits()).toEqual([]);
+  });
+
+  test('does not report tasks of the same thread waiting on each other', async () => {
+    const detector = createDeadlockDetector();
+    const mutex = createMutex({ deadlockDetector: detector });
+    const handle = await mutex.lock();
+
+    const waiting = mutex.lock(1000);
+    setTimeout(() => handle[mutex.dispose](), 5);
+    const next = await waiting;
+    next[mutex.dispose]();
+    expect(detector.waits()).toEqual([]);
+  });
+
+  test('clears the wait after a timeout', async () => {
+    const detector = createDeadlockDetector();
+    const mutex = withMutex(createMutex().buffer, { deadlockDetector: detector });
+    mutex.buffer[0] = 1;
+    mutex.buffer[1] = OTHER_THREAD;
+
+    await expect(mutex.lock(10)).rejects.toThrow(/timed out/i);
+    expect(detector.waits()).toEqual([]);
+  });
+
+  test('rejects a deadlock with a real worker', async () => {
+    const detector = createDeadlockDetector();
+    const first = createMutex({ deadlockDetector: detector });
+    const second = createMutex({ deadlockDetector: detector });
+    const handle = first.lockSync();
+
+    const worker = startWorker('deadlock', {
+      detector: detector.buffer,
+      first: first.buffer,
+      second: second.buffer,
+    });
+    await nextMessage(worker);
+    await until(() => detector.waits().length === 1);
+
+    const error = await second.lock(5000).catch(e => e);
+    expect(error).toBeInstanceOf(MutexDeadlockError);
+    expect(error.cycle).toEqual([threadId, worker.threadId]);
+
+    handle[first.dispose]();
+    expect(await exited(worker)).toBe(0);
+  }, 20000);
+
+  test('ignores waits outdated by a release', async () => {
+    const detector = createDeadlockDetector();
+    const first = createMutex({ deadlockDetector: detector });
+    const second = createMutex({ deadlockDetector: detector });
+
+    for (let round = 0; round < 5; round++) {
+      const handle = first.lockSync();
+      const worker = startWorker('deadlock', {
+        detector: detector.buffer,
+        first: first.buffer,
+        second: second.buffer,
+      });
+      await until(() =>
+        detector
+          .waits()
+          .some(wait => wait.threadId === worker.threadId && wait.waitingFor === threadId)
+      );
+
+      // The worker has not woken up yet when the current thread waits for it
+      handle[first.dispose]();
+      second.lockSync(5000)[second.dispose]();
+      expect(await exited(worker)).toBe(0);
+    }
+    expect(detector.waits()).toEqual([]);
+  }, 20000);
+
+  test('frees the entries of threads once they stop waiting', async () => {
+    const detector = createDeadlockDetector({ maxThreads: 2 });
+    const mutex = createMutex({ deadlockDetector: detector });
+    const log = new Int32Array(new SharedArrayBuffer(6 * 4));
+
+    for (const id of [1, 2, 3, 4, 5]) {
+      const handle = mutex.lockSync();
+      const worker = startWorker('lock', {
+        mutex: mutex.buffer,
+        log,
+        id,
+        detector: detector.buffer,
+      });
+      // Wait for the worker to park on the lock (Contended state)
+      await until(() => Atomics.load(mutex.buffer, 0) === 2);
+      handle[mutex.dispose]();
+      expect(await exited(worker)).toBe(0);
+    }
+    expect(Array.from(log)).toEqual([5, 1, 2, 3, 4, 5]);
+    expect(detector.waits()).toEqual([]);
+  }, 20000);
+
+  test('shares the graph through the buffer', () => {
+    const detector = createDeadlockDetector({ maxThreads: 4 });
+    const shared = withDeadlockDetector(detector.buffer);
+    const mutex = createMutex({ deadlockDetector: shared });
+    simulateWaitingHolder(detector, mutex);
+
+    expect(() => mutex.lockSync(1000)).toThrow(MutexDeadlockError);
+  });
+
+  test('reports a full graph', () => {
+    const detector = createDeadlockDetector({ maxThreads: 1 });
+    detector.buffer[ENTRIES[0]] = OTHER_THREAD;
+    const mutex = createMutex({ deadlockDetector: detector });
+    // Free locks are acquired without an entry
+    mutex.lockSync()[mutex.dispose]();
+
+    mutex.buffer[0] = 1;
+    mutex.buffer[1] = OTHER_THREAD;
+    expect(() => mutex.lockSync(1000)).toThrow(/detector is full/i);
+  });
+
+  test('validates options and buffers', () => {
+    expect(() => createDeadlockDetector({ maxThreads: 0 })).toThrow(MutexError);
+    expect(() => createMutex({ deadlockDetector: {} })).toThrow(/invalid deadlock detector/i);
+    expect(() => withDeadlockDetector(null)).toThrow(MutexError);
+    expect(() => withDeadlockDetector(new Int32Array(new SharedArrayBuffer(4)))).toThrow(
+      /not a deadlock detector/i
+    );
+    const truncated = new Int32Array(createDeadlockDetector().buffer.buffer, 0, 10);
+    expect(() => withDeadlockDetector(truncated)).toThrow(/length >=/i);
+  });
+});
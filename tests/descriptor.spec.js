@@ -0,0 +1,191 @@
+/* global describe, test, expect */
+/**
+ * Test suite for lock descriptors: covers describing every primitive, structured cloning,
+ * rebuilding from descriptors, validation of layout versions, kinds and bounds, and checks against
+ * the tag of their buffer.
+ */
+import {
+  LAYOUT_VERSION,
+  createMutex,
+  createRecursiveMutex,
+  createRwLock,
+  createSemaphore,
+  createCondition,
+  createMutexRegistry,
+  createMutexArena,
+  createKeyedMutex,
+  createDeadlockDetector,
+  withMutex,
+  fromDescriptor,
+  dispose,
+  MutexError,
+} from '../src';
+
+describe('lock descriptors', () => {
+  test('describe a mutex', () => {
+    const mutex = createMutex({ name: 'accounts', stats: true });
+    const descriptor = mutex.toDescriptor();
+
+    expect(descriptor).toEqual({
+      kind: 'mutex',
+      buffer: mutex.buffer.buffer,
+      offset: 0,
+      length: mutex.buffer.length,
+      layout: LAYOUT_VERSION,
+      name: 'accounts',
+    });
+    expect(createMutex().toDescriptor().name).toBeNull();
+  });
+
+  test('survive structured cloning', () => {
+    const mutex = createMutex({ name: 'accounts' });
+    const descriptor = mutex.toDescriptor();
+    // Clones belong to the realm outside of the test sandbox, so only compare their contents
+    const cloned = structuredClone(descriptor);
+    expect({ ...cloned, buffer: null }).toEqual({ ...descriptor, buffer: null });
+
+    const handle = mutex.lockSync();
+    const view = new Int32Array(cloned.buffer, cloned.offset * 4, cloned.length);
+    expect(Atomics.load(view, 0)).not.toBe(0);
+    handle[dispose]();
+    expect(Atomics.load(view, 0)).toBe(0);
+  });
+
+  test('rebuild a mutex', () => {
+    const mutex = createMutex({ name: 'accounts' });
+    const copy = fromDescriptor(mutex.toDescriptor());
+
+    const handle = mutex.lockSync();
+    expect(copy.isLocked()).toBe(true);
+    expect(copy.tryLock()).toBeNull();
+    handle[dispose]();
+    expect(copy.toDescriptor()).toEqual(mutex.toDescriptor());
+  });
+
+  test('rebuild every kind of primitive', () => {
+    const primitives = [
+      createRecursiveMutex(),
+      createRwLock(),
+      createSemaphore(3),
+      createCondition(),
+      createMutexRegistry({ capacity: 4 }),
+      createMutexArena(4),
+      createKeyedMutex({ stripes: 4 }),
+      createDeadlockDetector({ maxThreads: 4 }),
+    ];
+
+    primitives.forEach(primitive => {
+      const descriptor = primitive.toDescriptor();
+      const rebuilt = fromDescriptor(descriptor, { kind: descriptor.kind });
+      expect(rebuilt.buffer.buffer).toBe(primitive.buffer.buffer);
+      expect(rebuilt.toDescriptor()).toEqual(descriptor);
+    });
+    expect(primitives.map(primitive => primitive.toDescriptor().kind)).toEqual([
+      'recursive-mutex',
+      'rwlock',
+      'semaphore',
+      'condition',
+      'mutex-registry',
+      'mutex-arena',
+      'keyed-mutex',
+      'deadlock-detector',
+    ]);
+  });
+
+  test('keep the offset of embedded primitives', () => {
+    const arena = createMutexArena(4, { dataLength: 2 });
+    const descriptor = arena.at(2).toDescriptor();
+    expect(descriptor.offset).toBeGreaterThan(0);
+
+    const mutex = fromDescriptor(descriptor);
+    const handle = arena.at(2).lockSync();
+    expect(mutex.isLocked()).toBe(true);
+    expect(arena.at(1).isLocked()).toBe(false);
+    handle[dispose]();
+  });
+
+  test('pass binding options to mutexes', () => {
+    const acquisitions = [];
+    const mutex = fromDescriptor(createMutex({ name: 'accounts' }).toDescriptor(), {
+      onAcquire: ({ contended }) => acquisitions.push(contended),
+    });
+    mutex.lockSync()[dispose]();
+    expect(acquisitions).toEqual([false]);
+
+    expect(() => fromDescriptor(createRwLock().toDescriptor(), { spin: { spins: 10 } })).toThrow(
+      /rwlock is rebuilt without options/
+    );
+  });
+
+  test('reject mismatching descriptors', () => {
+    const descriptor = createRwLock().toDescriptor();
+
+    expect(() => fromDescriptor(descriptor, { kind: 'mutex' })).toThrow(MutexError);
+    expect(() => fromDescriptor(descriptor, { kind: 'mutex' })).toThrow(
+      'Descriptor mismatch: expected a mutex, got a rwlock'
+    );
+    expect(() => fromDescriptor({ ...descriptor, layout: LAYOUT_VERSION + 1 })).toThrow(
+      `laid out with layout version ${LAYOUT_VERSION + 1}, this version of the library uses ${LAYOUT_VERSION}`
+    );
+    expect(() => fromDescriptor({ ...descriptor, layout: undefined })).toThrow(
+      /missing layout version/
+    );
+    expect(() => fromDescriptor({ ...descriptor, kind: 'spinlock' })).toThrow(
+      /unknown kind spinlock/
+    );
+    expect(() => fromDescriptor({ ...descriptor, kind: 'constructor' })).toThrow(/unknown kind/);
+  });
+
+  test('check descriptors against the tag of their buffer', () => {
+    const rwlock = createRwLock().toDescriptor();
+    expect(() => fromDescriptor({ ...rwlock, kind: 'semaphore' })).toThrow(
+      'Descriptor mismatch: its buffer holds a rwlock, not a semaphore at slot 0'
+    );
+    expect(() => fromDescriptor({ ...rwlock, kind: 'mutex' })).toThrow(/holds a rwlock/);
+    expect(() => fromDescriptor({ ...rwlock, length: rwlock.length + 1 })).toThrow(/do not fit/);
+
+    // Mutexes embedded in an arena are described by their own slots
+    const arena = createMutexArena(4);
+    expect(fromDescriptor(arena.at(1).toDescriptor(), { kind: 'mutex' }).isLocked()).toBe(false);
+    expect(() => fromDescriptor({ ...arena.toDescriptor(), kind: 'mutex' })).toThrow(
+      /holds a mutex-arena, not a mutex at slot 0/
+    );
+
+    const mutex = createMutex().toDescriptor();
+    const tag = new Int32Array(mutex.buffer, mutex.length * 4, 1);
+    tag[0] = (tag[0] & ~0xff) | (LAYOUT_VERSION + 1);
+    expect(() => fromDescriptor(mutex)).toThrow(
+      `Incompatible buffer: laid out with layout version ${LAYOUT_VERSION + 1}`
+    );
+  });
+
+  test('trust buffers laid out by the caller', () => {
+    const memory = new Int32Array(new SharedArrayBuffer(16 * 4));
+    const descriptor = withMutex(memory, { index: 4 }).toDescriptor();
+    expect(descriptor.offset).toBe(4);
+
+    const mutex = fromDescriptor(descriptor);
+    const handle = mutex.lockSync();
+    expect(withMutex(memory, { index: 4 }).isLocked()).toBe(true);
+    handle[dispose]();
+  });
+
+  test('validate descriptors', () => {
+    const descriptor = createMutex().toDescriptor();
+
+    expect(() => fromDescriptor(null)).toThrow(/must be an object/);
+    expect(() => fromDescriptor({ ...descriptor, buffer: new ArrayBuffer(64) })).toThrow(
+      /must be a SharedArrayBuffer/
+    );
+    expect(() => fromDescriptor({ ...descriptor, offset: 1 })).toThrow(/do not fit in a buffer/);
+    expect(() => fromDescriptor({ ...descriptor, length: 0 })).toThrow(/do not fit/);
+    expect(() => fromDescriptor({ ...descriptor, offset: 0.5 })).toThrow(/do not fit/);
+    expect(() => fromDescriptor({ ...descriptor, name: 42 })).toThrow(/name must be a string/);
+    expect(() => fromDescriptor({ ...descriptor, length: 1 })).toThrow(/must have length/);
+  });
+
+  test('cannot describe in-process mutexes', () => {
+    const mutex = createMutex({ shared: false });
+    expect(() => mutex.toDescriptor()).toThrow(/Cannot share an in-process mutex/);
+  });
+});
@@ -0,0 +1,259 @@
+/* global describe, test, expect, jest, beforeEach, afterEach */
+/**
+ * Test suite for file mutexes: covers lock files, waiting, stale lock detection and validation.
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import {
+  createFileMutex,
+  createMutex,
+  dispose,
+  lockAll,
+  rapidGuard,
+  MutexAbortError,
+  MutexError,
+  MutexTimeoutError,
+} from '../src';
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+describe('file mutex', () => {
+  let dir;
+  let lockPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rapid-mutex-'));
+    lockPath = path.join(dir, '.lock');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Writes a lock file as another process would.
+   * @param {number} pid Process identifier of the holder.
+   */
+  const writeLockFile = pid => {
+    fs.writeFileSync(
+      lockPath,
+      JSON.stringify({ pid, host: os.hostname(), token: 'other', acquiredAt: Date.now() })
+    );
+  };
+
+  test('holds the lock while the lock file exists', async () => {
+    const mutex = createFileMutex(lockPath);
+    expect(Object.isFrozen(mutex)).toBe(true);
+    expect(mutex.isLocked()).toBe(false);
+
+    const handle = await mutex.lock();
+    expect(mutex.isLocked()).toBe(true);
+    expect(handle.isHeld()).toBe(true);
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(process.pid);
+    expect(mutex.owner()).toMatchObject({ pid: process.pid, host: os.hostname() });
+
+    handle[dispose]();
+    expect(fs.existsSync(lockPath)).toBe(false);
+    expect(fs.readdirSync(dir)).toEqual([]);
+    expect(mutex.isLocked()).toBe(false);
+    expect(handle.isHeld()).toBe(false);
+  });
+
+  test('waits for the lock and times out', async () => {
+    const mutex = createFileMutex(lockPath, { pollMs: 5 });
+    const other = createFileMutex(lockPath, { pollMs: 5 });
+    const handle = mutex.lockSync();
+
+    expect(other.tryLock()).toBeNull();
+    await expect(other.lock(20)).rejects.toThrow(MutexTimeoutError);
+    expect(() => other.lockSync(20)).toThrow(/timed out after 20ms/);
+
+    const waiting = other.lock(1000);
+    await sleep(10);
+    handle[dispose]();
+    const next = await waiting;
+    expect(next.isHeld()).toBe(true);
+    next[dispose]();
+  });
+
+  test('works with rapidGuard and abort signals', async () => {
+    const mutex = createFileMutex(lockPath);
+    const result = await rapidGuard(mutex, () => {
+      expect(mutex.isLocked()).toBe(true);
+      return 42;
+    });
+    expect(result).toBe(42);
+    expect(mutex.isLocked()).toBe(false);
+
+    const handle = mutex.lockSync();
+    const controller = new AbortController();
+    const aborted = mutex.lock({ signal: controller.signal });
+    controller.abort();
+    await expect(aborted).rejects.toThrow(MutexAbortError);
+    handle[dispose]();
+  });
+
+  test('works with lockAll', async () => {
+    const mutex = createFileMutex(lockPath);
+    const handle = await lockAll([mutex, createMutex()]);
+    expect(mutex.isLocked()).toBe(true);
+    handle[dispose]();
+    expect(mutex.isLocked()).toBe(false);
+
+    await expect(lockAll([mutex, createFileMutex(lockPath)])).rejects.toThrow(/twice/);
+  });
+
+  test('does not release a lock held by another process', () => {
+    writeLockFile(process.ppid);
+    const mutex = createFileMutex(lockPath);
+
+    expect(mutex.isLocked()).toBe(true);
+    expect(mutex.tryLock()).toBeNull();
+    expect(() => mutex.unlock()).toThrow(/held by another process/);
+    expect(fs.existsSync(lockPath)).toBe(true);
+  });
+
+  test('does not take over while another process holds the takeover guard', () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    writeLockFile(pid);
+    const guard = `${lockPath}.takeover`;
+    fs.writeFileSync(guard, '');
+    const mutex = createFileMutex(lockPath);
+
+    expect(mutex.tryLock()).toBeNull();
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf8')).pid).toBe(pid);
+
+    // A guard left behind by a process that died holding it is removed
+    const past = new Date(Date.now() - 5000);
+    fs.utimesSync(guard, past, past);
+    const handle = mutex.tryLock();
+    expect(handle).not.toBeNull();
+    handle[dispose]();
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('does not remove a stale lock file taken over after checking it', () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    writeLockFile(pid);
+    const readFileSync = fs.readFileSync;
+    let takenOver = false;
+    jest.spyOn(fs, 'readFileSync').mockImplementation((...args) => {
+      const contents = readFileSync(...args);
+      if (!takenOver && args[0] === lockPath) {
+        // Another process takes the stale lock over right after the check
+        takenOver = true;
+        writeLockFile(process.ppid);
+      }
+      return contents;
+    });
+
+    expect(createFileMutex(lockPath).tryLock()).toBeNull();
+    expect(takenOver).toBe(true);
+    expect(JSON.parse(readFileSync(lockPath, 'utf8')).pid).toBe(process.ppid);
+    expect(fs.readdirSync(dir)).toEqual(['.lock']);
+  });
+
+  test('treats an empty lock file as being written', async () => {
+    fs.writeFileSync(lockPath, '');
+    const mutex = createFileMutex(lockPath, { pollMs: 5 });
+
+    expect(mutex.isLocked()).toBe(true);
+    expect(mutex.owner()).toBeNull();
+    expect(mutex.tryLock()).toBeNull();
+    await expect(mutex.lock(20)).rejects.toThrow(MutexTimeoutError);
+    expect(() => mutex.unlock()).toThrow(/held by another process/);
+
+    // Left empty by a process that died while writing it
+    const past = new Date(Date.now() - 5000);
+    fs.utimesSync(lockPath, past, past);
+    const handle = mutex.tryLock();
+    expect(handle).not.toBeNull();
+    handle[dispose]();
+  });
+
+  test('stops refreshing a lock file that was corrupted', async () => {
+    const mutex = createFileMutex(lockPath, { staleMs: 40 });
+    const handle = mutex.lockSync();
+    fs.writeFileSync(lockPath, 'not a lock file');
+    const past = new Date(Date.now() - 1000);
+    fs.utimesSync(lockPath, past, past);
+
+    await sleep(50);
+    expect(fs.statSync(lockPath).mtimeMs).toBeLessThan(Date.now() - 500);
+    expect(handle.isHeld).toThrow(/Invalid lock file/);
+  });
+
+  test('creates lock files on file systems without hard links', () => {
+    jest.spyOn(fs, 'linkSync').mockImplementation(() => {
+      throw Object.assign(new Error('operation not permitted'), { code: 'EPERM' });
+    });
+    const mutex = createFileMutex(lockPath);
+    const other = createFileMutex(lockPath);
+
+    const handle = mutex.tryLock();
+    expect(handle).not.toBeNull();
+    expect(mutex.owner().pid).toBe(process.pid);
+    expect(other.tryLock()).toBeNull();
+    handle[dispose]();
+    expect(fs.readdirSync(dir)).toEqual([]);
+
+    const next = other.lockSync(0);
+    expect(mutex.tryLock()).toBeNull();
+    next[dispose]();
+    expect(mutex.isLocked()).toBe(false);
+  });
+
+  test('takes over the lock file of a dead process', () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    writeLockFile(pid);
+    const mutex = createFileMutex(lockPath);
+
+    expect(mutex.isLocked()).toBe(false);
+    expect(mutex.owner()).toBeNull();
+    const handle = mutex.tryLock();
+    expect(handle).not.toBeNull();
+    expect(mutex.owner().pid).toBe(process.pid);
+    handle[dispose]();
+  });
+
+  test('takes over a lock file not refreshed for staleMs', async () => {
+    writeLockFile(process.ppid);
+    const past = new Date(Date.now() - 1000);
+    fs.utimesSync(lockPath, past, past);
+    const mutex = createFileMutex(lockPath, { staleMs: 100 });
+
+    const handle = mutex.lockSync(0);
+    // The holder keeps refreshing its lock file
+    await sleep(250);
+    expect(createFileMutex(lockPath, { staleMs: 100 }).tryLock()).toBeNull();
+    handle[dispose]();
+  });
+
+  test('ignores stale handles unless strict', () => {
+    const mutex = createFileMutex(lockPath);
+    const handle = mutex.lockSync();
+    mutex.unlock();
+    expect(() => mutex.unlock()).toThrow(/not locked/);
+    const next = mutex.lockSync();
+    handle[dispose]();
+    expect(next.isHeld()).toBe(true);
+    next[dispose]();
+
+    const strict = createFileMutex(lockPath, { strict: true });
+    const stale = strict.lockSync();
+    strict.unlock();
+    expect(() => stale[dispose]()).toThrow(/stale lock handle/);
+  });
+
+  test('validates its arguments', () => {
+    expect(() => createFileMutex('')).toThrow(MutexError);
+    expect(() => createFileMutex(lockPath, { pollMs: 0 })).toThrow(/Poll interval/);
+    expect(() => createFileMutex(lockPath, { staleMs: -1 })).toThrow(/Stale time/);
+
+    fs.writeFileSync(lockPath, 'not a lock file');
+    expect(() => createFileMutex(lockPath).isLocked()).toThrow(/Invalid lock file/);
+  });
+});
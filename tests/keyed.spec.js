@@ -0,0 +1,110 @@
+/* global describe, test, expect */
+/**
+ * Test suite for keyed mutexes: covers key hashing, striping, sharing through the buffer and limits.
+ */
+import { createKeyedMutex, withKeyedMutex, lockAll, dispose, MutexError } from '../src';
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+describe('keyed mutex', () => {
+  describe('createKeyedMutex', () => {
+    test('allocates all stripes in one buffer', () => {
+      const keyed = createKeyedMutex({ stripes: 8 });
+      expect(keyed.stripes()).toBe(8);
+      expect(keyed.buffer.buffer).toBeInstanceOf(SharedArrayBuffer);
+      expect(keyed.mutexFor('user:1').buffer.buffer).toBe(keyed.buffer.buffer);
+      expect(Object.isFrozen(keyed)).toBe(true);
+    });
+
+    test('locks a key until its handle is disposed', async () => {
+      const keyed = createKeyedMutex();
+      const handle = await keyed.lock('user:1');
+      expect(keyed.isLocked('user:1')).toBe(true);
+      expect(keyed.tryLock('user:1')).toBeNull();
+      await expect(keyed.lock('user:1', 10)).rejects.toThrow(/timed out after 10ms/i);
+      handle[dispose]();
+      expect(keyed.isLocked('user:1')).toBe(false);
+
+      keyed.lockSync('user:1', 10)[dispose]();
+    });
+
+    test('maps a key to the same stripe every time', () => {
+      const keyed = createKeyedMutex({ stripes: 16 });
+      expect(keyed.mutexFor('/tmp/a.txt')).toBe(keyed.mutexFor('/tmp/a.txt'));
+      expect(keyed.mutexFor(42)).toBe(keyed.mutexFor('42'));
+    });
+
+    test('spreads keys over the stripes', () => {
+      const keyed = createKeyedMutex({ stripes: 8 });
+      const used = new Set(Array.from({ length: 200 }, (_, i) => keyed.mutexFor(i)));
+      expect(used.size).toBe(8);
+    });
+
+    test('locks keys of different stripes independently', () => {
+      const keyed = createKeyedMutex({ stripes: 64 });
+      const other = Array.from({ length: 100 }, (_, i) => `key:${i}`).find(
+        key => keyed.mutexFor(key) !== keyed.mutexFor('key:a')
+      );
+      const handle = keyed.lockSync('key:a');
+      expect(keyed.isLocked(other)).toBe(false);
+      handle[dispose]();
+    });
+
+    test('guard serialises work on a key', async () => {
+      const keyed = createKeyedMutex();
+      const events = [];
+      await Promise.all(
+        [1, 2].map(id =>
+          keyed.guard('file', async () => {
+            events.push(`start ${id}`);
+            await sleep(5);
+            events.push(`end ${id}`);
+          })
+        )
+      );
+      expect(events).toEqual(['start 1', 'end 1', 'start 2', 'end 2']);
+      expect(keyed.isLocked('file')).toBe(false);
+    });
+
+    test('stripe mutexes work with lockAll', async () => {
+      const keyed = createKeyedMutex({ stripes: 1 });
+      const single = createKeyedMutex({ stripes: 1 });
+      const handle = await lockAll([keyed.mutexFor('a'), single.mutexFor('a')]);
+      expect(keyed.isLocked('b')).toBe(true);
+      handle[dispose]();
+    });
+
+    test('validates options and keys', () => {
+      expect(() => createKeyedMutex({ stripes: 0 })).toThrow(MutexError);
+      expect(() => createKeyedMutex({ stripes: 1.5 })).toThrow(/positive integer/);
+      const keyed = createKeyedMutex();
+      expect(() => keyed.lockSync(null)).toThrow(/Invalid key/);
+      expect(() => keyed.mutexFor(NaN)).toThrow(MutexError);
+      expect(() => keyed.mutexFor({})).toThrow(MutexError);
+    });
+  });
+
+  describe('withKeyedMutex', () => {
+    test('resolves keys to the same locks through the buffer', () => {
+      const keyed = createKeyedMutex({ stripes: 32 });
+      const shared = withKeyedMutex(keyed.buffer);
+      expect(shared.stripes()).toBe(32);
+
+      const handle = keyed.lockSync('user:7');
+      expect(shared.isLocked('user:7')).toBe(true);
+      expect(shared.tryLock('user:7')).toBeNull();
+      handle[dispose]();
+      expect(shared.isLocked('user:7')).toBe(false);
+    });
+
+    test('validates the buffer', () => {
+      expect(() => withKeyedMutex(null)).toThrow(MutexError);
+      expect(() => withKeyedMutex(new Int32Array(new SharedArrayBuffer(4)))).toThrow(
+        /not a keyed mutex/
+      );
+      const truncated = new Int32Array(new SharedArrayBuffer(8));
+      truncated[0] = 4;
+      expect(() => withKeyedMutex(truncated)).toThrow(/length/);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/* global describe, test, expect, jest */
+/**
+ * Test suite for in-process mutexes: covers the fallback without SharedArrayBuffer, queueing,
+ * timeouts, handles and sharing errors.
+ */
+import {
+  createMutex,
+  dispose,
+  lockAll,
+  rapidGuard,
+  rapidGuardAll,
+  MutexAbortError,
+  MutexError,
+  MutexTimeoutError,
+} from '../src';
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+describe('in-process mutex', () => {
+  test('is created with shared: false', async () => {
+    const mutex = createMutex({ shared: false });
+    expect(mutex.shared).toBe(false);
+    expect(Object.isFrozen(mutex)).toBe(true);
+
+    const handle = await mutex.lock();
+    expect(mutex.isLocked()).toBe(true);
+    expect(handle.isHeld()).toBe(true);
+    handle[mutex.dispose]();
+    expect(mutex.isLocked()).toBe(false);
+    expect(createMutex().shared).toBe(true);
+  });
+
+  test('is created by default without SharedArrayBuffer', () => {
+    const { SharedArrayBuffer } = global;
+    delete global.SharedArrayBuffer;
+    try {
+      expect(createMutex().shared).toBe(false);
+      expect(() => createMutex({ shared: true })).toThrow(/SharedArrayBuffer is not available/);
+    } finally {
+      global.SharedArrayBuffer = SharedArrayBuffer;
+    }
+  });
+
+  test('loads the library without SharedArrayBuffer', () => {
+    const { SharedArrayBuffer } = global;
+    delete global.SharedArrayBuffer;
+    try {
+      jest.isolateModules(() => {
+        const library = require('../src');
+        const mutex = library.createMutex();
+        expect(mutex.shared).toBe(false);
+        library.lockAllSync([mutex])[library.dispose]();
+      });
+    } finally {
+      global.SharedArrayBuffer = SharedArrayBuffer;
+    }
+  });
+
+  test('grants the lock to async callers in call order', async () => {
+    const mutex = createMutex({ shared: false });
+    const order = [];
+
+    await Promise.all(
+      [1, 2, 3].map(id =>
+        rapidGuard(mutex, async () => {
+          order.push(id);
+          await sleep(1);
+        })
+      )
+    );
+    expect(order).toEqual([1, 2, 3]);
+    expect(mutex.isLocked()).toBe(false);
+  });
+
+  test('times out and aborts queued acquisitions', async () => {
+    const mutex = createMutex({ shared: false });
+    const handle = mutex.lockSync();
+    const controller = new AbortController();
+
+    await expect(mutex.lock(10)).rejects.toThrow(MutexTimeoutError);
+    await expect(mutex.lock(10)).rejects.toThrow(/timed out after 10ms/);
+    const aborted = mutex.lock({ signal: controller.signal });
+    const last = mutex.lock();
+    controller.abort();
+    await expect(aborted).rejects.toThrow(MutexAbortError);
+
+    handle[dispose]();
+    (await last)[dispose]();
+    expect(mutex.isLocked()).toBe(false);
+  });
+
+  test('lockSync and tryLock do not wait', () => {
+    const mutex = createMutex({ shared: false });
+    const handle = mutex.lockSync();
+    expect(mutex.tryLock()).toBeNull();
+    expect(() => mutex.lockSync()).toThrow(/Cannot wait synchronously/);
+    handle[dispose]();
+
+    const next = mutex.tryLock();
+    expect(next.isHeld()).toBe(true);
+    next[dispose]();
+  });
+
+  test('unlocks directly and ignores stale handles', () => {
+    const mutex = createMutex({ shared: false });
+    const handle = mutex.lockSync();
+    mutex.unlock();
+    expect(handle.isHeld()).toBe(false);
+    expect(() => mutex.unlock()).toThrow(/not locked/);
+
+    const next = mutex.lockSync();
+    handle[dispose]();
+    expect(next.isHeld()).toBe(true);
+    next[dispose]();
+
+    const strict = createMutex({ shared: false, strict: true });
+    const stale = strict.lockSync();
+    strict.unlock();
+    expect(() => stale[dispose]()).toThrow(/stale lock handle/);
+  });
+
+  test('works with lockAll', async () => {
+    const a = createMutex({ shared: false });
+    const b = createMutex({ shared: false });
+    let runs = 0;
+
+    await Promise.all(
+      Array.from({ length: 10 }, (_, i) =>
+        rapidGuardAll(i % 2 ? [a, b] : [b, a], async () => {
+          await sleep(1);
+          runs++;
+        })
+      )
+    );
+    expect(runs).toBe(10);
+    await expect(lockAll([a, a])).rejects.toThrow(/twice/);
+  });
+
+  test('cannot be shared with workers', () => {
+    const mutex = createMutex({ shared: false });
+    expect(() => mutex.buffer).toThrow(MutexError);
+    expect(() => mutex.buffer).toThrow(/Cannot share an in-process mutex/);
+  });
+
+  test('rejects options requiring shared memory', () => {
+    expect(() => createMutex({ shared: false, robust: true })).toThrow(/robust/);
+    expect(() => createMutex({ shared: false, stats: true })).toThrow(/stats/);
+    expect(() => createMutex({ shared: false, name: 'accounts' })).toThrow(/name/);
+  });
+});
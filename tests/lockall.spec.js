@@ -0,0 +1,165 @@
+/* global describe, test, expect, jest */
+/**
+ * Test suite for multi-mutex acquisition: covers lockAll, lockAllSync, back-off and rollback.
+ */
+import {
+  createMutex,
+  createRecursiveMutex,
+  lockAll,
+  lockAllSync,
+  rapidGuardAll,
+  dispose,
+  MutexError,
+  MutexAbortError,
+  MutexTimeoutError,
+} from '../src';
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+describe('lockAll', () => {
+  test('acquires every mutex and releases them with one handle', async () => {
+    const mutexes = [createMutex(), createMutex({ fair: true }), createRecursiveMutex()];
+    const handle = await lockAll(mutexes);
+
+    expect(mutexes.every(mutex => mutex.isLocked())).toBe(true);
+    expect(handle.handles).toHaveLength(3);
+    expect(handle.isHeld()).toBe(true);
+
+    handle[dispose]();
+    handle[dispose]();
+    expect(mutexes.some(mutex => mutex.isLocked())).toBe(false);
+    expect(handle.isHeld()).toBe(false);
+  });
+
+  test('holds none of the mutexes while waiting for a busy one', async () => {
+    const first = createMutex();
+    const second = createMutex();
+    const held = second.lockSync();
+
+    let acquired = false;
+    const pending = lockAll([first, second]).then(handle => {
+      acquired = true;
+      return handle;
+    });
+    await sleep(20);
+    expect(acquired).toBe(false);
+    expect(first.isLocked()).toBe(false);
+
+    held[dispose]();
+    const handle = await pending;
+    expect(first.isLocked() && second.isLocked()).toBe(true);
+    handle[dispose]();
+  });
+
+  test('releases the mutex it waited for when an earlier one is busy', async () => {
+    const first = createMutex();
+    const second = createMutex();
+    const heldSecond = second.lockSync();
+
+    const pending = lockAll([first, second], 1000);
+    await sleep(20);
+    const heldFirst = first.lockSync();
+    heldSecond[dispose]();
+    await sleep(20);
+    expect(second.isLocked()).toBe(false);
+
+    heldFirst[dispose]();
+    const handle = await pending;
+    expect(first.isLocked() && second.isLocked()).toBe(true);
+    handle[dispose]();
+  });
+
+  test('does not deadlock when acquired in opposite orders', async () => {
+    const a = createMutex();
+    const b = createMutex();
+    let runs = 0;
+
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        rapidGuardAll(i % 2 ? [a, b] : [b, a], async () => {
+          await sleep(1);
+          runs++;
+        })
+      )
+    );
+    expect(runs).toBe(20);
+    expect(a.isLocked() || b.isLocked()).toBe(false);
+  });
+
+  test('backs off for longer and longer between busy rounds', async () => {
+    let refusals = 8;
+    const flaky = mutex => ({
+      ...mutex,
+      tryLock: options => (refusals-- > 0 ? null : mutex.tryLock(options)),
+    });
+    const random = jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    const timeouts = jest.spyOn(global, 'setTimeout');
+
+    let delays;
+    try {
+      const handle = await lockAll([flaky(createMutex()), flaky(createMutex())]);
+      handle[dispose]();
+      delays = timeouts.mock.calls.map(([, delay]) => delay);
+    } finally {
+      random.mockRestore();
+      timeouts.mockRestore();
+    }
+    expect(delays).toEqual([0.5, 1, 2, 4, 8, 16, 32, 32]);
+  });
+
+  test('rolls back on timeout', async () => {
+    const first = createMutex();
+    const second = createMutex();
+    const held = second.lockSync();
+
+    await expect(lockAll([first, second], 20)).rejects.toThrow(MutexTimeoutError);
+    await expect(lockAll([first, second], 20)).rejects.toThrow(
+      'Mutex lock acquisition timed out after 20ms'
+    );
+    expect(() => lockAllSync([first, second], 20)).toThrow(
+      'Mutex lock acquisition timed out after 20ms'
+    );
+    expect(first.isLocked()).toBe(false);
+    held[dispose]();
+  });
+
+  test('rolls back on abort', async () => {
+    const first = createMutex();
+    const second = createMutex();
+    const held = second.lockSync();
+    const controller = new AbortController();
+
+    const pending = lockAll([first, second], { signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toThrow(MutexAbortError);
+    expect(first.isLocked()).toBe(false);
+    held[dispose]();
+  });
+
+  test('lockAllSync acquires every mutex', () => {
+    const mutexes = [createMutex(), createMutex({ robust: true, leaseMs: 1000 })];
+    const handle = lockAllSync(mutexes, 100);
+    expect(mutexes.every(mutex => mutex.isLocked())).toBe(true);
+    handle[dispose]();
+    expect(mutexes.some(mutex => mutex.isLocked())).toBe(false);
+  });
+
+  test('validates the mutexes', async () => {
+    const mutex = createMutex();
+    await expect(lockAll(null)).rejects.toThrow(MutexError);
+    await expect(lockAll([mutex, {}])).rejects.toThrow(/tryLock/);
+    expect(() => lockAllSync([mutex, mutex])).toThrow(/twice/);
+    expect(lockAllSync([]).handles).toEqual([]);
+  });
+
+  test('rapidGuardAll releases the mutexes when the function throws', async () => {
+    const mutexes = [createMutex(), createMutex()];
+    await expect(
+      rapidGuardAll(mutexes, () => {
+        throw new Error('boom');
+      })
+    ).rejects.toThrow('boom');
+    expect(mutexes.some(mutex => mutex.isLocked())).toBe(false);
+    await expect(rapidGuardAll(mutexes, null)).rejects.toThrow(MutexError);
+  });
+});
@@ -0,0 +1,205 @@
+/* global describe, test, expect, beforeEach, afterEach */
+/**
+ * Test suite for lock order validation: covers levels, observed orders, acquisition sites and
+ * guarded sections.
+ */
+import {
+  createMutex,
+  withMutex,
+  rapidGuard,
+  rapidGuardAll,
+  setLockOrderChecks,
+  MutexError,
+} from '../src';
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+describe('lock order checks', () => {
+  beforeEach(() => setLockOrderChecks(true));
+  afterEach(() => setLockOrderChecks(false));
+
+  describe('levels', () => {
+    test('allows acquisitions in increasing level order', async () => {
+      const outer = createMutex({ name: 'outer', level: 1 });
+      const inner = createMutex({ name: 'inner', level: 2 });
+      await expect(rapidGuard(outer, () => rapidGuard(inner, () => 'ok'))).resolves.toBe('ok');
+    });
+
+    test('rejects acquisitions out of level order', async () => {
+      const outer = createMutex({ name: 'outer', level: 1 });
+      const inner = createMutex({ name: 'inner', level: 2 });
+
+      const handle = await inner.lock();
+      await expect(outer.lock()).rejects.toThrow(
+        /acquiring "outer" \(level 1\) while holding "inner" \(level 2\)/
+      );
+      expect(() => outer.lockSync()).toThrow(MutexError);
+      expect(outer.isLocked()).toBe(false);
+      handle[inner.dispose]();
+
+      expect(() => outer.lockSync()[outer.dispose]()).not.toThrow();
+    });
+
+    test('allows tryLock out of order, as it does not wait', () => {
+      const outer = createMutex({ name: 'outer', level: 1 });
+      const inner = createMutex({ name: 'inner', level: 2 });
+
+      const handle = inner.lockSync();
+      const tried = outer.tryLock();
+      expect(tried.isHeld()).toBe(true);
+      tried[outer.dispose]();
+      handle[inner.dispose]();
+
+      // Nor does it establish an order between named mutexes
+      const a = createMutex({ name: 'a' });
+      const b = createMutex({ name: 'b' });
+      const heldB = b.lockSync();
+      a.tryLock()[a.dispose]();
+      heldB[b.dispose]();
+
+      const heldA = a.lockSync();
+      expect(() => b.lockSync()[b.dispose]()).not.toThrow();
+      heldA[a.dispose]();
+    });
+
+    test('rejects acquisitions at the same level', () => {
+      const a = createMutex({ level: 3 });
+      const b = createMutex({ level: 3 });
+      const handle = a.lockSync();
+      expect(() => b.lockSync()).toThrow(/mutex of level 3/);
+      handle[a.dispose]();
+    });
+
+    test('reports both acquisition sites', () => {
+      const outer = createMutex({ name: 'outer', level: 1 });
+      const inner = createMutex({ name: 'inner', level: 2 });
+      const handle = inner.lockSync();
+
+      let error;
+      try {
+        outer.lockSync();
+      } catch (e) {
+        error = e;
+      }
+      const sites = error.message.split('\n').slice(1);
+      expect(sites).toHaveLength(2);
+      sites.forEach(site => expect(site).toMatch(/lockorder\.spec\.js:\d+/));
+      handle[inner.dispose]();
+    });
+  });
+
+  describe('observed order', () => {
+    test('rejects an order contradicting one observed before', async () => {
+      const accounts = createMutex({ name: 'accounts' });
+      const ledger = createMutex({ name: 'ledger' });
+
+      await rapidGuard(accounts, () => rapidGuard(ledger, () => {}));
+
+      const error = await rapidGuard(ledger, () => rapidGuard(accounts, () => {})).catch(e => e);
+      expect(error).toBeInstanceOf(MutexError);
+      expect(error.message).toMatch(
+        /acquiring "accounts" while holding "ledger", but "accounts" was previously acquired before "ledger"/
+      );
+      expect(error.message).toMatch(/previously "ledger" acquired .*\n\s+while holding "accounts"/);
+      error.message
+        .split('\n')
+        .slice(1)
+        .filter(line => / acquired /.test(line))
+        .forEach(line => expect(line).toMatch(/lockorder\.spec\.js:\d+/));
+      expect(ledger.isLocked()).toBe(false);
+      expect(accounts.isLocked()).toBe(false);
+    });
+
+    test('follows chains of observed orders', () => {
+      const [a, b, c] = ['a', 'b', 'c'].map(name => createMutex({ name }));
+      const lockBoth = (first, second) => {
+        const outer = first.lockSync();
+        try {
+          second.lockSync()[second.dispose]();
+        } finally {
+          outer[first.dispose]();
+        }
+      };
+
+      lockBoth(a, b);
+      lockBoth(b, c);
+      expect(() => lockBoth(c, a)).toThrow(/"a" was previously acquired before "c"/);
+    });
+
+    test('identifies mutexes by name across mutex objects', () => {
+      const first = createMutex({ name: 'first' });
+      const second = createMutex({ name: 'second' });
+      const firstAgain = withMutex(first.buffer, { name: 'first' });
+
+      const outer = firstAgain.lockSync();
+      second.lockSync()[second.dispose]();
+      outer[first.dispose]();
+
+      const handle = second.lockSync();
+      expect(() => first.lockSync()).toThrow(/lock order violation/i);
+      handle[second.dispose]();
+    });
+
+    test('forgets locks released with unlock()', () => {
+      const a = createMutex({ name: 'a' });
+      const b = createMutex({ name: 'b' });
+      a.lockSync();
+      a.unlock();
+      b.lockSync();
+      expect(() => a.lockSync()[a.dispose]()).not.toThrow();
+      b.unlock();
+    });
+  });
+
+  describe('guarded sections', () => {
+    test('tells concurrent sections apart', async () => {
+      const outer = createMutex({ name: 'outer', level: 1 });
+      const inner = createMutex({ name: 'inner', level: 2 });
+
+      const results = await Promise.all([
+        rapidGuard(inner, () => sleep(20).then(() => 'inner')),
+        sleep(5).then(() => rapidGuard(outer, () => 'outer')),
+        sleep(5).then(() => rapidGuardAll([outer], () => 'all')),
+      ]);
+      expect(results).toEqual(['inner', 'outer', 'all']);
+    });
+
+    test('see the locks of their enclosing sections', async () => {
+      const outer = createMutex({ name: 'outer', level: 1 });
+      const inner = createMutex({ name: 'inner', level: 2 });
+
+      await expect(
+        rapidGuard(inner, () => sleep(5).then(() => rapidGuard(outer, () => 'nested')))
+      ).rejects.toThrow(/acquiring "outer" \(level 1\) while holding "inner" \(level 2\)/);
+      expect(inner.isLocked()).toBe(false);
+      await expect(rapidGuard(outer, () => 'free')).resolves.toBe('free');
+    });
+  });
+
+  test('identifies a lock by its slots across views of its memory', async () => {
+    const mutex = createMutex({ level: 1 });
+    const view = withMutex(new Int32Array(mutex.buffer.buffer), { level: 1 });
+
+    const handle = await mutex.lock();
+    const waiting = view.lock();
+    handle[mutex.dispose]();
+    const next = await waiting;
+    next[view.dispose]();
+    expect(mutex.isLocked()).toBe(false);
+  });
+
+  test('does nothing while disabled', () => {
+    setLockOrderChecks(false);
+    const outer = createMutex({ name: 'outer', level: 1 });
+    const inner = createMutex({ name: 'inner', level: 2 });
+    const handle = inner.lockSync();
+    expect(() => outer.lockSync()[outer.dispose]()).not.toThrow();
+    handle[inner.dispose]();
+  });
+
+  test('validates names and levels', () => {
+    expect(() => createMutex({ name: '' })).toThrow(/invalid name/i);
+    expect(() => createMutex({ level: -1 })).toThrow(/invalid level/i);
+    expect(() => withMutex(createMutex().buffer, { level: 1.5 })).toThrow(MutexError);
+  });
+});
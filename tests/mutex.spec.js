@@ -1,8 +1,21 @@
-/* global describe, test, expect */
+/* global describe, test, expect, jest */
 /**
  * Test suite for rapid-mutex: covers creation, locking, contention, error handling, and edge cases.
  */
-import { createMutex, withMutex, LockStatus, MutexError, rapidGuard } from '../src';
+import { threadId } from 'worker_threads';
+import {
+  createMutex,
+  withMutex,
+  createRecursiveMutex,
+  withRecursiveMutex,
+  LockStatus,
+  MutexError,
+  MutexAbortError,
+  MutexLeaseError,
+  MutexTimeoutError,
+  rapidGuard,
+} from '../src';
+import { startWorker, nextMessage, exited, until } from './workers/threads';
 
 describe('rapid-mutex', () => {
   describe('createMutex', () => {
@@ -54,7 +67,7 @@ describe('rapid-mutex', () => {
     });
 
     test('creates a mutex from an Int32Array', () => {
-      const buffer = new Int32Array(new SharedArrayBuffer(4));
+      const buffer = new Int32Array(new SharedArrayBuffer(20));
       const mutex = withMutex(buffer);
       expect(mutex.isLocked()).toBe(false);
     });
@@ -72,6 +85,35 @@ describe('rapid-mutex', () => {
       expect(() => withMutex(regularArray)).toThrow(/SharedArrayBuffer/i);
     });
 
+    test('binds a mutex at a slot index of a larger buffer', () => {
+      const shared = new Int32Array(new SharedArrayBuffer(16 * 4));
+      const first = withMutex(shared, { index: 2 });
+      const second = withMutex(shared, { index: 8 });
+
+      const handle = first.lockSync();
+      expect(withMutex(shared, { index: 2 }).isLocked()).toBe(true);
+      expect(second.isLocked()).toBe(false);
+      expect(shared[2]).toBe(LockStatus.Locked);
+      expect(first.buffer.byteOffset).toBe(8);
+      handle[first.dispose]();
+      expect(shared[2]).toBe(LockStatus.Unlocked);
+
+      expect(() => withMutex(shared, { index: 12 })).toThrow(/length/);
+      expect(() => withMutex(shared, { index: 16 })).toThrow(/Invalid index/);
+      expect(() => withMutex(shared, { index: -1 })).toThrow(MutexError);
+      expect(() => withMutex(shared, { index: 1.5 })).toThrow(MutexError);
+    });
+
+    test('binds a recursive mutex at a slot index', () => {
+      const shared = new Int32Array(new SharedArrayBuffer(10 * 4));
+      const mutex = withRecursiveMutex(shared, { index: 4 });
+      const outer = mutex.lockSync();
+      const inner = mutex.lockSync();
+      inner[mutex.dispose]();
+      outer[mutex.dispose]();
+      expect(shared[4]).toBe(LockStatus.Unlocked);
+    });
+
     test('string identifiers create unique buffers', () => {
       const mutex1 = withMutex('same-name');
       const mutex2 = withMutex('same-name');
@@ -198,6 +240,27 @@ describe('rapid-mutex', () => {
       expect(results).toHaveLength(3);
       expect(results).toEqual(expect.arrayContaining([1, 2, 3]));
     });
+
+    test('tryLock takes a free lock and returns null on a held one', () => {
+      for (const options of [{}, { fair: true }, { robust: true, leaseMs: 1000 }]) {
+        const mutex = createMutex(options);
+        const handle = mutex.tryLock();
+        expect(handle.isHeld()).toBe(true);
+        expect(mutex.tryLock()).toBeNull();
+        handle[mutex.dispose]();
+        expect(mutex.isLocked()).toBe(false);
+      }
+    });
+
+    test('tryLock does not jump the queue of a fair mutex', async () => {
+      const mutex = createMutex({ fair: true });
+      const handle = mutex.lockSync();
+      const waiting = mutex.lock();
+      handle[mutex.dispose]();
+      expect(mutex.tryLock()).toBeNull();
+      (await waiting)[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
   });
 
   describe('timeout validation', () => {
@@ -231,6 +294,919 @@ describe('rapid-mutex', () => {
     });
   });
 
+  describe('abort and deadlines', () => {
+    test('accepts an options object', async () => {
+      const mutex = createMutex();
+      const handle = await mutex.lock({ timeoutMs: 100 });
+      expect(mutex.isLocked()).toBe(true);
+      await expect(mutex.lock({ timeoutMs: 10 })).rejects.toThrow(/timed out after 10ms/i);
+      expect(() => mutex.lockSync({ timeoutMs: 10 })).toThrow(/timed out after 10ms/i);
+      handle[mutex.dispose]();
+    });
+
+    test('rejects promptly when the signal is aborted', async () => {
+      const mutex = createMutex();
+      const handle = await mutex.lock();
+      const controller = new AbortController();
+      const pending = mutex.lock({ signal: controller.signal });
+
+      setTimeout(() => controller.abort('shutdown'), 10);
+      const error = await pending.catch(e => e);
+      expect(error).toBeInstanceOf(MutexAbortError);
+      expect(error).toBeInstanceOf(MutexError);
+      expect(error.name).toBe('RapidMutexAbortError');
+      expect(error.reason).toBe('shutdown');
+      expect(error.message).toMatch(/aborted/i);
+
+      // The aborted waiter must not take the lock later on
+      handle[mutex.dispose]();
+      await new Promise(res => setTimeout(res, 10));
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('rejects immediately with an already aborted signal', async () => {
+      const mutex = createMutex();
+      const controller = new AbortController();
+      controller.abort();
+      await expect(mutex.lock({ signal: controller.signal })).rejects.toThrow(MutexAbortError);
+      expect(() => mutex.lockSync({ signal: controller.signal })).toThrow(MutexAbortError);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('honours absolute deadlines', async () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      const start = performance.now();
+      await expect(mutex.lock({ deadline: start + 20 })).rejects.toThrow(/deadline exceeded/i);
+      expect(performance.now() - start).toBeGreaterThanOrEqual(19);
+      expect(() => mutex.lockSync({ deadline: performance.now() - 1 })).toThrow(/deadline/i);
+      handle[mutex.dispose]();
+    });
+
+    test('uses the earliest of deadline and timeout', async () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      const start = performance.now();
+      await expect(
+        mutex.lock({ timeoutMs: 10, deadline: performance.now() + 10000 })
+      ).rejects.toThrow(/timed out after 10ms/i);
+      expect(performance.now() - start).toBeLessThan(1000);
+      handle[mutex.dispose]();
+    });
+
+    test('validates options', async () => {
+      const mutex = createMutex();
+      await expect(mutex.lock({ timeoutMs: -1 })).rejects.toThrow(MutexError);
+      await expect(mutex.lock({ deadline: 'soon' })).rejects.toThrow(/deadline/i);
+      await expect(mutex.lock({ signal: {} })).rejects.toThrow(/AbortSignal/i);
+    });
+
+    test('rapidGuard forwards options', async () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      const controller = new AbortController();
+      const guarded = rapidGuard(mutex, () => 'never', { signal: controller.signal });
+      controller.abort();
+      await expect(guarded).rejects.toThrow(MutexAbortError);
+      handle[mutex.dispose]();
+      await expect(rapidGuard(mutex, () => 'ok', { timeoutMs: 10 })).resolves.toBe('ok');
+    });
+  });
+
+  describe('acquisition strategy', () => {
+    test('does not notify on uncontended releases', () => {
+      const notify = jest.spyOn(Atomics, 'notify');
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      expect(mutex.buffer[0]).toBe(LockStatus.Locked);
+      handle[mutex.dispose]();
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    test('marks the lock contended while a waiter is parked', async () => {
+      const notify = jest.spyOn(Atomics, 'notify');
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+
+      const waiting = mutex.lock();
+      await new Promise(res => setTimeout(res, 10));
+      expect(mutex.buffer[0]).toBe(LockStatus.Contended);
+      expect(mutex.isLocked()).toBe(true);
+
+      handle[mutex.dispose]();
+      expect(notify).toHaveBeenCalledTimes(1);
+      const next = await waiting;
+      expect(next.isHeld()).toBe(true);
+      next[mutex.dispose]();
+      expect(mutex.buffer[0]).toBe(LockStatus.Unlocked);
+    });
+
+    test('wakes up one waiter per release, which keeps the lock contended', async () => {
+      const notify = jest.spyOn(Atomics, 'notify');
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+
+      // Each mutex object parks its own waiter
+      const acquired = [];
+      const waiting = [withMutex(mutex.buffer), withMutex(mutex.buffer)].map((other, i) =>
+        other.lock().then(next => {
+          acquired.push(i);
+          return next;
+        })
+      );
+      await new Promise(res => setTimeout(res, 10));
+
+      handle[mutex.dispose]();
+      expect(notify).toHaveBeenLastCalledWith(mutex.buffer, 0, 1);
+      await new Promise(res => setTimeout(res, 10));
+      expect(acquired).toHaveLength(1);
+      expect(mutex.buffer[0]).toBe(LockStatus.Contended);
+
+      (await waiting[acquired[0]])[mutex.dispose]();
+      (await waiting[1 - acquired[0]])[mutex.dispose]();
+      expect(mutex.buffer[0]).toBe(LockStatus.Unlocked);
+    });
+
+    test('aborted waiters do not swallow the wake-up of the others', async () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      const controller = new AbortController();
+
+      const aborted = withMutex(mutex.buffer).lock({ signal: controller.signal });
+      await new Promise(res => setTimeout(res, 5));
+      const waiting = withMutex(mutex.buffer).lock();
+      await new Promise(res => setTimeout(res, 5));
+      controller.abort();
+      await expect(aborted).rejects.toThrow(MutexAbortError);
+
+      handle[mutex.dispose]();
+      const next = await Promise.race([waiting, new Promise(res => setTimeout(res, 200))]);
+      expect(next && next.isHeld()).toBe(true);
+      next[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('hands the lock to every waiting worker, one wake-up at a time', async () => {
+      const mutex = createMutex();
+      const log = new Int32Array(new SharedArrayBuffer(4 * 4));
+      const handle = mutex.lockSync();
+
+      const workers = [1, 2, 3].map(id => startWorker('lock', { mutex: mutex.buffer, log, id }));
+      await until(() => mutex.buffer[0] === LockStatus.Contended);
+      handle[mutex.dispose]();
+
+      expect(await Promise.all(workers.map(exited))).toEqual([0, 0, 0]);
+      expect(Array.from(log.subarray(1)).sort()).toEqual([1, 2, 3]);
+      expect(mutex.isLocked()).toBe(false);
+    }, 20000);
+
+    test('parks a single waiter per mutex object and serves the others in order', async () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      const wait = jest.spyOn(Atomics, 'waitAsync');
+
+      const order = [];
+      const waitFor = id =>
+        mutex.lock().then(next => {
+          order.push(id);
+          next[mutex.dispose]();
+        });
+      const waiters = [waitFor(1)];
+      await new Promise(res => setTimeout(res, 10));
+      const parked = wait.mock.calls.length;
+      expect(parked).toBeGreaterThan(0);
+
+      waiters.push(waitFor(2), waitFor(3));
+      await new Promise(res => setTimeout(res, 10));
+      expect(wait).toHaveBeenCalledTimes(parked);
+
+      handle[mutex.dispose]();
+      await Promise.all(waiters);
+      expect(order).toEqual([1, 2, 3]);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('queued waiters time out and abort without blocking the queue', async () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      const controller = new AbortController();
+
+      const leader = mutex.lock();
+      const timedOut = mutex.lock(10);
+      const aborted = mutex.lock({ signal: controller.signal });
+      const last = mutex.lock();
+      controller.abort();
+
+      await expect(aborted).rejects.toThrow(MutexAbortError);
+      await expect(timedOut).rejects.toThrow(/timed out after 10ms/);
+      handle[mutex.dispose]();
+      (await leader)[mutex.dispose]();
+      (await last)[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('recovers from a waiter giving up on a contended lock', () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      expect(() => mutex.lockSync(5)).toThrow(MutexTimeoutError);
+      expect(mutex.buffer[0]).toBe(LockStatus.Contended);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+      mutex.lockSync(0)[mutex.dispose]();
+    });
+
+    test('spins before parking', async () => {
+      const mutex = createMutex({ spin: { spins: 20, maxBackoff: 8 } });
+      const tries = jest.spyOn(Atomics, 'compareExchange');
+      const handle = await mutex.lock();
+      handle[mutex.dispose]();
+
+      tries.mockClear();
+      const held = mutex.lockSync();
+      expect(() => mutex.lockSync(0)).toThrow(/timed out/i);
+      // 1 + 20 spinning tries, then the parking attempt and its contended mark
+      expect(tries.mock.calls.length).toBeGreaterThanOrEqual(21);
+      held[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('spinning mutexes share the lock with other mutex objects', async () => {
+      const mutex = createMutex();
+      const spinning = withMutex(mutex.buffer, { spin: { spins: 10 } });
+      const handle = mutex.lockSync();
+
+      const waiting = spinning.lock();
+      handle[mutex.dispose]();
+      (await waiting)[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('spinning callers do not overtake queued waiters', async () => {
+      const mutex = createMutex({ spin: { spins: 1000 } });
+      const handle = mutex.lockSync();
+
+      const order = [];
+      const waitFor = id =>
+        mutex.lock().then(next => {
+          order.push(id);
+          next[mutex.dispose]();
+        });
+      const waiters = [waitFor(1), waitFor(2)];
+      await new Promise(res => setTimeout(res, 10));
+
+      handle[mutex.dispose]();
+      // Called while the lock is free, before the woken leader takes it
+      waiters.push(waitFor(3));
+      await Promise.all(waiters);
+      expect(order).toEqual([1, 2, 3]);
+    });
+
+    test('hands the lock over to the next local waiter without parking it', async () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      const wait = jest.spyOn(Atomics, 'waitAsync');
+
+      const order = [];
+      const waiters = [1, 2, 3].map(id =>
+        mutex.lock().then(async next => {
+          order.push(id);
+          await new Promise(res => setTimeout(res, 5));
+          next[mutex.dispose]();
+        })
+      );
+      await new Promise(res => setTimeout(res, 10));
+      const parked = wait.mock.calls.length;
+
+      handle[mutex.dispose]();
+      await Promise.all(waiters);
+      expect(order).toEqual([1, 2, 3]);
+      expect(wait).toHaveBeenCalledTimes(parked);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('hands the lock over after a release without its handle', async () => {
+      const mutex = createMutex();
+      const handle = await mutex.lock();
+      const next = mutex.lock();
+      mutex.unlock();
+
+      const nextHandle = await next;
+      expect(nextHandle.isHeld()).toBe(true);
+      nextHandle[mutex.dispose]();
+      // Its handle was not used, but no longer holds the lock
+      handle[mutex.dispose]();
+      (await mutex.lock(0))[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('queued waiters keep timeouts beyond the longest timer delay', async () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+
+      const leader = mutex.lock();
+      let settled = false;
+      const queued = mutex.lock(2 ** 32).finally(() => {
+        settled = true;
+      });
+      await new Promise(res => setTimeout(res, 10));
+      expect(settled).toBe(false);
+
+      handle[mutex.dispose]();
+      (await leader)[mutex.dispose]();
+      (await queued)[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('queued waiters do not time out when their timer fires early', async () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      const leader = mutex.lock();
+      // Timers may fire before their delay passed, as measured by performance.now()
+      const setTimer = global.setTimeout;
+      jest.spyOn(global, 'setTimeout').mockImplementationOnce(fn => setTimer(fn, 0));
+
+      let settled = false;
+      const queued = mutex.lock(1000).finally(() => {
+        settled = true;
+      });
+      await new Promise(res => setTimer(res, 10));
+      jest.restoreAllMocks();
+      expect(settled).toBe(false);
+
+      handle[mutex.dispose]();
+      (await leader)[mutex.dispose]();
+      (await queued)[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('does not spin for an aborted acquisition', async () => {
+      const mutex = createMutex({ spin: { spins: 10 } });
+      const controller = new AbortController();
+      controller.abort();
+      await expect(mutex.lock({ signal: controller.signal })).rejects.toThrow(MutexAbortError);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('validates the strategy', () => {
+      expect(() => createMutex({ spin: 10 })).toThrow(/Invalid spin/);
+      expect(() => createMutex({ spin: { spins: -1 } })).toThrow(/spins/);
+      expect(() => withMutex(createMutex().buffer, { spin: { maxBackoff: 0 } })).toThrow(
+        /maxBackoff/
+      );
+    });
+  });
+
+  describe('fair mode', () => {
+    test('creates a fair mutex', () => {
+      const mutex = createMutex({ fair: true });
+      expect(mutex.isFair()).toBe(true);
+      expect(createMutex().isFair()).toBe(false);
+      const handle = mutex.lockSync();
+      expect(mutex.isLocked()).toBe(true);
+      expect(() => mutex.lockSync(10)).toThrow(/timed out after 10ms/i);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('grants the lock in arrival order', async () => {
+      const mutex = createMutex({ fair: true });
+      const order = [];
+      const handle = await mutex.lock();
+
+      const waiters = [1, 2, 3, 4, 5].map(id =>
+        mutex.lock().then(h => {
+          order.push(id);
+          h[mutex.dispose]();
+        })
+      );
+
+      await new Promise(res => setTimeout(res, 10));
+      handle[mutex.dispose]();
+      await Promise.all(waiters);
+      expect(order).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('grants the lock in ticket order across threads', async () => {
+      const mutex = createMutex({ fair: true });
+      const log = new Int32Array(new SharedArrayBuffer(4 * 4));
+      const handle = mutex.lockSync();
+
+      const workers = [];
+      for (const id of [1, 2, 3]) {
+        workers.push(startWorker('lock', { mutex: mutex.buffer, log, id }));
+        // Wait for the worker to take its ticket (NextTicket slot) before starting the next one
+        await until(() => Atomics.load(mutex.buffer, 5) === id + 1);
+      }
+      handle[mutex.dispose]();
+
+      expect(await Promise.all(workers.map(exited))).toEqual([0, 0, 0]);
+      expect(Array.from(log)).toEqual([3, 1, 2, 3]);
+      expect(mutex.isLocked()).toBe(false);
+    }, 20000);
+
+    test('timed out waiters do not wedge the queue', async () => {
+      const mutex = createMutex({ fair: true });
+      const handle = await mutex.lock();
+
+      const first = mutex.lock(10);
+      const second = mutex.lock();
+      await expect(first).rejects.toThrow(/timed out after 10ms/i);
+      expect(() => mutex.lockSync(0)).toThrow(MutexError);
+
+      handle[mutex.dispose]();
+      const secondHandle = await second;
+      expect(mutex.isLocked()).toBe(true);
+      secondHandle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('aborted waiters are skipped', async () => {
+      const mutex = createMutex({ fair: true });
+      const order = [];
+      const handle = await mutex.lock();
+      const controller = new AbortController();
+
+      const a = mutex.lock().then(h => {
+        order.push('a');
+        h[mutex.dispose]();
+      });
+      const b = mutex.lock({ signal: controller.signal }).catch(() => order.push('b-aborted'));
+      const c = mutex.lock().then(h => {
+        order.push('c');
+        h[mutex.dispose]();
+      });
+
+      controller.abort();
+      await b;
+      handle[mutex.dispose]();
+      await Promise.all([a, c]);
+      expect(order).toEqual(['b-aborted', 'a', 'c']);
+    });
+
+    test('serves more waiters than the queue holds', async () => {
+      const mutex = createMutex({ fair: true });
+      let counter = 0;
+      await Promise.all(
+        Array.from({ length: 150 }, () =>
+          rapidGuard(mutex, () => {
+            counter++;
+          })
+        )
+      );
+      expect(counter).toBe(150);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('survives repeated timeouts racing with releases', async () => {
+      const mutex = createMutex({ fair: true });
+      for (let i = 0; i < 20; i++) {
+        const handle = await mutex.lock();
+        const waiter = mutex.lock(1).then(
+          h => h[mutex.dispose](),
+          () => {}
+        );
+        setTimeout(() => handle[mutex.dispose](), 1);
+        await waiter;
+      }
+      const handle = await mutex.lock(100);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('withMutex restores fairness from the buffer', () => {
+      const mutex = createMutex({ fair: true });
+      const shared = withMutex(mutex.buffer);
+      expect(shared.isFair()).toBe(true);
+      const handle = shared.lockSync();
+      expect(mutex.isLocked()).toBe(true);
+      handle[mutex.dispose]();
+
+      const truncated = new Int32Array(mutex.buffer.buffer, 0, 6);
+      expect(() => withMutex(truncated)).toThrow(/length >= \d+/i);
+    });
+  });
+
+  describe('robust mode', () => {
+    // Leaves the lock held by a thread that never heartbeats, as if it had been terminated
+    const abandon = mutex => {
+      mutex.buffer[0] = LockStatus.Locked;
+      mutex.buffer[1] = 999;
+      mutex.buffer[2] = ++mutex.buffer[3];
+    };
+
+    test('creates a robust mutex', () => {
+      const mutex = createMutex({ robust: true, leaseMs: 1000 });
+      expect(mutex.isRobust()).toBe(true);
+      expect(createMutex().isRobust()).toBe(false);
+      const handle = mutex.lockSync();
+      expect(handle.ownerDied).toBe(false);
+      expect(() => mutex.lockSync(10)).toThrow(/timed out after 10ms/i);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('validates options', () => {
+      expect(() => createMutex({ fair: true, robust: true })).toThrow(/fair and robust/i);
+      expect(() => createMutex({ robust: true, leaseMs: 0 })).toThrow(MutexError);
+      expect(() => createMutex({ robust: true, leaseMs: 1.5 })).toThrow(MutexError);
+      expect(() => createMutex({ robust: true })).toThrow(/requires leaseMs/);
+    });
+
+    test('takes over a lock whose holder died', async () => {
+      const mutex = createMutex({ robust: true, leaseMs: 20 });
+      abandon(mutex);
+
+      const handle = await mutex.lock(1000);
+      expect(handle.ownerDied).toBe(true);
+      expect(mutex.owner().threadId).toBe(threadId);
+      mutex.markConsistent();
+      handle[mutex.dispose]();
+
+      const next = mutex.lockSync(0);
+      expect(next.ownerDied).toBe(false);
+      next[mutex.dispose]();
+    });
+
+    test('takes over synchronously', () => {
+      const mutex = createMutex({ robust: true, leaseMs: 20 });
+      abandon(mutex);
+
+      const handle = mutex.lockSync(1000);
+      expect(handle.ownerDied).toBe(true);
+      mutex.markConsistent();
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('recovers the lock of a terminated worker', async () => {
+      const mutex = createMutex({ robust: true, leaseMs: 100 });
+      const worker = startWorker('hold', { mutex: mutex.buffer });
+      await nextMessage(worker);
+
+      // The heartbeat of the live holder runs on its own thread
+      await expect(mutex.lock(300)).rejects.toThrow(MutexTimeoutError);
+      const { threadId: holder } = mutex.owner();
+      expect(holder).toBe(worker.threadId);
+
+      await worker.terminate();
+      const handle = await mutex.lock(5000);
+      expect(handle.ownerDied).toBe(true);
+      expect(mutex.owner().threadId).toBe(threadId);
+      mutex.markConsistent();
+      handle[mutex.dispose]();
+
+      const next = mutex.lockSync(0);
+      expect(next.ownerDied).toBe(false);
+      next[mutex.dispose]();
+    }, 20000);
+
+    test('becomes unrecoverable when released without being marked consistent', async () => {
+      const mutex = createMutex({ robust: true, leaseMs: 20 });
+      abandon(mutex);
+
+      const handle = await mutex.lock(1000);
+      handle[mutex.dispose]();
+      await expect(mutex.lock(100)).rejects.toThrow(/not recoverable/i);
+      expect(() => mutex.lockSync(100)).toThrow(/not recoverable/i);
+    });
+
+    test('does not take over from a live holder', async () => {
+      const mutex = createMutex({ robust: true, leaseMs: 20 });
+      const handle = await mutex.lock();
+      await expect(mutex.lock(100)).rejects.toThrow(/timed out after 100ms/i);
+      handle[mutex.dispose]();
+    });
+
+    test('wakes up waiters on release', async () => {
+      const mutex = createMutex({ robust: true, leaseMs: 10000 });
+      const handle = await mutex.lock();
+      const waiter = mutex.lock(1000);
+      setTimeout(() => handle[mutex.dispose](), 10);
+      const next = await waiter;
+      expect(next.ownerDied).toBe(false);
+      next[mutex.dispose]();
+    });
+
+    test('markConsistent requires holding the mutex', () => {
+      const mutex = createMutex({ robust: true, leaseMs: 1000 });
+      expect(() => mutex.markConsistent()).toThrow(/held by the current thread/i);
+    });
+
+    test('withMutex restores robustness from the buffer', () => {
+      const mutex = createMutex({ robust: true, leaseMs: 1000 });
+      expect(withMutex(mutex.buffer).isRobust()).toBe(true);
+
+      const truncated = new Int32Array(mutex.buffer.buffer, 0, 6);
+      expect(() => withMutex(truncated)).toThrow(/length >= 8/i);
+    });
+  });
+
+  describe('leases', () => {
+    const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+    test('takes over a lock whose lease expired', async () => {
+      const mutex = createMutex({ leases: true });
+      const handle = await mutex.lock({ ttlMs: 20 });
+      expect(handle.isHeld()).toBe(true);
+      expect(mutex.isLocked()).toBe(true);
+
+      const next = await mutex.lock(1000);
+      expect(handle.isHeld()).toBe(false);
+      expect(next.isHeld()).toBe(true);
+      expect(() => handle.extend(1000)).toThrow(MutexLeaseError);
+      expect(() => handle[mutex.dispose]()).toThrow(/lease expired/i);
+      next[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('treats an expired lease as free', async () => {
+      const mutex = createMutex({ leases: true });
+      const handle = mutex.lockSync({ ttlMs: 10 });
+      await sleep(20);
+      expect(mutex.isLocked()).toBe(false);
+      expect(mutex.owner()).toBeNull();
+      expect(handle.isHeld()).toBe(false);
+
+      const next = withMutex(mutex.buffer).tryLock({ ttlMs: 1000 });
+      expect(next.isHeld()).toBe(true);
+      expect(() => handle[mutex.dispose]()).toThrow(MutexLeaseError);
+      next[mutex.dispose]();
+    });
+
+    test('releases an expired lease that was not taken over', async () => {
+      const mutex = createMutex({ leases: true });
+      const handle = mutex.lockSync({ ttlMs: 10 });
+      await sleep(20);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('extends a lease while it is held', async () => {
+      const mutex = createMutex({ leases: true });
+      const handle = await mutex.lock({ ttlMs: 30 });
+      await sleep(20);
+      handle.extend(1000);
+
+      await expect(mutex.lock(50)).rejects.toThrow(MutexTimeoutError);
+      expect(() => withMutex(mutex.buffer).lockSync(20)).toThrow(/timed out after 20ms/i);
+      expect(handle.isHeld()).toBe(true);
+      handle[mutex.dispose]();
+      expect(() => handle.extend(1000)).toThrow(/lost lease/i);
+    });
+
+    test('wakes up waiters on release', async () => {
+      const mutex = createMutex({ leases: true });
+      const handle = await mutex.lock({ ttlMs: 10000 });
+      const waiter = mutex.lock({ timeoutMs: 1000, ttlMs: 10000 });
+      setTimeout(() => handle[mutex.dispose](), 10);
+      const next = await waiter;
+      expect(typeof next.extend).toBe('function');
+      next[mutex.dispose]();
+    });
+
+    test('keeps the lease of queued waiters', async () => {
+      const mutex = createMutex({ leases: true });
+      const handle = mutex.lockSync();
+      const first = mutex.lock();
+      const second = mutex.lock({ ttlMs: 10 });
+      handle[mutex.dispose]();
+
+      (await first)[mutex.dispose]();
+      const leased = await second;
+      await sleep(20);
+      expect(leased.isHeld()).toBe(false);
+      expect(mutex.isLocked()).toBe(false);
+      leased[mutex.dispose]();
+    });
+
+    test('acquisitions without ttlMs do not expire', async () => {
+      const mutex = createMutex({ leases: true });
+      const handle = mutex.lockSync();
+      expect(handle.extend).toBeUndefined();
+      await expect(mutex.lock(30)).rejects.toThrow(MutexTimeoutError);
+      mutex.unlock();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('validates options', () => {
+      expect(() => createMutex({ leases: true, fair: true })).toThrow(/leases cannot be fair/i);
+      expect(() => createMutex({ leases: true, robust: true })).toThrow(MutexError);
+      expect(() => createMutex({ leases: true, shared: false })).toThrow(/leases/);
+      expect(() => createMutex().lockSync({ ttlMs: 100 })).toThrow(/leases: true/);
+      expect(() => createMutex().tryLock({ ttlMs: 100 })).toThrow(/leases: true/);
+
+      const mutex = createMutex({ leases: true });
+      expect(() => mutex.lockSync({ ttlMs: 0 })).toThrow(/positive integer/i);
+      expect(() => mutex.tryLock({ ttlMs: 1.5 })).toThrow(/positive integer/i);
+      const handle = mutex.lockSync({ ttlMs: 100 });
+      expect(() => handle.extend(-1)).toThrow(/positive integer/i);
+      handle[mutex.dispose]();
+
+      const truncated = new Int32Array(mutex.buffer.buffer, 0, 5);
+      expect(() => withMutex(truncated)).toThrow(/length >= 6/i);
+    });
+  });
+
+  describe('priorities', () => {
+    const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+    // Queues acquisitions behind a held lock, recording the order in which they are granted
+    const contend = async (mutex, options) => {
+      const order = [];
+      const handle = mutex.lockSync();
+      const acquisitions = options.map((option, i) =>
+        rapidGuard(mutex, () => order.push(i), option)
+      );
+      await sleep(10);
+      handle[mutex.dispose]();
+      await Promise.all(acquisitions);
+      return order;
+    };
+
+    test('grants the lock to the highest priority first', async () => {
+      const mutex = createMutex({ priorities: true });
+      const order = await contend(mutex, [
+        { priority: 0 },
+        { priority: 5 },
+        1000,
+        { priority: 10 },
+        { priority: -1 },
+      ]);
+      expect(order).toEqual([3, 1, 0, 2, 4]);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('grants the lock to the highest priority first across threads', async () => {
+      const mutex = createMutex({ priorities: true, agingMs: 60000 });
+      const log = new Int32Array(new SharedArrayBuffer(5 * 4));
+      const handle = mutex.lockSync();
+
+      const workers = [1, 5, 3, 4].map(priority =>
+        startWorker('lock', { mutex: mutex.buffer, log, id: priority, options: { priority } })
+      );
+      // Wait for every worker to register as a waiter (Waiting slot) before releasing
+      await until(() => Atomics.load(mutex.buffer, 5) === 4);
+      handle[mutex.dispose]();
+
+      expect(await Promise.all(workers.map(exited))).toEqual([0, 0, 0, 0]);
+      expect(Array.from(log)).toEqual([4, 5, 4, 3, 1]);
+      expect(mutex.isLocked()).toBe(false);
+    }, 20000);
+
+    test('ages waiting acquisitions', async () => {
+      const mutex = createMutex({ priorities: true, agingMs: 5 });
+      const handle = mutex.lockSync();
+      const order = [];
+      const low = rapidGuard(mutex, () => order.push('low'), { priority: 0 });
+      await sleep(50);
+      const high = rapidGuard(mutex, () => order.push('high'), { priority: 2 });
+      handle[mutex.dispose]();
+      await Promise.all([low, high]);
+      expect(order).toEqual(['low', 'high']);
+    });
+
+    test('does not let new acquisitions overtake waiters', async () => {
+      const mutex = createMutex({ priorities: true });
+      const handle = mutex.lockSync();
+      const waiting = mutex.lock({ priority: -5 });
+      handle[mutex.dispose]();
+
+      expect(mutex.tryLock()).toBeNull();
+      expect(() => mutex.lockSync({ timeoutMs: 10, priority: 100 })).toThrow(/timed out/i);
+      (await waiting)[mutex.dispose]();
+      expect(mutex.tryLock()).not.toBeNull();
+    });
+
+    test('passes the lock on when a waiter gives up', async () => {
+      const mutex = createMutex({ priorities: true });
+      const handle = mutex.lockSync();
+      const controller = new AbortController();
+      const aborted = mutex.lock({ priority: 10, signal: controller.signal });
+      const timedOut = mutex.lock({ priority: 5, timeoutMs: 10 });
+      const last = mutex.lock({ priority: 0 });
+
+      controller.abort();
+      await expect(aborted).rejects.toThrow(MutexAbortError);
+      await expect(timedOut).rejects.toThrow(MutexTimeoutError);
+      handle[mutex.dispose]();
+      (await last)[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+      expect(withMutex(mutex.buffer).lockSync(0)).not.toBeNull();
+    });
+
+    test('waits for room when every waiter entry is taken', async () => {
+      const mutex = createMutex({ priorities: true });
+      const order = await contend(
+        mutex,
+        Array.from({ length: 70 }, (_, i) => ({ priority: i === 69 ? 1 : 0 }))
+      );
+      expect([...order].sort((x, y) => x - y)).toEqual(Array.from({ length: 70 }, (_, i) => i));
+      // Registered once room was made, then served ahead of the waiters registered before it
+      expect(order.indexOf(69)).toBeLessThan(63);
+    });
+
+    test('validates options', () => {
+      expect(() => createMutex({ priorities: true, fair: true })).toThrow(/priorities cannot/i);
+      expect(() => createMutex({ priorities: true, leases: true })).toThrow(MutexError);
+      expect(() => createMutex({ priorities: true, agingMs: 0 })).toThrow(/aging period/i);
+      expect(() => createMutex({ priorities: true, shared: false })).toThrow(/priorities/);
+      expect(() => createMutex({ shared: false }).lockSync({ priority: 1 })).toThrow(/priority/);
+      expect(() => createMutex().lockSync({ priority: 1 })).toThrow(/priorities: true/);
+
+      const mutex = createMutex({ priorities: true });
+      expect(() => mutex.lockSync({ priority: 1.5 })).toThrow(/32-bit integer/);
+      expect(() => mutex.lockSync({ priority: 2 ** 31 })).toThrow(/32-bit integer/);
+      expect(withMutex(mutex.buffer).lockSync({ priority: -3 }).isHeld()).toBe(true);
+    });
+  });
+
+  describe('statistics and hooks', () => {
+    test('statistics are disabled by default', () => {
+      expect(createMutex().stats()).toBeNull();
+    });
+
+    test('counts acquisitions, contention and timeouts', async () => {
+      const mutex = createMutex({ stats: true });
+      const first = await mutex.lock();
+      await expect(mutex.lock(10)).rejects.toThrow(MutexTimeoutError);
+      const waiter = mutex.lock();
+      setTimeout(() => first[mutex.dispose](), 20);
+      const second = await waiter;
+      second[mutex.dispose]();
+
+      const stats = withMutex(mutex.buffer).stats();
+      expect(stats.acquisitions).toBe(2);
+      expect(stats.contended).toBe(1);
+      expect(stats.timeouts).toBe(1);
+      expect(stats.maxWaitMs).toBeGreaterThanOrEqual(15);
+      expect(stats.totalWaitMs).toBeGreaterThanOrEqual(stats.maxWaitMs);
+      expect(stats.maxHoldMs).toBeGreaterThanOrEqual(15);
+    });
+
+    test('works with fair and robust mutexes', () => {
+      [
+        createMutex({ fair: true, stats: true }),
+        createMutex({ robust: true, leaseMs: 1000, stats: true }),
+      ].forEach(mutex => {
+        const handle = mutex.lockSync();
+        expect(() => mutex.lockSync(0)).toThrow(MutexTimeoutError);
+        handle[mutex.dispose]();
+        expect(mutex.stats()).toMatchObject({ acquisitions: 1, contended: 0, timeouts: 1 });
+        expect(mutex.isLocked()).toBe(false);
+      });
+    });
+
+    test('calls hooks', async () => {
+      const events = [];
+      const mutex = createMutex({
+        onAcquire: event => events.push(['acquire', event]),
+        onRelease: event => events.push(['release', event]),
+        onTimeout: event => events.push(['timeout', event]),
+      });
+
+      await rapidGuard(mutex, async () => {
+        await expect(mutex.lock(5)).rejects.toThrow(/timed out/i);
+      });
+
+      expect(events.map(([type]) => type)).toEqual(['acquire', 'timeout', 'release']);
+      expect(events[0][1]).toEqual({ waitMs: expect.any(Number), contended: false });
+      expect(events[1][1].waitMs).toBeGreaterThanOrEqual(4);
+      expect(events[2][1].holdMs).toBeGreaterThanOrEqual(4);
+      expect(mutex.stats()).toBeNull();
+    });
+
+    test('hooks are bound to the mutex object', () => {
+      const acquired = [];
+      const mutex = createMutex();
+      const instrumented = withMutex(mutex.buffer, { onAcquire: event => acquired.push(event) });
+
+      mutex.lockSync()[mutex.dispose]();
+      instrumented.lockSync()[mutex.dispose]();
+      expect(acquired).toHaveLength(1);
+    });
+
+    test('releases the lock when onAcquire throws', async () => {
+      const mutex = createMutex({
+        onAcquire: () => {
+          throw new Error('exporter down');
+        },
+      });
+      await expect(mutex.lock()).rejects.toThrow('exporter down');
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('validates hooks', () => {
+      expect(() => createMutex({ onAcquire: 'nope' })).toThrow(/onAcquire must be a function/i);
+      expect(() => withMutex(createMutex().buffer, { onTimeout: 1 })).toThrow(MutexError);
+    });
+
+    test('withMutex validates the statistics length', () => {
+      const mutex = createMutex({ stats: true });
+      const truncated = new Int32Array(mutex.buffer.buffer, 0, 5);
+      expect(() => withMutex(truncated)).toThrow(/length >= 11/i);
+    });
+  });
+
   describe('re-entrancy', () => {
     test('does not allow re-entrant locking (async)', async () => {
       const mutex = createMutex();
@@ -248,6 +1224,86 @@ describe('rapid-mutex', () => {
     });
   });
 
+  describe('createRecursiveMutex', () => {
+    test('owner can re-acquire without blocking (async)', async () => {
+      const mutex = createRecursiveMutex();
+      const outer = await mutex.lock();
+      const inner = await mutex.lock(20);
+      expect(mutex.holdCount()).toBe(2);
+      inner[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(true);
+      outer[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+      expect(mutex.holdCount()).toBe(0);
+    });
+
+    test('owner can re-acquire without blocking (sync)', () => {
+      const mutex = createRecursiveMutex();
+      const outer = mutex.lockSync();
+      const { token } = mutex.owner();
+      const inner = mutex.lockSync(20);
+      expect(mutex.owner().token).toBe(token);
+      outer[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(true);
+      inner[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('disposing the same handle twice releases only one level', () => {
+      const mutex = createRecursiveMutex();
+      const outer = mutex.lockSync();
+      const inner = mutex.lockSync();
+      inner[mutex.dispose]();
+      inner[mutex.dispose]();
+      expect(mutex.holdCount()).toBe(1);
+      expect(mutex.isLocked()).toBe(true);
+      outer[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('blocks other threads until fully released', () => {
+      const mutex = createRecursiveMutex();
+      const handle = mutex.lockSync();
+      // Simulate another thread holding the lock
+      Atomics.store(mutex.buffer, 1, threadId + 42);
+      expect(() => mutex.lockSync(10)).toThrow(/timed out after 10ms/i);
+      expect(() => mutex.unlock()).toThrow(/another thread/i);
+      Atomics.store(mutex.buffer, 1, threadId + 1);
+      handle[mutex.dispose]();
+    });
+
+    test('unlock throws when not locked', () => {
+      const mutex = createRecursiveMutex();
+      expect(() => mutex.unlock()).toThrow(/not locked/i);
+    });
+
+    test('nested rapidGuard calls do not deadlock', async () => {
+      const mutex = createRecursiveMutex();
+      const result = await rapidGuard(
+        mutex,
+        () => rapidGuard(mutex, () => mutex.holdCount(), 20),
+        20
+      );
+      expect(result).toBe(2);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('withRecursiveMutex shares state through the buffer', () => {
+      const mutex = createRecursiveMutex();
+      const handle = mutex.lockSync();
+      const shared = withRecursiveMutex(mutex.buffer);
+      expect(shared.isLocked()).toBe(true);
+      expect(shared.holdCount()).toBe(1);
+      handle[mutex.dispose]();
+      expect(shared.isLocked()).toBe(false);
+    });
+
+    test('withRecursiveMutex validates the buffer', () => {
+      expect(() => withRecursiveMutex(null)).toThrow(MutexError);
+      expect(() => withRecursiveMutex(createMutex().buffer)).toThrow(/length >= 6/i);
+    });
+  });
+
   describe('handle safety', () => {
     test('does not allow unlocking with wrong handle', async () => {
       const mutex1 = createMutex();
@@ -268,6 +1324,122 @@ describe('rapid-mutex', () => {
       const mutex = createMutex();
       expect(mutex.dispose).toBe(mutex.dispose);
     });
+
+    test('disposing a stale handle does not release a newer acquisition', async () => {
+      const mutex = createMutex();
+      const stale = await mutex.lock();
+      mutex.unlock();
+      const current = await mutex.lock();
+
+      stale[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(true);
+      expect(current.isHeld()).toBe(true);
+      current[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('strict mutexes report stale handles', () => {
+      const mutex = createMutex({ strict: true });
+      const stale = mutex.lockSync();
+      mutex.unlock();
+      const current = mutex.lockSync();
+
+      expect(() => stale[mutex.dispose]()).toThrow(/stale lock handle/i);
+      expect(() => stale[mutex.dispose]()).not.toThrow();
+      expect(withMutex(mutex.buffer).isLocked()).toBe(true);
+      current[mutex.dispose]();
+      expect(() => current[mutex.dispose]()).not.toThrow();
+    });
+
+    test('strict recursive mutexes report stale handles', () => {
+      const mutex = createRecursiveMutex({ strict: true });
+      const stale = mutex.lockSync();
+      mutex.unlock();
+      expect(() => stale[mutex.dispose]()).toThrow(/stale lock handle/i);
+    });
+
+    test('handles tell whether they still hold the lock', async () => {
+      const mutex = createMutex();
+      const handle = await mutex.lock();
+      expect(handle.isHeld()).toBe(true);
+      handle[mutex.dispose]();
+      expect(handle.isHeld()).toBe(false);
+
+      const outer = createRecursiveMutex();
+      const first = outer.lockSync();
+      const nested = outer.lockSync();
+      nested[outer.dispose]();
+      expect(nested.isHeld()).toBe(false);
+      expect(first.isHeld()).toBe(true);
+      first[outer.dispose]();
+      expect(first.isHeld()).toBe(false);
+    });
+
+    test('handles record when the lock was acquired', async () => {
+      const mutex = createMutex({ fair: true });
+      const before = performance.now();
+      const handle = await mutex.lock();
+      expect(handle.acquiredAt).toBeGreaterThanOrEqual(before);
+      expect(handle.acquiredAt).toBeLessThanOrEqual(performance.now());
+      handle[mutex.dispose]();
+    });
+  });
+
+  describe('ownership', () => {
+    test('owner is null while unlocked', () => {
+      const mutex = createMutex();
+      expect(mutex.owner()).toBeNull();
+    });
+
+    test('lock stamps the current thread and a token', async () => {
+      const mutex = createMutex();
+      const handle = await mutex.lock();
+      const holder = mutex.owner();
+      expect(holder).toEqual({ threadId, token: expect.any(Number) });
+      handle[mutex.dispose]();
+      expect(mutex.owner()).toBeNull();
+    });
+
+    test('each acquisition gets a fresh token', () => {
+      const mutex = createMutex();
+      const handle1 = mutex.lockSync();
+      const token1 = mutex.owner().token;
+      handle1[mutex.dispose]();
+      const handle2 = mutex.lockSync();
+      expect(mutex.owner().token).not.toBe(token1);
+      handle2[mutex.dispose]();
+    });
+
+    test('unlock rejects callers that are not the owner', () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      // Simulate another thread holding the lock
+      Atomics.store(mutex.buffer, 1, threadId + 42);
+      expect(() => mutex.unlock()).toThrow(MutexError);
+      expect(() => mutex.unlock()).toThrow(/another thread/i);
+      expect(mutex.isLocked()).toBe(true);
+      Atomics.store(mutex.buffer, 1, threadId + 1);
+      handle[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('stale handle does not release a newer acquisition', () => {
+      const mutex = createMutex();
+      const handle1 = mutex.lockSync();
+      handle1[mutex.dispose]();
+      const handle2 = mutex.lockSync();
+      handle1[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(true);
+      handle2[mutex.dispose]();
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('owner is visible through withMutex on the same buffer', () => {
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+      expect(withMutex(mutex.buffer).owner()).toEqual(mutex.owner());
+      handle[mutex.dispose]();
+    });
   });
 
   describe('multiple mutexes', () => {
@@ -296,11 +1468,11 @@ describe('rapid-mutex', () => {
     test('rejects buffers with insufficient length', () => {
       const buffer = new Int32Array(new SharedArrayBuffer(0));
       expect(() => withMutex(buffer)).toThrow(MutexError);
-      expect(() => withMutex(buffer)).toThrow(/length >= 1/i);
+      expect(() => withMutex(buffer)).toThrow(/length >= 5/i);
     });
 
     test('accepts buffers with extra space', () => {
-      const buffer = new Int32Array(new SharedArrayBuffer(16)); // 4 Int32s
+      const buffer = new Int32Array(new SharedArrayBuffer(32)); // 8 Int32s
       buffer[0] = LockStatus.Unlocked;
 
       const mutex = withMutex(buffer);
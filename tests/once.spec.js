@@ -0,0 +1,135 @@
+/* global describe, test, expect */
+/**
+ * Test suite for once: covers running the initializer once, waiting callers, retries after
+ * failures, timeouts, synchronous runs and validation.
+ */
+import { createOnce, withOnce, fromDescriptor, MutexError, MutexTimeoutError } from '../src';
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+describe('once', () => {
+  test('runs the initializer once', async () => {
+    const once = createOnce();
+    expect(Object.isFrozen(once)).toBe(true);
+    expect(once.state()).toBe('idle');
+    let runs = 0;
+
+    expect(await once.run(() => runs++)).toBe(true);
+    expect(await once.run(() => runs++)).toBe(false);
+    expect(once.runSync(() => runs++)).toBe(false);
+    expect(runs).toBe(1);
+    expect(once.isDone()).toBe(true);
+    expect(once.state()).toBe('done');
+  });
+
+  test('makes other callers wait until the initializer completes', async () => {
+    const once = createOnce();
+    const shared = withOnce(once.buffer);
+    const events = [];
+
+    const results = await Promise.all([
+      once.run(async () => {
+        events.push('start');
+        await sleep(20);
+        events.push('end');
+      }),
+      sleep(1).then(() => {
+        expect(shared.state()).toBe('running');
+        return shared.run(() => events.push('second'));
+      }),
+      shared.run(() => events.push('third')),
+    ]);
+
+    expect(results).toEqual([true, false, false]);
+    expect(events).toEqual(['start', 'end']);
+  });
+
+  test('lets a later caller retry after a failure', async () => {
+    const once = createOnce();
+    const failure = new Error('no table');
+
+    await expect(once.run(() => Promise.reject(failure))).rejects.toBe(failure);
+    expect(once.state()).toBe('failed');
+    expect(once.isDone()).toBe(false);
+
+    expect(() =>
+      once.runSync(() => {
+        throw failure;
+      })
+    ).toThrow(failure);
+    expect(await once.run(() => {})).toBe(true);
+    expect(once.state()).toBe('done');
+  });
+
+  test('hands the initializer over to a waiter when it fails', async () => {
+    const once = createOnce();
+    const runs = [];
+
+    const first = once.run(async () => {
+      runs.push('first');
+      await sleep(10);
+      throw new Error('failed');
+    });
+    const second = once.run(() => runs.push('second'));
+
+    await expect(first).rejects.toThrow('failed');
+    expect(await second).toBe(true);
+    expect(runs).toEqual(['first', 'second']);
+  });
+
+  test('times out while the initializer runs', async () => {
+    const once = createOnce();
+    const running = once.run(() => sleep(50));
+
+    await expect(once.run(() => {}, 10)).rejects.toThrow(MutexTimeoutError);
+    await expect(once.run(() => {}, 10)).rejects.toThrow(/Once acquisition timed out after 10ms/);
+    expect(await running).toBe(true);
+  });
+
+  test('does not wait synchronously for the current thread', async () => {
+    const once = createOnce();
+    const running = once.run(() => sleep(10));
+
+    expect(() => once.runSync(() => {})).toThrow(/runs on the current thread/);
+    await running;
+  });
+
+  test('records the outcome of async initializers run synchronously', async () => {
+    const once = createOnce();
+    let calls = 0;
+    const initializer = async () => {
+      calls += 1;
+      await sleep(10);
+    };
+    expect(() => once.runSync(initializer)).toThrow(/async initializer/);
+    expect(once.state()).toBe('running');
+    expect(await once.run(initializer)).toBe(false);
+    expect(calls).toBe(1);
+    expect(once.isDone()).toBe(true);
+
+    const failing = createOnce();
+    expect(() =>
+      failing.runSync(() => sleep(10).then(() => Promise.reject(new Error('boom'))))
+    ).toThrow(/async initializer/);
+    expect(await failing.run(() => {})).toBe(true);
+    expect(failing.isDone()).toBe(true);
+  });
+
+  test('can be described', async () => {
+    const once = createOnce();
+    const rebuilt = fromDescriptor(once.toDescriptor(), { kind: 'once' });
+    await once.run(() => {});
+    expect(rebuilt.isDone()).toBe(true);
+  });
+
+  test('validates its arguments', async () => {
+    const once = createOnce();
+    await expect(once.run(null)).rejects.toThrow(MutexError);
+    expect(() => once.runSync('init')).toThrow(/must provide a function/);
+
+    expect(() => withOnce(new Int32Array(new SharedArrayBuffer(4)))).toThrow(/must have length/);
+    const invalid = new Int32Array(new SharedArrayBuffer(8));
+    invalid[0] = 7;
+    expect(() => withOnce(invalid)).toThrow(/unknown once state/);
+  });
+});
@@ -0,0 +1,141 @@
+/* global describe, test, expect, jest */
+/**
+ * Test suite for the named mutex registry: covers lazy allocation, name resolution across views and limits.
+ */
+import { createMutexRegistry, withMutexRegistry, rapidGuard, MutexError } from '../src';
+
+describe('registry', () => {
+  describe('createMutexRegistry', () => {
+    test('creates an empty registry', () => {
+      const registry = createMutexRegistry();
+      expect(registry.size()).toBe(0);
+      expect(registry.has('shared-task')).toBe(false);
+      expect(registry.buffer.buffer).toBeInstanceOf(SharedArrayBuffer);
+      expect(Object.isFrozen(registry)).toBe(true);
+    });
+
+    test('allocates mutexes lazily', () => {
+      const registry = createMutexRegistry();
+      const mutex = registry.get('shared-task');
+      expect(mutex.isLocked()).toBe(false);
+      expect(registry.size()).toBe(1);
+      expect(registry.has('shared-task')).toBe(true);
+      expect(registry.get('shared-task')).toBe(mutex);
+      expect(registry.size()).toBe(1);
+    });
+
+    test('mutexes live in the registry buffer', () => {
+      const registry = createMutexRegistry();
+      expect(registry.get('a').buffer.buffer).toBe(registry.buffer.buffer);
+    });
+
+    test('different names get independent mutexes', () => {
+      const registry = createMutexRegistry();
+      const a = registry.get('a');
+      const b = registry.get('b');
+      const handle = a.lockSync();
+      expect(b.isLocked()).toBe(false);
+      handle[a.dispose]();
+    });
+
+    test('validates options', () => {
+      expect(() => createMutexRegistry({ capacity: 0 })).toThrow(MutexError);
+      expect(() => createMutexRegistry({ maxNameLength: 1.5 })).toThrow(MutexError);
+    });
+
+    test('validates names', () => {
+      const registry = createMutexRegistry({ maxNameLength: 4 });
+      expect(() => registry.get('')).toThrow(MutexError);
+      expect(() => registry.get(42)).toThrow(MutexError);
+      expect(() => registry.get('too-long')).toThrow(/at most 4 bytes/i);
+      expect(() => registry.get('🔒🔒')).toThrow(/at most 4 bytes/i);
+      expect(registry.get('🔒').isLocked()).toBe(false);
+    });
+
+    test('throws when full', () => {
+      const registry = createMutexRegistry({ capacity: 2 });
+      registry.get('a');
+      registry.get('b');
+      expect(() => registry.get('c')).toThrow(/full/i);
+      expect(registry.has('c')).toBe(false);
+      expect(registry.get('a').isLocked()).toBe(false);
+    });
+  });
+
+  describe('withMutexRegistry', () => {
+    test('resolves names to the same lock through the buffer', async () => {
+      const registry = createMutexRegistry({ capacity: 4 });
+      const other = withMutexRegistry(registry.buffer);
+
+      const handle = await registry.get('shared-task').lock();
+      expect(other.get('shared-task').isLocked()).toBe(true);
+      await expect(other.get('shared-task').lock(10)).rejects.toThrow(/timed out/i);
+      handle[registry.get('shared-task').dispose]();
+      expect(other.get('shared-task').isLocked()).toBe(false);
+    });
+
+    test('resolves colliding names deterministically', () => {
+      const registry = createMutexRegistry({ capacity: 3 });
+      const other = withMutexRegistry(registry.buffer);
+      const names = ['alpha', 'beta', 'gamma'];
+
+      names.forEach(name => registry.get(name).lockSync());
+      names.forEach(name => expect(other.get(name).isLocked()).toBe(true));
+      expect(other.size()).toBe(3);
+    });
+
+    test('serialises work across views', async () => {
+      const registry = createMutexRegistry();
+      const views = [registry, withMutexRegistry(registry.buffer)];
+      let active = 0;
+      let peak = 0;
+
+      await Promise.all(
+        Array.from({ length: 10 }, (_, i) =>
+          rapidGuard(views[i % 2].get('job'), async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(res => setTimeout(res, 1));
+            active--;
+          })
+        )
+      );
+
+      expect(peak).toBe(1);
+    });
+
+    test('waits for names being written without blocking', () => {
+      const registry = createMutexRegistry({ capacity: 1 });
+      registry.get('shared-task');
+      // The entry of a name being written by another thread, which completes after a few loads
+      const status = 3;
+      registry.buffer[status] = 1;
+      const { load } = Atomics;
+      let spins = 0;
+      jest.spyOn(Atomics, 'load').mockImplementation((buffer, index) => {
+        if (buffer === registry.buffer && index === status && ++spins === 3) {
+          Atomics.store(buffer, index, 2);
+        }
+        return load(buffer, index);
+      });
+      // Atomics.wait is not allowed on browser main threads
+      const wait = jest.spyOn(Atomics, 'wait').mockImplementation(() => {
+        throw new TypeError('Atomics.wait cannot be called in this context');
+      });
+
+      const view = withMutexRegistry(registry.buffer);
+      expect(view.get('shared-task').buffer.buffer).toBe(registry.buffer.buffer);
+      expect(view.size()).toBe(1);
+      expect(wait).not.toHaveBeenCalled();
+    });
+
+    test('validates the buffer', () => {
+      expect(() => withMutexRegistry(null)).toThrow(MutexError);
+      expect(() => withMutexRegistry(new Int32Array(new SharedArrayBuffer(12)))).toThrow(
+        /not a mutex registry/i
+      );
+      const truncated = new Int32Array(createMutexRegistry().buffer.buffer, 0, 8);
+      expect(() => withMutexRegistry(truncated)).toThrow(/length >=/i);
+    });
+  });
+});
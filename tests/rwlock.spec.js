@@ -0,0 +1,130 @@
+/* global describe, test, expect */
+/**
+ * Test suite for the reader/writer lock: covers shared reads, exclusive writes, writer preference and timeouts.
+ */
+import { createRwLock, withRwLock, dispose, MutexError } from '../src';
+
+describe('rwlock', () => {
+  describe('createRwLock', () => {
+    test('creates an unlocked lock', () => {
+      const rwLock = createRwLock();
+      expect(rwLock.readers()).toBe(0);
+      expect(rwLock.isWriteLocked()).toBe(false);
+      expect(rwLock.buffer.buffer).toBeInstanceOf(SharedArrayBuffer);
+      expect(Object.isFrozen(rwLock)).toBe(true);
+    });
+
+    test('allows multiple concurrent readers', async () => {
+      const rwLock = createRwLock();
+      const r1 = await rwLock.readLock();
+      const r2 = rwLock.readLockSync(10);
+      expect(rwLock.readers()).toBe(2);
+      r1[dispose]();
+      r2[dispose]();
+      expect(rwLock.readers()).toBe(0);
+    });
+
+    test('writer is exclusive', async () => {
+      const rwLock = createRwLock();
+      const w = await rwLock.writeLock();
+      expect(rwLock.isWriteLocked()).toBe(true);
+      await expect(rwLock.readLock(10)).rejects.toThrow(/read lock acquisition timed out/i);
+      expect(() => rwLock.writeLockSync(10)).toThrow(/write lock acquisition timed out/i);
+      w[dispose]();
+      expect(rwLock.isWriteLocked()).toBe(false);
+    });
+
+    test('writer waits for readers to drain', async () => {
+      const rwLock = createRwLock();
+      const r = await rwLock.readLock();
+      let written = false;
+      const p = rwLock.writeLock().then(w => {
+        written = true;
+        w[dispose]();
+      });
+      await new Promise(res => setTimeout(res, 20));
+      expect(written).toBe(false);
+      r[dispose]();
+      await p;
+      expect(written).toBe(true);
+    });
+
+    test('waiting writer blocks new readers', async () => {
+      const rwLock = createRwLock();
+      const r = await rwLock.readLock();
+      const order = [];
+      const writer = rwLock.writeLock().then(w => {
+        order.push('write');
+        w[dispose]();
+      });
+      await new Promise(res => setTimeout(res, 10));
+      const reader = rwLock.readLock().then(h => {
+        order.push('read');
+        h[dispose]();
+      });
+      await new Promise(res => setTimeout(res, 10));
+      expect(order).toEqual([]);
+      r[dispose]();
+      await Promise.all([writer, reader]);
+      expect(order).toEqual(['write', 'read']);
+    });
+
+    test('timed out writer no longer blocks readers', async () => {
+      const rwLock = createRwLock();
+      const r = await rwLock.readLock();
+      await expect(rwLock.writeLock(10)).rejects.toThrow(MutexError);
+      const r2 = rwLock.readLockSync(10);
+      expect(rwLock.readers()).toBe(2);
+      r[dispose]();
+      r2[dispose]();
+    });
+
+    test('disposing a handle twice releases once', async () => {
+      const rwLock = createRwLock();
+      const r1 = await rwLock.readLock();
+      const r2 = await rwLock.readLock();
+      r1[dispose]();
+      r1[dispose]();
+      expect(rwLock.readers()).toBe(1);
+      r2[dispose]();
+    });
+
+    test('validates timeouts', async () => {
+      const rwLock = createRwLock();
+      await expect(rwLock.readLock(-1)).rejects.toThrow(MutexError);
+      await expect(rwLock.writeLock('invalid')).rejects.toThrow(MutexError);
+      expect(() => rwLock.readLockSync(-1)).toThrow(MutexError);
+      expect(() => rwLock.writeLockSync(null)).toThrow(MutexError);
+    });
+  });
+
+  describe('withRwLock', () => {
+    test('shares state through the buffer', async () => {
+      const rwLock = createRwLock();
+      const shared = withRwLock(rwLock.buffer);
+      const w = await rwLock.writeLock();
+      expect(shared.isWriteLocked()).toBe(true);
+      expect(() => shared.readLockSync(10)).toThrow(MutexError);
+      w[dispose]();
+      const r = shared.readLockSync();
+      expect(rwLock.readers()).toBe(1);
+      r[dispose]();
+    });
+
+    test('binds a lock at a slot index', () => {
+      const shared = new Int32Array(new SharedArrayBuffer(8 * 4));
+      const rwLock = withRwLock(shared, { index: 5 });
+      const w = rwLock.writeLockSync();
+      expect(withRwLock(shared, { index: 5 }).isWriteLocked()).toBe(true);
+      expect(withRwLock(shared).isWriteLocked()).toBe(false);
+      w[dispose]();
+      expect(() => withRwLock(shared, { index: 6 })).toThrow(/length >= 3/i);
+    });
+
+    test('validates the buffer', () => {
+      expect(() => withRwLock(null)).toThrow(MutexError);
+      expect(() => withRwLock(new Int32Array(3))).toThrow(/SharedArrayBuffer/i);
+      expect(() => withRwLock(new Int32Array(new SharedArrayBuffer(4)))).toThrow(/length >= 3/i);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/* global describe, test, expect */
+/**
+ * Test suite for the counting semaphore: covers permits accounting, waiting, timeouts and the guard helper.
+ */
+import { createSemaphore, withSemaphore, semaphoreGuard, dispose, MutexError } from '../src';
+
+describe('semaphore', () => {
+  describe('createSemaphore', () => {
+    test('creates a semaphore with all permits available', () => {
+      const semaphore = createSemaphore(4);
+      expect(semaphore.available()).toBe(4);
+      expect(semaphore.capacity()).toBe(4);
+      expect(Object.isFrozen(semaphore)).toBe(true);
+    });
+
+    test('rejects invalid permit counts', () => {
+      expect(() => createSemaphore(0)).toThrow(MutexError);
+      expect(() => createSemaphore(-1)).toThrow(MutexError);
+      expect(() => createSemaphore(1.5)).toThrow(MutexError);
+      expect(() => createSemaphore()).toThrow(MutexError);
+    });
+
+    test('acquires and returns permits', async () => {
+      const semaphore = createSemaphore(3);
+      const permit = await semaphore.acquire(2);
+      expect(permit.permits).toBe(2);
+      expect(semaphore.available()).toBe(1);
+      permit[dispose]();
+      expect(semaphore.available()).toBe(3);
+    });
+
+    test('disposing a permit twice returns it once', () => {
+      const semaphore = createSemaphore(2);
+      const permit = semaphore.acquireSync();
+      permit[dispose]();
+      permit[dispose]();
+      expect(semaphore.available()).toBe(2);
+    });
+
+    test('tryAcquire returns null when not enough permits', () => {
+      const semaphore = createSemaphore(2);
+      const permit = semaphore.tryAcquire(2);
+      expect(permit).not.toBeNull();
+      expect(semaphore.tryAcquire()).toBeNull();
+      permit[dispose]();
+      expect(semaphore.tryAcquire()).not.toBeNull();
+    });
+
+    test('times out when permits are exhausted', async () => {
+      const semaphore = createSemaphore(1);
+      const permit = semaphore.acquireSync();
+      await expect(semaphore.acquire(1, 10)).rejects.toThrow(/timed out after 10ms/i);
+      expect(() => semaphore.acquireSync(1, 10)).toThrow(/timed out after 10ms/i);
+      permit[dispose]();
+    });
+
+    test('waiters proceed once permits are released', async () => {
+      const semaphore = createSemaphore(2);
+      const held = semaphore.acquireSync(2);
+      let acquired = 0;
+      const waiters = [1, 2].map(() =>
+        semaphore.acquire().then(permit => {
+          acquired++;
+          return permit;
+        })
+      );
+      await new Promise(res => setTimeout(res, 20));
+      expect(acquired).toBe(0);
+      held[dispose]();
+      const permits = await Promise.all(waiters);
+      expect(acquired).toBe(2);
+      permits.forEach(permit => permit[dispose]());
+      expect(semaphore.available()).toBe(2);
+    });
+
+    test('release validates permits against capacity', () => {
+      const semaphore = createSemaphore(2);
+      expect(() => semaphore.release()).toThrow(/capacity/i);
+      semaphore.acquireSync();
+      semaphore.release();
+      expect(semaphore.available()).toBe(2);
+      expect(() => semaphore.acquireSync(3)).toThrow(MutexError);
+      expect(() => semaphore.tryAcquire(0)).toThrow(MutexError);
+    });
+  });
+
+  describe('withSemaphore', () => {
+    test('shares permits through the buffer', () => {
+      const semaphore = createSemaphore(2);
+      const shared = withSemaphore(semaphore.buffer);
+      const permit = shared.acquireSync();
+      expect(semaphore.available()).toBe(1);
+      expect(shared.capacity()).toBe(2);
+      permit[dispose]();
+      expect(semaphore.available()).toBe(2);
+    });
+
+    test('binds a semaphore at a slot index', () => {
+      const shared = new Int32Array(new SharedArrayBuffer(6 * 4));
+      shared.set([3, 3], 4);
+      const semaphore = withSemaphore(shared, { index: 4 });
+      expect(semaphore.capacity()).toBe(3);
+      const permit = semaphore.acquireSync(2);
+      expect(shared[4]).toBe(1);
+      permit[dispose]();
+      expect(() => withSemaphore(shared, { index: 2 })).toThrow(/capacity/i);
+    });
+
+    test('validates the buffer', () => {
+      expect(() => withSemaphore(null)).toThrow(MutexError);
+      expect(() => withSemaphore(new Int32Array(2))).toThrow(/SharedArrayBuffer/i);
+      expect(() => withSemaphore(new Int32Array(new SharedArrayBuffer(8)))).toThrow(/capacity/i);
+    });
+  });
+
+  describe('semaphoreGuard', () => {
+    test('limits concurrency', async () => {
+      const semaphore = createSemaphore(2);
+      let active = 0;
+      let peak = 0;
+
+      await Promise.all(
+        Array.from({ length: 6 }, () =>
+          semaphoreGuard(semaphore, async () => {
+            active++;
+            peak = Math.max(peak, active);
+            await new Promise(res => setTimeout(res, 5));
+            active--;
+          })
+        )
+      );
+
+      expect(peak).toBe(2);
+      expect(semaphore.available()).toBe(2);
+    });
+
+    test('returns permits even if function throws', async () => {
+      const semaphore = createSemaphore(1);
+      await expect(
+        semaphoreGuard(semaphore, () => {
+          throw new Error('Test error');
+        })
+      ).rejects.toThrow('Test error');
+      expect(semaphore.available()).toBe(1);
+    });
+
+    test('respects timeout and permits parameters', async () => {
+      const semaphore = createSemaphore(3);
+      const permit = semaphore.acquireSync(2);
+      await expect(semaphoreGuard(semaphore, () => {}, 10, 2)).rejects.toThrow(MutexError);
+      const result = await semaphoreGuard(semaphore, () => semaphore.available(), 10, 1);
+      expect(result).toBe(0);
+      permit[dispose]();
+    });
+
+    test('validates parameters', async () => {
+      await expect(semaphoreGuard(null, () => {})).rejects.toThrow(MutexError);
+      await expect(semaphoreGuard(createSemaphore(1), null)).rejects.toThrow(MutexError);
+    });
+  });
+});
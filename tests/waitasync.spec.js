@@ -0,0 +1,170 @@
+/* global describe, test, expect, afterEach, jest */
+/**
+ * Test suite for runtimes without Atomics.waitAsync: covers helper thread and polling fallbacks.
+ */
+
+const sleep = ms => new Promise(res => setTimeout(res, ms));
+
+/** Number of worker threads started through {@link countingWorkerThreads}. */
+let started = 0;
+
+/**
+ * Replaces the worker_threads module by one counting the worker threads it starts.
+ * @returns {Object} Replacement for the worker_threads module.
+ */
+const countingWorkerThreads = () => {
+  const workerThreads = jest.requireActual('worker_threads');
+  started = 0;
+  return {
+    ...workerThreads,
+    Worker: function Worker(...args) {
+      started++;
+      return new workerThreads.Worker(...args);
+    },
+  };
+};
+
+/**
+ * Loads the library as on a runtime without `Atomics.waitAsync`.
+ * @param {Object} [workerThreads] Replacement for the worker_threads module.
+ * @returns {any} The library exports.
+ */
+const loadWithoutWaitAsync = workerThreads => {
+  const { waitAsync } = Atomics;
+  let library;
+  delete Atomics.waitAsync;
+  try {
+    jest.isolateModules(() => {
+      if (workerThreads) {
+        jest.doMock('worker_threads', () => workerThreads);
+      }
+      library = require('../src');
+    });
+  } finally {
+    Atomics.waitAsync = waitAsync;
+  }
+  return library;
+};
+
+describe('waitAsync fallbacks', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('helper threads', () => {
+    test('lock waits without blocking the event loop', async () => {
+      const { createMutex } = loadWithoutWaitAsync();
+      const wait = jest.spyOn(Atomics, 'wait');
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+
+      let ticks = 0;
+      const timer = setInterval(() => ticks++, 1);
+      const waiting = mutex.lock();
+      await sleep(30);
+      clearInterval(timer);
+      expect(ticks).toBeGreaterThan(0);
+      // The blocking wait happens on a helper thread
+      expect(wait).not.toHaveBeenCalled();
+
+      handle[mutex.dispose]();
+      const next = await waiting;
+      expect(next.isHeld()).toBe(true);
+      next[mutex.dispose]();
+    });
+
+    test('serves concurrent waits and times out', async () => {
+      const { createMutex, MutexTimeoutError } = loadWithoutWaitAsync();
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+
+      await expect(mutex.lock(20)).rejects.toThrow(MutexTimeoutError);
+      const waiters = [1, 2, 3].map(() => mutex.lock(5000).then(next => next[mutex.dispose]()));
+      await sleep(20);
+      handle[mutex.dispose]();
+      await Promise.all(waiters);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('starts a bounded number of helpers and polls beyond', async () => {
+      const { createMutex, withMutex } = loadWithoutWaitAsync(countingWorkerThreads());
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+
+      // Each mutex object parks its own waiter
+      const waiters = Array.from({ length: 8 }, () => {
+        const other = withMutex(mutex.buffer);
+        return other.lock(5000).then(next => next[other.dispose]());
+      });
+      await sleep(20);
+      expect(started).toBe(4);
+
+      handle[mutex.dispose]();
+      await Promise.all(waiters);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('stops the helper of an aborted wait', async () => {
+      const { createMutex, withMutex, MutexAbortError } =
+        loadWithoutWaitAsync(countingWorkerThreads());
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+
+      for (let i = 0; i < 4; i++) {
+        const controller = new AbortController();
+        const waiting = mutex.lock({ signal: controller.signal });
+        await sleep(20);
+        controller.abort();
+        await expect(waiting).rejects.toThrow(MutexAbortError);
+      }
+      expect(started).toBe(4);
+
+      // Stopped helpers leave room for new ones
+      const waiters = Array.from({ length: 4 }, () => {
+        const other = withMutex(mutex.buffer);
+        return other.lock(5000).then(next => next[other.dispose]());
+      });
+      await sleep(20);
+      expect(started).toBe(8);
+      handle[mutex.dispose]();
+      await Promise.all(waiters);
+      expect(mutex.isLocked()).toBe(false);
+    });
+
+    test('wakes condition waiters', async () => {
+      const { createMutex, createCondition } = loadWithoutWaitAsync();
+      const mutex = createMutex();
+      const condition = createCondition();
+      const handle = await mutex.lock();
+
+      const waiting = condition.wait(mutex, 5000);
+      await sleep(20);
+      condition.notifyOne();
+      await expect(waiting).resolves.toBe(true);
+      handle[mutex.dispose]();
+    });
+  });
+
+  describe('polling', () => {
+    test('is used when helper threads cannot be started', async () => {
+      const { createMutex } = loadWithoutWaitAsync({
+        threadId: 0,
+        Worker: function Worker() {
+          throw new Error('Worker threads are not available');
+        },
+      });
+      const wait = jest.spyOn(Atomics, 'wait');
+      const mutex = createMutex();
+      const handle = mutex.lockSync();
+
+      const waiting = mutex.lock();
+      await sleep(20);
+      handle[mutex.dispose]();
+      (await waiting)[mutex.dispose]();
+
+      const held = mutex.lockSync();
+      await expect(mutex.lock(20)).rejects.toThrow(/timed out after 20ms/);
+      held[mutex.dispose]();
+      // Atomics.wait is not allowed on browser main threads
+      expect(wait).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,16 @@
+/**
+ * Scenario: locks the second mutex, reports it to the parent, then locks the first one, both
+ * watched by a shared deadlock detector, and releases them.
+ */
+import { parentPort, workerData } from 'worker_threads';
+import { withMutex, withDeadlockDetector } from '../../src';
+
+const deadlockDetector = withDeadlockDetector(workerData.detector);
+const first = withMutex(workerData.first, { deadlockDetector });
+const second = withMutex(workerData.second, { deadlockDetector });
+
+const secondHandle = second.lockSync();
+parentPort.postMessage('locked');
+const firstHandle = first.lockSync();
+firstHandle[first.dispose]();
+secondHandle[second.dispose]();
@@ -0,0 +1,13 @@
+/**
+ * Scenario: locks a mutex, reports it to the parent and holds it until the worker is terminated.
+ */
+import { parentPort, workerData } from 'worker_threads';
+import { withMutex } from '../../src';
+
+const mutex = withMutex(workerData.mutex);
+
+mutex.lock().then(() => {
+  // Keeps the event loop, and so the heartbeat of a robust mutex, running
+  setInterval(() => {}, 1000);
+  parentPort.postMessage('locked');
+});
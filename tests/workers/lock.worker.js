@@ -0,0 +1,17 @@
+/**
+ * Scenario: locks a mutex synchronously, appends the id of the worker to a shared log and
+ * releases the mutex. The first slot of the log counts its entries. With a `detector`, the
+ * mutex records its waits in that deadlock detector.
+ */
+import { workerData } from 'worker_threads';
+import { withMutex, withDeadlockDetector } from '../../src';
+
+const { mutex: buffer, log, id, options, detector } = workerData;
+const mutex = withMutex(
+  buffer,
+  detector ? { deadlockDetector: withDeadlockDetector(detector) } : {}
+);
+
+const handle = mutex.lockSync(options);
+log[Atomics.add(log, 0, 1) + 1] = id;
+handle[mutex.dispose]();
@@ -0,0 +1,116 @@
+/**
+ * Helpers running scenarios on real worker threads. A scenario is a module of this directory,
+ * transpiled along with the library sources as the test files are, and run by a worker that
+ * resolves its relative imports against them.
+ */
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { Worker } from 'worker_threads';
+import ts from 'typescript';
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * Runs the entry module of a worker from the transpiled sources in its `workerData`.
+ * @type {string}
+ */
+const LOADER = `
+const path = require('path');
+const { workerData } = require('worker_threads');
+const { sources, main } = workerData.modules;
+const cache = new Map();
+const load = file => {
+  if (cache.has(file)) return cache.get(file).exports;
+  const module = { exports: {} };
+  cache.set(file, module);
+  const resolve = id => {
+    const base = path.resolve(path.dirname(file), id);
+    return [base, base + '.js', path.join(base, 'index.js')].find(name => name in sources);
+  };
+  const localRequire = id => (id.startsWith('.') ? load(resolve(id)) : require(id));
+  new Function('require', 'module', 'exports', sources[file])(localRequire, module, module.exports);
+  return module.exports;
+};
+load(main);
+`;
+
+/** @type {Object<string, string>|null} */
+let library = null;
+
+/**
+ * Transpiles a module to CommonJS.
+ * @param {string} file Path of the module.
+ * @returns {string} Transpiled source.
+ */
+const transpile = file =>
+  ts.transpileModule(fs.readFileSync(file, 'utf8'), {
+    compilerOptions: {
+      module: ts.ModuleKind.CommonJS,
+      target: ts.ScriptTarget.ES2020,
+      esModuleInterop: true,
+    },
+  }).outputText;
+
+/**
+ * Transpiles the library sources, once per test file.
+ * @returns {Object<string, string>} Transpiled sources by path.
+ */
+const librarySources = () => {
+  if (!library) {
+    library = {};
+    fs.readdirSync(SRC).forEach(name => {
+      library[path.join(SRC, name)] = transpile(path.join(SRC, name));
+    });
+  }
+  return library;
+};
+
+/**
+ * Starts a worker running a scenario.
+ *
+ * @param {string} scenario Name of the scenario module, e.g. `'lock'` for `lock.worker.js`.
+ * @param {Object} [workerData={}] Data of the scenario, read from `workerData`.
+ * @returns {Worker} The worker.
+ */
+export const startWorker = (scenario, workerData = {}) => {
+  const main = path.join(__dirname, `${scenario}.worker.js`);
+  return new Worker(LOADER, {
+    eval: true,
+    workerData: {
+      ...workerData,
+      modules: { sources: { ...librarySources(), [main]: transpile(main) }, main },
+    },
+  });
+};
+
+/**
+ * Waits for the next message of a worker.
+ * @param {Worker} worker Worker to listen to.
+ * @returns {Promise<any>} The message, or a rejection if the worker fails first.
+ */
+export const nextMessage = async worker => (await once(worker, 'message'))[0];
+
+/**
+ * Waits for a worker to exit.
+ * @param {Worker} worker Worker to wait for.
+ * @returns {Promise<number>} Exit code of the worker, or a rejection if it fails.
+ */
+export const exited = async worker => (await once(worker, 'exit'))[0];
+
+/**
+ * Polls a condition until it holds, e.g. until a worker is parked on a lock.
+ *
+ * @param {() => boolean} condition Condition to wait for.
+ * @param {number} [timeoutMs=5000] Time after which to give up.
+ * @returns {Promise<void>} Resolves once the condition holds.
+ */
+export const until = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error(`Condition not met within ${timeoutMs}ms`);
+    }
+    await new Promise(res => setTimeout(res, 1));
+  }
+};